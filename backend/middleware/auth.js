@@ -1,9 +1,13 @@
 // Import required modules
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
 
 /**
  * Authentication middleware to verify JWT tokens
- * Extracts token from Authorization header and validates it
+ * Extracts token from Authorization header and validates it.
+ * Role, account status and session are read from the database on every request,
+ * so role changes, deactivation and sign-out apply without waiting for the token to expire
  * 
  * @middleware
  * @param {Object} req - Express request object
@@ -11,7 +15,7 @@ const jwt = require('jsonwebtoken');
  * @param {Function} next - Express next middleware function
  * @returns {void}
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   try {
     // Step 1: Extract Authorization header from request
     const authHeader = req.headers['authorization'];
@@ -39,18 +43,55 @@ const authenticateToken = (req, res, next) => {
     // Step 5: Verify token using JWT_SECRET from environment variables
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Step 6: Attach decoded user data to request object for use in routes
-    // The decoded object should contain userId and any other data encoded in the token
+    // Step 6: Check the token's session has not been signed out or revoked
+    const session = decoded.sid && await Session.exists({
+      _id: decoded.sid,
+      user_id: decoded.userId,
+      revoked_at: null
+    });
+    
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Session has ended.'
+      });
+    }
+    
+    // Step 7: Load the current role and status; the role in the token may be stale
+    const user = await User.findById(decoded.userId).select('role is_active');
+    
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Account no longer exists.'
+      });
+    }
+    
+    if (!user.is_active) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is deactivated. Please contact administrator.'
+      });
+    }
+    
+    // Step 8: Attach user data to request object for use in routes
     req.user = {
       userId: decoded.userId,
-      role: decoded.role // Optional: include role if encoded in token
+      role: user.role,
+      sessionId: decoded.sid,
+      tokenExpiresAt: new Date(decoded.exp * 1000)
     };
     
-    // Step 7: Call next() to proceed to the next middleware or route handler
+    // Last-seen tracking must not slow down or fail the request
+    Session.touch(decoded.sid, req.ip).catch(touchError => {
+      console.error('Session touch error:', touchError.message);
+    });
+    
+    // Step 9: Call next() to proceed to the next middleware or route handler
     next();
     
   } catch (error) {
-    // Step 8: Handle different types of JWT errors
+    // Step 10: Handle different types of JWT errors
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         success: false,
@@ -73,6 +114,48 @@ const authenticateToken = (req, res, next) => {
   }
 };
 
+/**
+ * Optional authentication middleware
+ * Attaches req.user when a valid token is present, otherwise continues anonymously
+ * Use on public routes that show extra data to signed-in users
+ *
+ * @middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = decoded.sid && await Session.exists({
+      _id: decoded.sid,
+      user_id: decoded.userId,
+      revoked_at: null
+    });
+    const user = session && await User.findById(decoded.userId).select('role is_active');
+
+    if (user && user.is_active) {
+      req.user = {
+        userId: decoded.userId,
+        role: user.role,
+        sessionId: decoded.sid
+      };
+    }
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous requests
+  }
+
+  next();
+};
+
 /**
  * Authorization middleware to check user role
  * Use this after authenticateToken to restrict access by role
@@ -106,5 +189,6 @@ const authorizeRoles = (...allowedRoles) => {
 // Export middleware functions
 module.exports = {
   authenticateToken,
+  optionalAuth,
   authorizeRoles
 };
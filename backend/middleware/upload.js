@@ -0,0 +1,121 @@
+// Import required modules
+const multer = require('multer');
+
+/**
+ * Default MIME types accepted for form file answers
+ * Override with UPLOAD_ALLOWED_MIME_TYPES (comma-separated)
+ */
+const DEFAULT_FORM_FILE_TYPES = [
+  'application/pdf',
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/zip',
+  'text/plain'
+];
+
+/**
+ * MIME types accepted for poster, logo and avatar images
+ */
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+/**
+ * Read a comma-separated list from an environment variable
+ *
+ * @param {String} name - Environment variable name
+ * @param {Array<String>} fallback - Value when unset
+ * @returns {Array<String>} Parsed list
+ */
+const listFromEnv = (name, fallback) => {
+  const value = process.env[name];
+  if (!value) return fallback;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Create middleware that accepts a single multipart file into memory
+ * Size and MIME type are checked before the route handler runs;
+ * failures respond with 400 in the same shape as validation errors
+ *
+ * @param {Object} options - Upload options
+ * @param {String} [options.fieldName='file'] - Multipart field name
+ * @param {Number} options.maxSizeMb - Maximum file size in megabytes
+ * @param {Array<String>} options.allowedMimeTypes - Accepted MIME types
+ * @returns {Function} Express middleware
+ */
+const createSingleUpload = ({ fieldName = 'file', maxSizeMb, allowedMimeTypes }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: Math.round(maxSizeMb * 1024 * 1024),
+      files: 1
+    },
+    fileFilter: (req, file, cb) => {
+      if (!allowedMimeTypes.includes(file.mimetype)) {
+        const error = new Error(`File type ${file.mimetype} is not allowed`);
+        error.code = 'UNSUPPORTED_FILE_TYPE';
+        return cb(error);
+      }
+      cb(null, true);
+    }
+  }).single(fieldName);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        if (!req.file) {
+          return res.status(400).json({
+            success: false,
+            message: 'No file uploaded'
+          });
+        }
+        return next();
+      }
+
+      let message = error.message;
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        message = `File cannot exceed ${maxSizeMb} MB`;
+      } else if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+        message = `Upload the file in the "${fieldName}" field`;
+      }
+
+      return res.status(400).json({
+        success: false,
+        message,
+        allowed_types: allowedMimeTypes
+      });
+    });
+  };
+};
+
+/**
+ * Upload middleware for form file answers
+ * Configured with UPLOAD_MAX_FILE_SIZE_MB and UPLOAD_ALLOWED_MIME_TYPES
+ *
+ * @type {Function}
+ */
+const uploadFormFile = createSingleUpload({
+  maxSizeMb: Number(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 5,
+  allowedMimeTypes: listFromEnv('UPLOAD_ALLOWED_MIME_TYPES', DEFAULT_FORM_FILE_TYPES)
+});
+
+/**
+ * Upload middleware for poster, logo and avatar images
+ * Configured with IMAGE_MAX_FILE_SIZE_MB
+ *
+ * @type {Function}
+ */
+const uploadImage = createSingleUpload({
+  maxSizeMb: Number(process.env.IMAGE_MAX_FILE_SIZE_MB) || 5,
+  allowedMimeTypes: IMAGE_TYPES
+});
+
+module.exports = {
+  createSingleUpload,
+  uploadFormFile,
+  uploadImage
+};
@@ -1,5 +1,5 @@
 // Import required modules from express-validator
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 
 /**
  * Middleware to handle validation errors
@@ -64,6 +64,11 @@ const validateUserRegistration = [
     .matches(/^[\+]?[(]?[0-9]{3}[)]?[-\s\.]?[0-9]{3}[-\s\.]?[0-9]{4,6}$/)
     .withMessage('Please provide a valid phone number'),
   
+  body('invite_token')
+    .optional()
+    .isJWT()
+    .withMessage('Invalid invite link'),
+  
   body('year_of_study')
     .optional()
     .isInt({ min: 1, max: 5 })
@@ -74,11 +79,6 @@ const validateUserRegistration = [
     .isIn(['CSE', 'ECE', 'ME', 'CE', 'IT', 'Other'])
     .withMessage('Invalid branch'),
   
-  body('role')
-    .optional()
-    .isIn(['student', 'society_head', 'admin'])
-    .withMessage('Invalid role'),
-  
   handleValidationErrors
 ];
 
@@ -106,6 +106,289 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+/**
+ * Validation chain for profile updates
+ * Same rules as registration; all fields optional and empty values clear the field.
+ * email_preferences may switch individual email categories on or off
+ * 
+ * @type {Array<ValidationChain>}
+ */
+const validateProfileUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage('Name must be at least 2 characters')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  
+  body('phone')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[\+]?[(]?[0-9]{3}[)]?[-\s\.]?[0-9]{3}[-\s\.]?[0-9]{4,6}$/)
+    .withMessage('Please provide a valid phone number'),
+  
+  body('year_of_study')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Year of study must be between 1 and 5'),
+  
+  body('branch')
+    .optional({ values: 'falsy' })
+    .isIn(['CSE', 'ECE', 'ME', 'CE', 'IT', 'Other'])
+    .withMessage('Invalid branch'),
+  
+  body(['photo_url', 'photo_thumbnail_url'])
+    .optional({ values: 'falsy' })
+    .isURL({ require_tld: false })
+    .withMessage('Invalid photo URL'),
+  
+  body('email_preferences')
+    .optional()
+    .isObject()
+    .withMessage('Email preferences must be an object')
+    .custom(value => Object.keys(value).every(key => [
+      'registration_confirmations',
+      'status_updates',
+      'team_invites',
+      'event_cancellations',
+      'event_reminders'
+    ].includes(key)))
+    .withMessage('Unknown email preference'),
+  
+  body('email_preferences.*')
+    .isBoolean({ strict: true })
+    .withMessage('Email preferences must be true or false'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation chain for changing password while signed in
+ * 
+ * @type {Array<ValidationChain>}
+ */
+const validatePasswordChange = [
+  body('current_password')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  
+  body('new_password')
+    .trim()
+    .notEmpty()
+    .withMessage('New password is required')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+    .custom((value, { req }) => {
+      if (value === req.body.current_password) {
+        throw new Error('New password must be different from the current password');
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation chain for requesting a password reset email
+ * 
+ * @type {Array<ValidationChain>}
+ */
+const validateForgotPassword = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation chain for setting a new password with a reset token
+ * 
+ * @type {Array<ValidationChain>}
+ */
+const validateResetPassword = [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Reset token is required')
+    .isHexadecimal()
+    .withMessage('Invalid reset token'),
+  
+  body('password')
+    .trim()
+    .notEmpty()
+    .withMessage('Password is required')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation chain for confirming an email address
+ * 
+ * @type {Array<ValidationChain>}
+ */
+const validateVerifyEmail = [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Verification token is required')
+    .isHexadecimal()
+    .withMessage('Invalid verification token'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation chain for requests carrying a refresh token
+ * 
+ * @type {Array<ValidationChain>}
+ */
+const validateRefreshToken = [
+  body('refresh_token')
+    .trim()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+    .matches(/^[a-f0-9]{24}\.[a-f0-9]+$/)
+    .withMessage('Invalid refresh token'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation chain for an admin changing a user's role
+ * 
+ * @type {Array<ValidationChain>}
+ */
+const validateRoleChange = [
+  body('role')
+    .notEmpty()
+    .withMessage('Role is required')
+    .isIn(['student', 'society_head', 'admin'])
+    .withMessage('Invalid role'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation chain for an admin activating or deactivating a user
+ * 
+ * @type {Array<ValidationChain>}
+ */
+const validateUserStatusChange = [
+  body('is_active')
+    .isBoolean({ strict: true })
+    .withMessage('is_active must be true or false'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation chain for event search and listing filters
+ * 
+ * @type {Array<ValidationChain>}
+ */
+const validateEventSearch = [
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Search text cannot exceed 200 characters'),
+  
+  query(['from', 'to'])
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('from and to must be valid dates'),
+  
+  query('registration_open')
+    .optional({ values: 'falsy' })
+    .isIn(['true', 'false'])
+    .withMessage('registration_open must be true or false'),
+  
+  query('registration_mode')
+    .optional({ values: 'falsy' })
+    .isIn(['individual', 'team'])
+    .withMessage('Registration mode must be individual or team'),
+  
+  query('society_id')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid society ID'),
+  
+  query('skip')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('skip must be a whole number'),
+  
+  // A limit of 0 would mean no limit to MongoDB
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be a whole number from 1 to 100'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation chain for an admin cancelling or restoring an event
+ * A reason is required to cancel, since attendees are shown it
+ * 
+ * @type {Array<ValidationChain>}
+ */
+const validateEventStatusChange = [
+  body('action')
+    .isIn(['cancel', 'restore'])
+    .withMessage('Action must be "cancel" or "restore"'),
+  
+  body('reason')
+    .if(body('action').equals('cancel'))
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required to cancel an event'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation chain for an organizer cancelling their event
+ * 
+ * @type {Array<ValidationChain>}
+ */
+const validateEventCancellation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required to cancel an event')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
 /**
  * Validation chain for event creation
  * Validates all required event fields
@@ -209,6 +492,16 @@ const validateEventCreation = [
     .isMongoId()
     .withMessage('Invalid society ID'),
   
+  body('poster_url')
+    .optional()
+    .isURL({ require_tld: false })
+    .withMessage('Invalid poster URL'),
+  
+  body('poster_thumbnail_url')
+    .optional()
+    .isURL({ require_tld: false })
+    .withMessage('Invalid poster thumbnail URL'),
+  
   handleValidationErrors
 ];
 
@@ -244,9 +537,59 @@ const validateEventUpdate = [
   
   body('poster_url')
     .optional()
-    .isURL()
+    .isURL({ require_tld: false })
     .withMessage('Invalid poster URL'),
   
+  body('poster_thumbnail_url')
+    .optional()
+    .isURL({ require_tld: false })
+    .withMessage('Invalid poster thumbnail URL'),
+
+  body(['start_datetime', 'end_datetime', 'registration_start_datetime', 'registration_end_datetime'])
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid ISO 8601 date format'),
+
+  body('registration_mode')
+    .optional()
+    .isIn(['individual', 'team'])
+    .withMessage('Registration mode must be either "individual" or "team"'),
+
+  body('min_team_size')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Minimum team size must be at least 1'),
+
+  body('max_team_size')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Maximum team size must be at least 1'),
+
+  // null removes the capacity limit
+  body('max_teams')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Maximum teams must be at least 1'),
+
+  body('registration_open')
+    .optional()
+    .isBoolean()
+    .withMessage('Registration open must be true or false'),
+
+  body('form_fields')
+    .optional()
+    .isArray()
+    .withMessage('Form fields must be an array'),
+
+  body('form_fields.*.label')
+    .trim()
+    .notEmpty()
+    .withMessage('Field label is required'),
+
+  body('form_fields.*.field_type')
+    .isIn(['short_text', 'long_text', 'number', 'email', 'phone', 'select', 'multi_select', 'date', 'file', 'url'])
+    .withMessage('Invalid field type'),
+
   handleValidationErrors
 ];
 
@@ -279,6 +622,25 @@ const validateRegistration = [
     .isMongoId()
     .withMessage('Invalid team member user ID'),
   
+  body('team_members_info')
+    .optional()
+    .isArray()
+    .withMessage('Team members must be an array'),
+  
+  // Normalized the same way as sign-up emails so invites match the account later
+  body('team_members_info.*.email')
+    .trim()
+    .isEmail()
+    .withMessage('Invalid team member email')
+    .normalizeEmail()
+    .toLowerCase(),
+  
+  body('team_members_info.*.name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Team member name cannot exceed 100 characters'),
+  
   body('form_answers')
     .optional()
     .isArray()
@@ -287,12 +649,177 @@ const validateRegistration = [
   handleValidationErrors
 ];
 
+/**
+ * Validation chain for registration status update
+ * Validates new status and optional reason
+ *
+ * @type {Array<ValidationChain>}
+ */
+const validateRegistrationStatus = [
+  body('status')
+    .notEmpty()
+    .withMessage('Status is required')
+    .isIn(['pending', 'confirmed', 'waitlisted', 'rejected', 'cancelled'])
+    .withMessage('Invalid registration status'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation chain for cancelling a registration
+ * Validates the optional reason kept in its status history
+ *
+ * @type {Array<ValidationChain>}
+ */
+const validateRegistrationCancellation = [
+  body('reason')
+    .optional()
+    .isString()
+    .withMessage('Reason must be text')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation chain for event check-in
+ * Validates scanned ticket token
+ *
+ * @type {Array<ValidationChain>}
+ */
+const validateCheckIn = [
+  body('ticket_token')
+    .trim()
+    .notEmpty()
+    .withMessage('Ticket token is required')
+    .isJWT()
+    .withMessage('Invalid ticket format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation chain for society creation
+ * Validates name, contact email and optional head
+ *
+ * @type {Array<ValidationChain>}
+ */
+const validateSocietyCreation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Society name is required')
+    .isLength({ min: 3 })
+    .withMessage('Name must be at least 3 characters')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('contact_email')
+    .trim()
+    .notEmpty()
+    .withMessage('Contact email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+
+  body('logo_url')
+    .optional()
+    .isURL({ require_tld: false })
+    .withMessage('Invalid logo URL'),
+
+  body('logo_thumbnail_url')
+    .optional()
+    .isURL({ require_tld: false })
+    .withMessage('Invalid logo thumbnail URL'),
+
+  body('head_id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid head user ID'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation chain for society update
+ * Similar to creation but fields are optional
+ *
+ * @type {Array<ValidationChain>}
+ */
+const validateSocietyUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Name must be between 3 and 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('contact_email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+
+  body('logo_url')
+    .optional()
+    .isURL({ require_tld: false })
+    .withMessage('Invalid logo URL'),
+
+  body('logo_thumbnail_url')
+    .optional()
+    .isURL({ require_tld: false })
+    .withMessage('Invalid logo thumbnail URL'),
+
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be a boolean'),
+
+  handleValidationErrors
+];
+
 // Export all validation chains
 module.exports = {
   validateUserRegistration,
   validateUserLogin,
+  validateProfileUpdate,
+  validatePasswordChange,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateRefreshToken,
+  validateRoleChange,
+  validateUserStatusChange,
+  validateEventStatusChange,
+  validateEventCancellation,
   validateEventCreation,
   validateEventUpdate,
+  validateEventSearch,
   validateRegistration,
+  validateRegistrationStatus,
+  validateRegistrationCancellation,
+  validateCheckIn,
+  validateSocietyCreation,
+  validateSocietyUpdate,
   handleValidationErrors
 };
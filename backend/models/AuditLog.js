@@ -0,0 +1,125 @@
+// Import required modules
+const mongoose = require('mongoose');
+
+/**
+ * AuditLog Schema for campus event management system
+ * One document per sensitive action, recording who did what to which record
+ */
+const auditLogSchema = new mongoose.Schema({
+  /**
+   * Reference to User who performed the action
+   * @type {ObjectId}
+   * @ref User
+   */
+  actor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  /**
+   * Role the actor held at the time
+   * @type {String}
+   */
+  actor_role: {
+    type: String
+  },
+
+  /**
+   * What was done, as <target>.<verb> (e.g. event.cancel)
+   * @type {String}
+   * @required
+   */
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    match: [/^[a-z_]+\.[a-z_]+$/, 'Action must look like target.verb']
+  },
+
+  /**
+   * Model name of the record acted on
+   * @type {String}
+   * @required
+   */
+  target_type: {
+    type: String,
+    required: [true, 'Target type is required'],
+    enum: {
+      values: ['User', 'Society', 'Event', 'Registration'],
+      message: '{VALUE} is not a valid target type'
+    }
+  },
+
+  /**
+   * Reference to the record acted on
+   * @type {ObjectId}
+   * @required
+   */
+  target_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Target ID is required'],
+    refPath: 'target_type'
+  },
+
+  /**
+   * Values of the changed fields before the action
+   * @type {Object}
+   */
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  /**
+   * Values of the changed fields after the action
+   * @type {Object}
+   */
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  /**
+   * Reason given for the action
+   * @type {String}
+   */
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  /**
+   * IP address the request came from
+   * @type {String}
+   */
+  ip: {
+    type: String
+  },
+
+  /**
+   * User-Agent header of the request
+   * @type {String}
+   */
+  user_agent: {
+    type: String,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+
+  /**
+   * Time the action was taken
+   * @type {Date}
+   */
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Newest-first listing, optionally narrowed to one record, actor or action
+auditLogSchema.index({ created_at: -1 });
+auditLogSchema.index({ target_type: 1, target_id: 1, created_at: -1 });
+auditLogSchema.index({ actor_id: 1, created_at: -1 });
+auditLogSchema.index({ action: 1, created_at: -1 });
+
+// Create and export AuditLog model
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,175 @@
+// Import required modules
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Token purposes and how long each stays valid
+ */
+const TOKEN_LIFETIMES = {
+  password_reset: 60 * 60 * 1000,
+  email_verification: 24 * 60 * 60 * 1000,
+  stream_ticket: 60 * 1000
+};
+
+/**
+ * Hash a raw token for storage and lookup
+ * Only the hash is stored, so a database leak does not expose usable tokens
+ *
+ * @param {String} token - Raw token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * AuthToken Schema for campus event management system
+ * Single-use, expiring tokens sent by email for password reset and email verification,
+ * and tickets that open a real-time stream without putting the access token in the URL
+ */
+const authTokenSchema = new mongoose.Schema({
+  /**
+   * Reference to User the token was issued for
+   * @type {ObjectId}
+   * @required
+   * @ref User
+   */
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User ID is required'],
+    ref: 'User'
+  },
+
+  /**
+   * What the token may be used for
+   * @type {String}
+   * @required
+   */
+  purpose: {
+    type: String,
+    required: [true, 'Token purpose is required'],
+    enum: {
+      values: Object.keys(TOKEN_LIFETIMES),
+      message: '{VALUE} is not a valid token purpose'
+    }
+  },
+
+  /**
+   * SHA-256 hash of the token sent to the user
+   * @type {String}
+   * @required
+   */
+  token_hash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+
+  /**
+   * Time after which the token is rejected
+   * @type {Date}
+   * @required
+   */
+  expires_at: {
+    type: Date,
+    required: [true, 'Expiry time is required']
+  },
+
+  /**
+   * Session a stream ticket was issued from; the stream ends with it
+   * @type {ObjectId}
+   * @ref Session
+   */
+  session_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+
+  /**
+   * When the access token that requested a stream ticket expires
+   * The stream is closed then, so it lasts no longer than the token would
+   * @type {Date}
+   */
+  access_expires_at: {
+    type: Date,
+    default: null
+  },
+
+  /**
+   * Time the token was used; set once
+   * @type {Date}
+   */
+  used_at: {
+    type: Date,
+    default: null
+  },
+
+  /**
+   * Token creation timestamp
+   * @type {Date}
+   */
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Look up outstanding tokens per user
+authTokenSchema.index({ user_id: 1, purpose: 1 });
+
+// Let MongoDB remove tokens a day after they expire
+authTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+/**
+ * Static method to issue a new token
+ * Emailed tokens replace any unused token for the same purpose; stream tickets
+ * do not, since each open tab asks for its own
+ * @param {ObjectId|String} userId - User ID
+ * @param {String} purpose - Token purpose
+ * @param {Object} [extra] - session_id and access_expires_at for stream tickets
+ * @returns {Promise<Object>} { token, expires_at } where token is the raw value to send
+ */
+authTokenSchema.statics.issue = async function(userId, purpose, extra = {}) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + TOKEN_LIFETIMES[purpose]);
+
+  if (purpose !== 'stream_ticket') {
+    await this.deleteMany({ user_id: userId, purpose, used_at: null });
+  }
+
+  await this.create({
+    ...extra,
+    user_id: userId,
+    purpose,
+    token_hash: hashToken(token),
+    expires_at: expiresAt
+  });
+
+  return { token, expires_at: expiresAt };
+};
+
+/**
+ * Static method to use a token
+ * Marks it used in the same operation that finds it, so it works only once
+ * @param {String} token - Raw token from the email link
+ * @param {String} purpose - Expected purpose
+ * @returns {Promise<Object|null>} The token document, or null if invalid, expired or used
+ */
+authTokenSchema.statics.consume = function(token, purpose) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      token_hash: hashToken(token),
+      purpose,
+      used_at: null,
+      expires_at: { $gt: now }
+    },
+    { $set: { used_at: now } },
+    { new: true }
+  );
+};
+
+// Create and export AuthToken model
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+
+module.exports = AuthToken;
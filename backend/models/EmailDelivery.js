@@ -0,0 +1,90 @@
+// Import required modules
+const mongoose = require('mongoose');
+
+/**
+ * Email Delivery Schema for campus event management system
+ * Ledger of notification and reminder emails. The unique key is claimed
+ * before sending, so an email is never sent twice, even across restarts
+ * or by several server instances
+ */
+const emailDeliverySchema = new mongoose.Schema({
+  /**
+   * Identifies the email, e.g. notification:<id> or reminder:<event>:<hours>:<start>:<user>
+   * @type {String}
+   * @required
+   * @unique
+   */
+  key: {
+    type: String,
+    required: [true, 'Delivery key is required'],
+    unique: true
+  },
+
+  /**
+   * Reference to User the email is for
+   * @type {ObjectId}
+   * @required
+   * @ref User
+   */
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User ID is required'],
+    ref: 'User'
+  },
+
+  /**
+   * Email preference category the email belongs to
+   * @type {String}
+   * @required
+   */
+  category: {
+    type: String,
+    required: [true, 'Email category is required']
+  },
+
+  /**
+   * Delivery state; sending until the transport accepts or rejects the message
+   * @type {String}
+   */
+  status: {
+    type: String,
+    enum: {
+      values: ['sending', 'sent', 'failed'],
+      message: '{VALUE} is not a valid delivery status'
+    },
+    default: 'sending'
+  },
+
+  /**
+   * Transport error for failed deliveries
+   * @type {String}
+   */
+  error: {
+    type: String
+  },
+
+  /**
+   * Time the transport accepted the message
+   * @type {Date}
+   */
+  sent_at: {
+    type: Date
+  },
+
+  /**
+   * Delivery creation timestamp
+   * @type {Date}
+   */
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Let MongoDB remove delivery records after 90 days
+emailDeliverySchema.index({ created_at: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Create and export EmailDelivery model
+const EmailDelivery = mongoose.model('EmailDelivery', emailDeliverySchema);
+
+module.exports = EmailDelivery;
@@ -165,6 +165,14 @@ const eventSchema = new mongoose.Schema({
     type: String
   },
 
+  /**
+   * URL to resized poster thumbnail for cards and lists
+   * @type {String}
+   */
+  poster_thumbnail_url: {
+    type: String
+  },
+
   /**
    * Maximum number of teams allowed
    * @type {Number}
@@ -174,6 +182,17 @@ const eventSchema = new mongoose.Schema({
     min: [1, 'Maximum teams must be at least 1']
   },
 
+  /**
+   * Number of registrations currently holding a seat (pending or confirmed)
+   * Maintained atomically by Registration seat helpers; do not set directly
+   * @type {Number}
+   */
+  seats_taken: {
+    type: Number,
+    default: 0,
+    min: [0, 'Seats taken cannot be negative']
+  },
+
   /**
    * Whether registration is currently open
    * @type {Boolean}
@@ -287,6 +306,43 @@ const eventSchema = new mongoose.Schema({
     default: 'draft'
   },
 
+  /**
+   * Status the event had before it was cancelled, restored on un-cancel
+   * @type {String}
+   */
+  status_before_cancel: {
+    type: String,
+    enum: ['draft', 'published', 'ongoing', 'completed']
+  },
+
+  /**
+   * Time the event was cancelled
+   * @type {Date}
+   */
+  cancelled_at: {
+    type: Date
+  },
+
+  /**
+   * Reference to User who cancelled the event
+   * @type {ObjectId}
+   * @ref User
+   */
+  cancelled_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  /**
+   * Reason given for the cancellation, shown to attendees
+   * @type {String}
+   */
+  cancellation_reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  },
+
   /**
    * Dynamic form fields for registration
    * @type {Array<FormField>}
@@ -321,6 +377,12 @@ const eventSchema = new mongoose.Schema({
 eventSchema.index({ event_type: 1, event_status: 1, start_datetime: 1 });
 eventSchema.index({ society_id: 1, event_status: 1 });
 
+// Keyword search over title, venue and description, ranked by relevance
+eventSchema.index(
+  { title: 'text', venue: 'text', description: 'text' },
+  { name: 'event_text_search', weights: { title: 10, venue: 4, description: 1 } }
+);
+
 /**
  * Pre-save middleware to auto-generate field_id for form fields
  * Ensures each form field has a unique identifier
@@ -341,6 +403,45 @@ eventSchema.pre('save', function(next) {
   next();
 });
 
+/**
+ * Instance method to cancel the event, remembering its status for a later restore
+ * Does not save the document
+ * @param {ObjectId|String} cancelledBy - User cancelling the event
+ * @param {String} reason - Reason shown to attendees
+ */
+eventSchema.methods.cancel = function(cancelledBy, reason) {
+  this.status_before_cancel = this.event_status;
+  this.event_status = 'cancelled';
+  this.cancelled_at = new Date();
+  this.cancelled_by = cancelledBy;
+  this.cancellation_reason = reason;
+};
+
+/**
+ * Instance method to check whether a cancellation can still be undone
+ * @param {Number} graceMs - How long after cancelling a restore is allowed
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Boolean} True if the event is cancelled and within the grace period
+ */
+eventSchema.methods.canRestore = function(graceMs, now = new Date()) {
+  return this.event_status === 'cancelled' &&
+    Boolean(this.cancelled_at) &&
+    now.getTime() - this.cancelled_at.getTime() <= graceMs;
+};
+
+/**
+ * Instance method to undo a cancellation
+ * The lifecycle scheduler moves a restored event on if its dates have passed
+ * Does not save the document
+ */
+eventSchema.methods.restore = function() {
+  this.event_status = this.status_before_cancel || 'published';
+  this.status_before_cancel = undefined;
+  this.cancelled_at = undefined;
+  this.cancelled_by = undefined;
+  this.cancellation_reason = undefined;
+};
+
 // Create and export Event model
 const Event = mongoose.model('Event', eventSchema);
 
@@ -0,0 +1,124 @@
+// Import required modules
+const mongoose = require('mongoose');
+
+/**
+ * Notification types and what triggers them
+ */
+const NOTIFICATION_TYPES = [
+  'registration_created', // The user's own registration was received
+  'team_invite',          // Invited to join a team
+  'invitation_response',  // A team member accepted or declined the leader's invite
+  'registration_status',  // A registration was confirmed, rejected, waitlisted, etc.
+  'event_update',         // An event the user is registered for was edited
+  'event_cancelled'       // An event the user is registered for was cancelled
+];
+
+/**
+ * Notification Schema for campus event management system
+ * In-app messages shown in the notification center, kept until read or expired
+ */
+const notificationSchema = new mongoose.Schema({
+  /**
+   * Reference to User the notification is for
+   * @type {ObjectId}
+   * @required
+   * @ref User
+   */
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User ID is required'],
+    ref: 'User'
+  },
+
+  /**
+   * What the notification is about
+   * @type {String}
+   * @required
+   */
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    enum: {
+      values: NOTIFICATION_TYPES,
+      message: '{VALUE} is not a valid notification type'
+    }
+  },
+
+  /**
+   * Short headline
+   * @type {String}
+   * @required
+   */
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    maxlength: [300, 'Title cannot exceed 300 characters']
+  },
+
+  /**
+   * Notification body
+   * @type {String}
+   */
+  message: {
+    type: String,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+
+  /**
+   * Frontend path to open when the notification is clicked
+   * @type {String}
+   */
+  link: {
+    type: String
+  },
+
+  /**
+   * Reference to the related event
+   * @type {ObjectId}
+   * @ref Event
+   */
+  event_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+
+  /**
+   * Reference to the related registration
+   * @type {ObjectId}
+   * @ref Registration
+   */
+  registration_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration'
+  },
+
+  /**
+   * Time the user read the notification; null while unread
+   * @type {Date}
+   */
+  read_at: {
+    type: Date,
+    default: null
+  },
+
+  /**
+   * Notification creation timestamp
+   * @type {Date}
+   */
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Newest-first listing and unread counts per user
+notificationSchema.index({ user_id: 1, created_at: -1 });
+notificationSchema.index({ user_id: 1, read_at: 1 });
+
+// Let MongoDB remove notifications after 90 days
+notificationSchema.index({ created_at: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Create and export Notification model
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -4,20 +4,49 @@ const mongoose = require('mongoose');
 /**
  * Members Subdocument Schema
  * Represents team members in a team registration
+ * People invited by email before they have an account are stored with
+ * email and name instead of user_id until they sign up
  */
 const memberSchema = new mongoose.Schema({
   /**
    * Reference to User who is a team member
    * @type {ObjectId}
-   * @required
+   * @required Unless invite_status is pending_registration
    * @ref User
    */
   user_id: {
     type: mongoose.Schema.Types.ObjectId,
-    required: [true, 'User ID is required'],
+    required: [
+      function() { return this.invite_status !== 'pending_registration'; },
+      'User ID is required'
+    ],
     ref: 'User'
   },
 
+  /**
+   * Email address invited to join (pending_registration members only)
+   * @type {String}
+   */
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    required: [
+      function() { return this.invite_status === 'pending_registration'; },
+      'Email is required for members invited by email'
+    ]
+  },
+
+  /**
+   * Name given by the leader for a member invited by email
+   * @type {String}
+   */
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
   /**
    * Role of member in the team
    * @type {String}
@@ -38,7 +67,7 @@ const memberSchema = new mongoose.Schema({
   invite_status: {
     type: String,
     enum: {
-      values: ['auto_added', 'invited', 'accepted', 'declined'],
+      values: ['auto_added', 'invited', 'accepted', 'declined', 'pending_registration'],
       message: '{VALUE} is not a valid invite status'
     },
     default: 'auto_added'
@@ -109,9 +138,144 @@ const answerSchema = new mongoose.Schema({
    */
   value_date: {
     type: Date
+  },
+
+  /**
+   * Selected options for multi_select fields
+   * @type {Array<String>}
+   */
+  value_list: {
+    type: [String],
+    default: undefined
+  },
+
+  /**
+   * Uploaded file for file fields
+   * @type {ObjectId}
+   * @ref Upload
+   */
+  value_file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Upload'
+  }
+}, { _id: false });
+
+/**
+ * Status History Subdocument Schema
+ * Records every status change made to a registration
+ */
+const statusHistorySchema = new mongoose.Schema({
+  /**
+   * Status before the change
+   * @type {String}
+   */
+  from_status: {
+    type: String
+  },
+
+  /**
+   * Status after the change
+   * @type {String}
+   * @required
+   */
+  to_status: {
+    type: String,
+    required: [true, 'New status is required']
+  },
+
+  /**
+   * Reference to User who made the change
+   * @type {ObjectId}
+   * @ref User
+   */
+  changed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  /**
+   * Timestamp of the change
+   * @type {Date}
+   */
+  changed_at: {
+    type: Date,
+    default: Date.now
+  },
+
+  /**
+   * Optional reason given for the change
+   * @type {String}
+   */
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  }
+}, { _id: false });
+
+/**
+ * Attendance Subdocument Schema
+ * Records event-day check-in for each attendee
+ */
+const attendanceSchema = new mongoose.Schema({
+  /**
+   * Reference to User who checked in
+   * @type {ObjectId}
+   * @required
+   * @ref User
+   */
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User ID is required'],
+    ref: 'User'
+  },
+
+  /**
+   * Timestamp of check-in
+   * @type {Date}
+   */
+  checked_in_at: {
+    type: Date,
+    default: Date.now
+  },
+
+  /**
+   * Reference to organizer who scanned the ticket
+   * @type {ObjectId}
+   * @ref User
+   */
+  checked_in_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, { _id: false });
 
+/**
+ * Allowed registration status transitions
+ * Keys are current statuses, values are the statuses they may move to
+ */
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'waitlisted', 'rejected', 'cancelled'],
+  waitlisted: ['pending', 'confirmed', 'rejected', 'cancelled'],
+  confirmed: ['rejected', 'cancelled'],
+  rejected: ['pending'],
+  cancelled: []
+};
+
+/**
+ * Statuses that occupy a seat towards Event.max_teams
+ */
+const SEAT_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * Statuses of registrations that are still in play for an event
+ */
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'waitlisted'];
+
+/**
+ * Event statuses in which seats can still be taken
+ */
+const SEATING_EVENT_STATUSES = ['published', 'ongoing'];
+
 /**
  * Registration Schema for campus event management system
  * Handles both individual and team-based event registrations
@@ -187,6 +351,24 @@ const registrationSchema = new mongoose.Schema({
     default: 'pending'
   },
 
+  /**
+   * Timestamp when registration joined the waitlist
+   * Used to order the waitlist queue
+   * @type {Date}
+   */
+  waitlisted_at: {
+    type: Date
+  },
+
+  /**
+   * Set when the registration was cancelled because its event was cancelled
+   * Such registrations return to their previous status if the event is restored
+   * @type {Boolean}
+   */
+  cancelled_with_event: {
+    type: Boolean
+  },
+
   /**
    * Team members (for team registrations)
    * @type {Array<Member>}
@@ -205,6 +387,24 @@ const registrationSchema = new mongoose.Schema({
     default: []
   },
 
+  /**
+   * History of status changes
+   * @type {Array<StatusHistory>}
+   */
+  status_history: {
+    type: [statusHistorySchema],
+    default: []
+  },
+
+  /**
+   * Event-day attendance (one entry per checked-in attendee)
+   * @type {Array<Attendance>}
+   */
+  attendance: {
+    type: [attendanceSchema],
+    default: []
+  },
+
   /**
    * Registration creation timestamp
    * @type {Date}
@@ -223,6 +423,8 @@ registrationSchema.index({ event_id: 1, leader_user_id: 1 }, { unique: true });
 // Create indexes for efficient queries
 registrationSchema.index({ event_id: 1, status: 1 });
 registrationSchema.index({ leader_user_id: 1 });
+registrationSchema.index({ event_id: 1, status: 1, waitlisted_at: 1 });
+registrationSchema.index({ 'members.email': 1 });
 
 /**
  * Pre-save validation for team size
@@ -257,6 +459,428 @@ registrationSchema.pre('save', async function(next) {
   }
 });
 
+/**
+ * Static method to check whether a status transition is allowed
+ * @param {String} fromStatus - Current status
+ * @param {String} toStatus - Requested status
+ * @returns {Boolean} True if the transition is allowed
+ */
+registrationSchema.statics.canTransition = function(fromStatus, toStatus) {
+  return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+/**
+ * Instance method to change status and record it in status_history
+ * Does not save the document
+ * @param {String} toStatus - New status
+ * @param {ObjectId|String} changedBy - User making the change
+ * @param {String} [reason] - Optional reason for the change
+ */
+registrationSchema.methods.changeStatus = function(toStatus, changedBy, reason) {
+  this.status_history.push({
+    from_status: this.status,
+    to_status: toStatus,
+    changed_by: changedBy,
+    changed_at: new Date(),
+    reason
+  });
+  this.status = toStatus;
+  
+  // Joining the waitlist puts the registration at the back of the queue
+  if (toStatus === 'waitlisted') {
+    this.waitlisted_at = new Date();
+  }
+};
+
+/**
+ * Instance method to list users who may attend under this registration
+ * The leader plus accepted team members
+ * @returns {Array<String>} Attendee user IDs
+ */
+registrationSchema.methods.getAttendeeIds = function() {
+  const toId = (ref) => (ref?._id || ref).toString();
+  const ids = [toId(this.leader_user_id)];
+  
+  this.members.forEach(member => {
+    if (['accepted', 'auto_added'].includes(member.invite_status)) {
+      const memberId = toId(member.user_id);
+      if (!ids.includes(memberId)) {
+        ids.push(memberId);
+      }
+    }
+  });
+  
+  return ids;
+};
+
+/**
+ * Static method to attach a user to active teams that invited their email address
+ * Matching pending_registration members become ordinary invites for the user to accept or decline.
+ * Only verified addresses can claim, so nobody can take an invite by signing up with someone else's email
+ * @param {Object} user - User whose email is verified
+ * @returns {Promise<Array>} Registrations the user was attached to
+ */
+registrationSchema.statics.claimEmailInvites = async function(user) {
+  if (!user.email_verified) {
+    return [];
+  }
+  
+  const registrations = await this.find({
+    status: { $in: ACTIVE_STATUSES },
+    members: { $elemMatch: { email: user.email, invite_status: 'pending_registration' } }
+  });
+  
+  for (const registration of registrations) {
+    registration.members.forEach(member => {
+      if (member.invite_status === 'pending_registration' && member.email === user.email) {
+        member.user_id = user._id;
+        member.invite_status = 'invited';
+        member.email = undefined;
+        member.name = undefined;
+        member.added_at = new Date();
+      }
+    });
+    
+    await registration.save();
+  }
+  
+  return registrations;
+};
+
+/**
+ * Static method to count registrations holding a seat for an event
+ * @param {ObjectId|String} eventId - Event ID
+ * @returns {Promise<Number>} Number of seat-holding registrations
+ */
+registrationSchema.statics.countSeatsTaken = function(eventId) {
+  return this.countDocuments({
+    event_id: eventId,
+    status: { $in: SEAT_STATUSES }
+  });
+};
+
+/**
+ * Static method to check whether an event has any active registrations
+ * @param {ObjectId|String} eventId - Event ID
+ * @returns {Promise<Boolean>} True if a pending, confirmed or waitlisted registration exists
+ */
+registrationSchema.statics.hasActiveRegistrations = async function(eventId) {
+  const registration = await this.exists({
+    event_id: eventId,
+    status: { $in: ACTIVE_STATUSES }
+  });
+  
+  return Boolean(registration);
+};
+
+/**
+ * Static method to get the smallest and largest team among active registrations
+ * @param {ObjectId|String} eventId - Event ID
+ * @returns {Promise<Object|null>} { min, max } member counts, or null if none
+ */
+registrationSchema.statics.getTeamSizeRange = async function(eventId) {
+  const [range] = await this.aggregate([
+    {
+      $match: {
+        event_id: new mongoose.Types.ObjectId(String(eventId)),
+        mode: 'team',
+        status: { $in: ACTIVE_STATUSES }
+      }
+    },
+    { $project: { size: { $size: '$members' } } },
+    { $group: { _id: null, min: { $min: '$size' }, max: { $max: '$size' } } }
+  ]);
+  
+  return range ? { min: range.min, max: range.max } : null;
+};
+
+/**
+ * Static method to get a registration's 1-based position in the waitlist
+ * @param {Object} registration - Registration document
+ * @returns {Promise<Number|null>} Queue position, or null if not waitlisted
+ */
+registrationSchema.statics.getWaitlistPosition = async function(registration) {
+  if (registration.status !== 'waitlisted') {
+    return null;
+  }
+  
+  const ahead = await this.countDocuments({
+    event_id: registration.event_id?._id || registration.event_id,
+    status: 'waitlisted',
+    waitlisted_at: { $lt: registration.waitlisted_at }
+  });
+  
+  return ahead + 1;
+};
+
+/**
+ * Static method to initialise an event's seat counter from its registrations
+ * Only needed for events created before seats_taken existed
+ * @param {ObjectId|String} eventId - Event ID
+ */
+registrationSchema.statics.initSeatCounter = async function(eventId) {
+  const Event = mongoose.model('Event');
+  const seatsTaken = await this.countSeatsTaken(eventId);
+  
+  await Event.updateOne(
+    { _id: eventId, seats_taken: { $exists: false } },
+    { $set: { seats_taken: seatsTaken } }
+  );
+};
+
+/**
+ * Static method to atomically reserve a seat for an event
+ * The capacity and event status checks and the increment happen in a single
+ * update, so concurrent registrations cannot overbook the event or take a
+ * seat once it has been cancelled or closed
+ * @param {Object} event - Event document
+ * @param {Object} [options]
+ * @param {Boolean} [options.requireOpen=true] - Also require registration_open;
+ *                  waitlist promotions skip this since those users already registered
+ * @returns {Promise<Boolean>} True if a seat was reserved
+ */
+registrationSchema.statics.reserveSeat = async function(event, { requireOpen = true } = {}) {
+  const Event = mongoose.model('Event');
+  
+  // A defaulted counter means the stored event predates seats_taken
+  if (event.$isDefault('seats_taken')) {
+    await this.initSeatCounter(event._id);
+  }
+  
+  const updated = await Event.findOneAndUpdate(
+    {
+      _id: event._id,
+      event_status: { $in: SEATING_EVENT_STATUSES },
+      ...(requireOpen && { registration_open: true }),
+      $or: [
+        { max_teams: null },
+        { $expr: { $lt: ['$seats_taken', '$max_teams'] } }
+      ]
+    },
+    { $inc: { seats_taken: 1 } },
+    { new: true }
+  );
+  
+  return Boolean(updated);
+};
+
+/**
+ * Static method to release a previously reserved seat
+ * @param {ObjectId|String} eventId - Event ID
+ */
+registrationSchema.statics.releaseSeat = async function(eventId) {
+  const Event = mongoose.model('Event');
+  
+  await Event.updateOne(
+    { _id: eventId, seats_taken: { $gt: 0 } },
+    { $inc: { seats_taken: -1 } }
+  );
+};
+
+/**
+ * Static method to move a registration to a new status and keep the seat counter in step
+ * A registration entering a seat takes it with the same conditional update as a new
+ * sign-up, so organizer decisions cannot push an event past max_teams. The status is
+ * only changed if it still matches the one the registration was read with, so two
+ * concurrent changes cannot both apply or count the same seat twice
+ * @param {Object} registration - Registration document as read
+ * @param {String} toStatus - New status
+ * @param {ObjectId|String} changedBy - User making the change
+ * @param {String} [reason] - Optional reason for the change
+ * @returns {Promise<Object>} { registration } with the updated document on success,
+ *          otherwise { error } set to 'no_seat' or 'status_changed'
+ */
+registrationSchema.statics.transitionStatus = async function(registration, toStatus, changedBy, reason) {
+  const Event = mongoose.model('Event');
+  const fromStatus = registration.status;
+  const heldSeat = SEAT_STATUSES.includes(fromStatus);
+  const holdsSeat = SEAT_STATUSES.includes(toStatus);
+  const takesSeat = !heldSeat && holdsSeat;
+  
+  if (takesSeat) {
+    const event = await Event.findById(registration.event_id);
+    
+    if (!event || !(await this.reserveSeat(event, { requireOpen: false }))) {
+      return { error: 'no_seat' };
+    }
+  }
+  
+  const changes = { status: toStatus };
+  
+  // Joining the waitlist puts the registration at the back of the queue
+  if (toStatus === 'waitlisted') {
+    changes.waitlisted_at = new Date();
+  }
+  
+  let updated;
+  try {
+    updated = await this.findOneAndUpdate(
+      { _id: registration._id, status: fromStatus },
+      {
+        $set: changes,
+        $push: {
+          status_history: {
+            from_status: fromStatus,
+            to_status: toStatus,
+            changed_by: changedBy,
+            changed_at: new Date(),
+            reason
+          }
+        }
+      },
+      { new: true, runValidators: true }
+    );
+  } catch (error) {
+    if (takesSeat) {
+      await this.releaseSeat(registration.event_id);
+    }
+    throw error;
+  }
+  
+  if (!updated) {
+    if (takesSeat) {
+      await this.releaseSeat(registration.event_id);
+    }
+    return { error: 'status_changed' };
+  }
+  
+  if (heldSeat && !holdsSeat) {
+    await this.releaseSeat(registration.event_id);
+  }
+  
+  return { registration: updated };
+};
+
+/**
+ * Static method to check whether a registration status occupies a seat
+ * @param {String} status - Registration status
+ * @returns {Boolean} True for seat-holding statuses
+ */
+registrationSchema.statics.holdsSeat = function(status) {
+  return SEAT_STATUSES.includes(status);
+};
+
+/**
+ * Static method to promote the oldest waitlisted registrations into free seats
+ * Promoted registrations move to pending, same as a fresh sign-up. An event
+ * without max_teams has a seat for everyone, so its whole waitlist is promoted
+ * @param {Object} event - Event document
+ * @param {Object} [options]
+ * @param {ObjectId|String} [options.except] - Registration to leave on the waitlist,
+ *                          such as one an organizer has just moved there
+ * @returns {Promise<Array>} Promoted registration documents
+ */
+registrationSchema.statics.promoteFromWaitlist = async function(event, { except } = {}) {
+  const promoted = [];
+  
+  while (await this.reserveSeat(event, { requireOpen: false })) {
+    // Claim the head of the queue atomically so concurrent promotions
+    // never pick the same registration
+    const next = await this.findOneAndUpdate(
+      {
+        event_id: event._id,
+        status: 'waitlisted',
+        ...(except && { _id: { $ne: except } })
+      },
+      {
+        $set: { status: 'pending' },
+        $push: {
+          status_history: {
+            from_status: 'waitlisted',
+            to_status: 'pending',
+            changed_at: new Date(),
+            reason: 'Promoted from waitlist'
+          }
+        }
+      },
+      { sort: { waitlisted_at: 1, created_at: 1 }, new: true }
+    );
+    
+    if (!next) {
+      await this.releaseSeat(event._id);
+      break;
+    }
+    
+    promoted.push(next);
+  }
+  
+  return promoted;
+};
+
+/**
+ * Static method to cancel every active registration when their event is cancelled
+ * Each status is moved with one conditional update so a registration changed
+ * concurrently is never overwritten, and the seat counter is cleared
+ * @param {ObjectId|String} eventId - Cancelled event
+ * @param {ObjectId|String} cancelledBy - User who cancelled the event
+ * @param {String} reason - Reason given for the cancellation
+ * @returns {Promise<Array>} Registrations as they were before cancelling
+ */
+registrationSchema.statics.cancelForEvent = async function(eventId, cancelledBy, reason) {
+  const Event = mongoose.model('Event');
+  const registrations = await this.find({ event_id: eventId, status: { $in: ACTIVE_STATUSES } });
+  const changedAt = new Date();
+  
+  await Promise.all(ACTIVE_STATUSES.map(status => this.updateMany(
+    { _id: { $in: registrations.map(registration => registration._id) }, status },
+    {
+      $set: { status: 'cancelled', cancelled_with_event: true },
+      $push: {
+        status_history: {
+          from_status: status,
+          to_status: 'cancelled',
+          changed_by: cancelledBy,
+          changed_at: changedAt,
+          reason: `Event cancelled: ${reason}`
+        }
+      }
+    }
+  )));
+  
+  await Event.updateOne({ _id: eventId }, { $set: { seats_taken: 0 } });
+  
+  return registrations;
+};
+
+/**
+ * Static method to undo cancelForEvent when the event is restored
+ * Registrations return to the status they had when the event was cancelled
+ * and the seat counter is rebuilt from them
+ * @param {ObjectId|String} eventId - Restored event
+ * @param {ObjectId|String} restoredBy - User who restored the event
+ * @returns {Promise<Array>} Restored registration documents
+ */
+registrationSchema.statics.restoreForEvent = async function(eventId, restoredBy) {
+  const Event = mongoose.model('Event');
+  const registrations = await this.find({
+    event_id: eventId,
+    status: 'cancelled',
+    cancelled_with_event: true
+  });
+  
+  for (const registration of registrations) {
+    const cancellation = registration.status_history
+      .filter(entry => entry.to_status === 'cancelled')
+      .pop();
+    const previousStatus = cancellation?.from_status || 'pending';
+    
+    registration.status_history.push({
+      from_status: 'cancelled',
+      to_status: previousStatus,
+      changed_by: restoredBy,
+      changed_at: new Date(),
+      reason: 'Event restored'
+    });
+    registration.status = previousStatus;
+    registration.cancelled_with_event = undefined;
+    await registration.save();
+  }
+  
+  await Event.updateOne({ _id: eventId }, { $set: { seats_taken: await this.countSeatsTaken(eventId) } });
+  
+  return registrations;
+};
+
 // Create and export Registration model
 const Registration = mongoose.model('Registration', registrationSchema);
 
@@ -0,0 +1,321 @@
+// Import required modules
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * How long a just-rotated refresh token may be presented again without being treated as stolen
+ */
+const ROTATION_GRACE_MS = 10 * 1000;
+
+/**
+ * Hash a refresh token secret for storage and comparison
+ *
+ * @param {String} secret - Raw secret part of a refresh token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+/**
+ * Read the refresh token lifetime from the environment
+ * A session expires after this long without a refresh
+ *
+ * @returns {Number} Lifetime in milliseconds
+ */
+const getRefreshLifetimeMs = () => {
+  const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Describe a browser and operating system from a User-Agent header
+ *
+ * @param {String} userAgent - User-Agent header
+ * @returns {String} Short label such as "Chrome on Windows"
+ */
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+/**
+ * Session Schema for campus event management system
+ * One document per signed-in device; holds the current refresh token
+ */
+const sessionSchema = new mongoose.Schema({
+  /**
+   * Reference to User who owns the session
+   * @type {ObjectId}
+   * @required
+   * @ref User
+   */
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User ID is required'],
+    ref: 'User'
+  },
+
+  /**
+   * Hash of the current refresh token secret
+   * @type {String}
+   * @required
+   */
+  refresh_token_hash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+    select: false
+  },
+
+  /**
+   * Hash of the refresh token secret that was rotated out last
+   * Presenting it again means the token was copied, so the session is revoked
+   * @type {String}
+   */
+  previous_token_hash: {
+    type: String,
+    select: false
+  },
+
+  /**
+   * Time the refresh token was last rotated
+   * @type {Date}
+   */
+  rotated_at: {
+    type: Date
+  },
+
+  /**
+   * Readable device label derived from the User-Agent
+   * @type {String}
+   */
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+
+  /**
+   * Raw User-Agent header at sign-in
+   * @type {String}
+   */
+  user_agent: {
+    type: String,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+
+  /**
+   * IP address the session was last used from
+   * @type {String}
+   */
+  ip: {
+    type: String
+  },
+
+  /**
+   * Last time the session was used
+   * @type {Date}
+   */
+  last_seen_at: {
+    type: Date,
+    default: Date.now
+  },
+
+  /**
+   * Time after which the refresh token is rejected
+   * @type {Date}
+   * @required
+   */
+  expires_at: {
+    type: Date,
+    required: [true, 'Expiry time is required']
+  },
+
+  /**
+   * Time the session was signed out or revoked
+   * @type {Date}
+   */
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+
+  /**
+   * Session creation timestamp
+   * @type {Date}
+   */
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// List a user's sessions
+sessionSchema.index({ user_id: 1, revoked_at: 1 });
+
+// Let MongoDB remove sessions a day after they expire
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+/**
+ * Build the refresh token handed to the client
+ * The session ID prefix allows lookup; only the secret's hash is stored
+ *
+ * @param {ObjectId} sessionId - Session ID
+ * @param {String} secret - Random secret
+ * @returns {String} Refresh token
+ */
+const formatRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+/**
+ * Static method to start a session for a user signing in
+ * @param {ObjectId|String} userId - User ID
+ * @param {Object} req - Express request, for device and IP
+ * @returns {Promise<Object>} { session, refreshToken }
+ */
+sessionSchema.statics.start = async function(userId, req) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const userAgent = (req.get('user-agent') || '').slice(0, 500);
+
+  const session = await this.create({
+    user_id: userId,
+    refresh_token_hash: hashSecret(secret),
+    device: describeDevice(userAgent),
+    user_agent: userAgent,
+    ip: req.ip,
+    expires_at: new Date(Date.now() + getRefreshLifetimeMs())
+  });
+
+  return { session, refreshToken: formatRefreshToken(session._id, secret) };
+};
+
+/**
+ * Static method to exchange a refresh token for a new one
+ * The old token stops working; reusing it revokes the whole session
+ * @param {String} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request, for IP
+ * @returns {Promise<Object|null>} { session, refreshToken }, or null if the token is not valid
+ */
+sessionSchema.statics.rotate = async function(refreshToken, req) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    return null;
+  }
+
+  const now = new Date();
+  const secretHash = hashSecret(secret);
+  const newSecret = crypto.randomBytes(32).toString('hex');
+
+  // Matching on the current hash makes concurrent refreshes with one token succeed only once
+  const session = await this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refresh_token_hash: secretHash,
+      revoked_at: null,
+      expires_at: { $gt: now }
+    },
+    {
+      $set: {
+        refresh_token_hash: hashSecret(newSecret),
+        previous_token_hash: secretHash,
+        rotated_at: now,
+        last_seen_at: now,
+        ip: req.ip,
+        expires_at: new Date(now.getTime() + getRefreshLifetimeMs())
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A rotated-out token being presented again means it leaked; a short grace
+    // period allows for two tabs refreshing with the same token at once
+    await this.updateOne(
+      {
+        _id: sessionId,
+        previous_token_hash: secretHash,
+        rotated_at: { $lt: new Date(now.getTime() - ROTATION_GRACE_MS) },
+        revoked_at: null
+      },
+      { $set: { revoked_at: now } }
+    );
+    return null;
+  }
+
+  return { session, refreshToken: formatRefreshToken(session._id, newSecret) };
+};
+
+/**
+ * Static method to find the session a refresh token belongs to
+ * @param {String} refreshToken - Refresh token from the client
+ * @returns {Promise<Object|null>} Active session, or null
+ */
+sessionSchema.statics.findByRefreshToken = function(refreshToken) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({
+    _id: sessionId,
+    refresh_token_hash: hashSecret(secret),
+    revoked_at: null
+  });
+};
+
+/**
+ * Static method to revoke every active session of a user
+ * @param {ObjectId|String} userId - User ID
+ * @param {ObjectId|String} [exceptSessionId] - Session to keep signed in
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+sessionSchema.statics.revokeAll = async function(userId, exceptSessionId) {
+  const filter = { user_id: userId, revoked_at: null };
+
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await this.updateMany(filter, { $set: { revoked_at: new Date() } });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Static method to record activity on a session
+ * Writes at most once per minute to keep request overhead low
+ * @param {ObjectId|String} sessionId - Session ID
+ * @param {String} ip - Client IP
+ * @returns {Promise<void>}
+ */
+sessionSchema.statics.touch = async function(sessionId, ip) {
+  const now = new Date();
+
+  await this.updateOne(
+    { _id: sessionId, last_seen_at: { $lt: new Date(now.getTime() - 60 * 1000) } },
+    { $set: { last_seen_at: now, ip } }
+  );
+};
+
+// Create and export Session model
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
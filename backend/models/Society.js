@@ -66,6 +66,14 @@ const societySchema = new mongoose.Schema({
     type: String
   },
 
+  /**
+   * URL to resized logo thumbnail
+   * @type {String}
+   */
+  logo_thumbnail_url: {
+    type: String
+  },
+
   /**
    * Society active status
    * @type {Boolean}
@@ -75,6 +83,38 @@ const societySchema = new mongoose.Schema({
     default: true
   },
 
+  /**
+   * Admin approval status
+   * New societies stay pending until an admin approves them
+   * @type {String}
+   */
+  approval_status: {
+    type: String,
+    enum: {
+      values: ['pending', 'approved', 'rejected'],
+      message: '{VALUE} is not a valid approval status'
+    },
+    default: 'pending'
+  },
+
+  /**
+   * Reference to admin who approved or rejected the society
+   * @type {ObjectId}
+   * @ref User
+   */
+  approved_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  /**
+   * Timestamp of the approval decision
+   * @type {Date}
+   */
+  approved_at: {
+    type: Date
+  },
+
   /**
    * Society creation timestamp
    * @type {Date}
@@ -90,6 +130,24 @@ const societySchema = new mongoose.Schema({
 // Create compound index on name and is_active for efficient queries
 societySchema.index({ name: 1, is_active: 1 });
 
+// Create index on head_id for fast lookup of a user's societies
+societySchema.index({ head_id: 1 });
+
+/**
+ * Static method to mark societies created before approval existed as approved
+ * Without it they read as pending after an upgrade and can no longer host events
+ * Safe to run on every start; only documents missing the field are touched
+ * @returns {Promise<Number>} Number of societies updated
+ */
+societySchema.statics.backfillApprovalStatus = async function() {
+  const result = await this.updateMany(
+    { approval_status: { $exists: false } },
+    { $set: { approval_status: 'approved' } }
+  );
+  
+  return result.modifiedCount;
+};
+
 // Create and export Society model
 const Society = mongoose.model('Society', societySchema);
 
@@ -0,0 +1,117 @@
+// Import mongoose
+const mongoose = require('mongoose');
+
+/**
+ * Upload Schema for campus event management system
+ * Metadata for files submitted as answers to `file` form fields
+ * File contents live in the configured storage backend under `storage_key`
+ */
+const uploadSchema = new mongoose.Schema({
+  /**
+   * Key of the file in the storage backend
+   * @type {String}
+   * @required
+   */
+  storage_key: {
+    type: String,
+    required: [true, 'Storage key is required'],
+    unique: true
+  },
+
+  /**
+   * Original filename supplied by the uploader
+   * @type {String}
+   * @required
+   */
+  original_name: {
+    type: String,
+    required: [true, 'Original filename is required'],
+    maxlength: [255, 'Filename cannot exceed 255 characters']
+  },
+
+  /**
+   * MIME type of the file
+   * @type {String}
+   * @required
+   */
+  mime_type: {
+    type: String,
+    required: [true, 'MIME type is required']
+  },
+
+  /**
+   * File size in bytes
+   * @type {Number}
+   * @required
+   */
+  size: {
+    type: Number,
+    required: [true, 'File size is required'],
+    min: [0, 'File size cannot be negative']
+  },
+
+  /**
+   * Reference to User who uploaded the file
+   * @type {ObjectId}
+   * @required
+   * @ref User
+   */
+  uploaded_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Uploader is required'],
+    ref: 'User'
+  },
+
+  /**
+   * Reference to Event whose form the file answers
+   * @type {ObjectId}
+   * @required
+   * @ref Event
+   */
+  event_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Event ID is required'],
+    ref: 'Event'
+  },
+
+  /**
+   * ID of the form field (from Event.form_fields)
+   * @type {String}
+   * @required
+   */
+  field_id: {
+    type: String,
+    required: [true, 'Field ID is required']
+  },
+
+  /**
+   * Reference to Registration the file was submitted with
+   * Unset until the registration is created
+   * @type {ObjectId}
+   * @ref Registration
+   */
+  registration_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration'
+  },
+
+  /**
+   * Upload timestamp
+   * @type {Date}
+   */
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for efficient queries
+uploadSchema.index({ uploaded_by: 1, event_id: 1 });
+uploadSchema.index({ registration_id: 1 });
+
+// Create and export Upload model
+const Upload = mongoose.model('Upload', uploadSchema);
+
+module.exports = Upload;
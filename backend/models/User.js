@@ -2,6 +2,58 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+/**
+ * Role History Subdocument Schema
+ * Records each role grant or revocation made by an admin
+ */
+const roleHistorySchema = new mongoose.Schema({
+  /**
+   * Role before the change
+   * @type {String}
+   */
+  from_role: {
+    type: String
+  },
+
+  /**
+   * Role after the change
+   * @type {String}
+   * @required
+   */
+  to_role: {
+    type: String,
+    required: [true, 'New role is required']
+  },
+
+  /**
+   * Reference to admin who made the change
+   * @type {ObjectId}
+   * @ref User
+   */
+  changed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  /**
+   * Timestamp of the change
+   * @type {Date}
+   */
+  changed_at: {
+    type: Date,
+    default: Date.now
+  },
+
+  /**
+   * Optional reason given for the change
+   * @type {String}
+   */
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  }
+}, { _id: false });
+
 /**
  * User Schema for campus event management system
  * Handles authentication and user profile information
@@ -58,6 +110,14 @@ const userSchema = new mongoose.Schema({
     default: 'https://via.placeholder.com/150'
   },
 
+  /**
+   * URL to resized profile photo thumbnail
+   * @type {String}
+   */
+  photo_thumbnail_url: {
+    type: String
+  },
+
   /**
    * User's contact phone number
    * @type {String}
@@ -116,6 +176,98 @@ const userSchema = new mongoose.Schema({
     default: true
   },
 
+  /**
+   * Whether the user has confirmed ownership of their email address
+   * @type {Boolean}
+   */
+  email_verified: {
+    type: Boolean,
+    default: false
+  },
+
+  /**
+   * Time the email address was verified
+   * @type {Date}
+   */
+  email_verified_at: {
+    type: Date
+  },
+
+  /**
+   * Audit trail of role changes
+   * Excluded from queries unless explicitly selected
+   * @type {Array<RoleHistory>}
+   */
+  role_history: {
+    type: [roleHistorySchema],
+    default: [],
+    select: false
+  },
+
+  /**
+   * Secret token in the user's private calendar feed URL
+   * Excluded from queries unless explicitly selected
+   * @type {String}
+   */
+  calendar_token: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+
+  /**
+   * Which kinds of email the user wants to receive
+   * Missing values count as opted in
+   * @type {Object}
+   */
+  email_preferences: {
+    /**
+     * Confirmation when the user registers for an event
+     * @type {Boolean}
+     */
+    registration_confirmations: {
+      type: Boolean,
+      default: true
+    },
+
+    /**
+     * Registration confirmed, rejected, waitlisted or promoted
+     * @type {Boolean}
+     */
+    status_updates: {
+      type: Boolean,
+      default: true
+    },
+
+    /**
+     * Invitations to join a team
+     * @type {Boolean}
+     */
+    team_invites: {
+      type: Boolean,
+      default: true
+    },
+
+    /**
+     * Cancellation of an event the user is registered for
+     * @type {Boolean}
+     */
+    event_cancellations: {
+      type: Boolean,
+      default: true
+    },
+
+    /**
+     * Reminders before a registered event starts
+     * @type {Boolean}
+     */
+    event_reminders: {
+      type: Boolean,
+      default: true
+    }
+  },
+
   /**
    * Account creation timestamp
    * @type {Date}
@@ -163,6 +315,24 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+/**
+ * Instance method to change the user's role and record it in role_history
+ * Load the document with select('+role_history') so existing history is kept;
+ * caller is responsible for saving the document
+ * @param {String} toRole - New role
+ * @param {ObjectId|String} changedBy - Admin making the change
+ * @param {String} [reason] - Optional reason
+ */
+userSchema.methods.changeRole = function(toRole, changedBy, reason) {
+  this.role_history.push({
+    from_role: this.role,
+    to_role: toRole,
+    changed_by: changedBy,
+    reason
+  });
+  this.role = toRole;
+};
+
 // Create and export User model
 const User = mongoose.model('User', userSchema);
 
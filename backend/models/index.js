@@ -4,11 +4,23 @@ const Society = require('./Society');
 const Event = require('./Event');
 const Registration = require('./Registration');
 const Bookmark = require('./Bookmark');
+const Upload = require('./Upload');
+const AuthToken = require('./AuthToken');
+const Session = require('./Session');
+const AuditLog = require('./AuditLog');
+const Notification = require('./Notification');
+const EmailDelivery = require('./EmailDelivery');
 
 module.exports = {
   User,
   Society,
   Event,
   Registration,
-  Bookmark
+  Bookmark,
+  Upload,
+  AuthToken,
+  Session,
+  AuditLog,
+  Notification,
+  EmailDelivery
 };
@@ -0,0 +1,623 @@
+// Import required modules
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Society = require('../models/Society');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const {
+  validateRoleChange,
+  validateUserStatusChange,
+  validateEventStatusChange
+} = require('../middleware/validation');
+const { recordAudit } = require('../services/audit');
+const { escapeRegex } = require('../utils/search');
+const { notifyEventCancelled, notifyEventRestored } = require('../services/notifications');
+const { publishSeatCount, publishEventUpdate } = require('../services/realtime');
+
+// Create router instance
+const router = express.Router();
+
+/**
+ * Largest page size the admin lists return
+ */
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Default number of days after cancelling during which an event can be restored
+ * Override with EVENT_RESTORE_GRACE_DAYS
+ */
+const DEFAULT_RESTORE_GRACE_DAYS = 7;
+
+/**
+ * Read the restore grace period from the environment
+ *
+ * @returns {Number} Grace period in days
+ */
+const getRestoreGraceDays = () => Number(process.env.EVENT_RESTORE_GRACE_DAYS) || DEFAULT_RESTORE_GRACE_DAYS;
+
+/**
+ * Read skip and limit query parameters, capping the page size
+ *
+ * @param {Object} query - Express query object
+ * @returns {Object} { skip, limit }
+ */
+const getPagination = (query) => ({
+  skip: Math.max(parseInt(query.skip) || 0, 0),
+  limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_PAGE_SIZE)
+});
+
+/**
+ * Count documents grouped by one field
+ *
+ * @param {Model} Model - Mongoose model
+ * @param {String} field - Field to group by
+ * @returns {Promise<Object>} { total, by_<field>: { value: count } }
+ */
+const countBy = async (Model, field) => {
+  const groups = await Model.aggregate([
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+  
+  const counts = {};
+  let total = 0;
+  
+  groups.forEach(group => {
+    counts[group._id] = group.count;
+    total += group.count;
+  });
+  
+  return { total, [`by_${field}`]: counts };
+};
+
+// Every admin route requires an authenticated admin
+router.use(authenticateToken, authorizeRoles('admin'));
+
+/**
+ * @route   PUT /api/admin/users/:userId/role
+ * @desc    Grant or revoke the society_head and admin roles
+ *          Body: role (student, society_head, admin), reason (optional)
+ * @access  Private (admin)
+ */
+router.put('/users/:userId/role', validateRoleChange, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role, reason } = req.body;
+    
+    // Validate ObjectId
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    
+    // Admins cannot lock themselves out
+    if (userId === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+    
+    const user = await User.findById(userId).select('+role_history');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (user.role === role) {
+      return res.status(400).json({
+        success: false,
+        message: `User already has the ${role} role`
+      });
+    }
+    
+    // Societies require their head to hold society_head or admin
+    if (role === 'student') {
+      const headedSocieties = await Society.find({ head_id: userId, is_active: true }).select('name');
+      
+      if (headedSocieties.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Assign a new head to these societies before revoking this role',
+          societies: headedSocieties
+        });
+      }
+    }
+    
+    if (user.role === 'admin') {
+      const otherAdmins = await User.countDocuments({ role: 'admin', is_active: true, _id: { $ne: userId } });
+      
+      if (otherAdmins === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cannot revoke the role of the last active admin'
+        });
+      }
+    }
+    
+    const previousRole = user.role;
+    user.changeRole(role, req.user.userId, reason);
+    await user.save();
+    
+    await recordAudit(req, {
+      action: 'user.role_change',
+      target_type: 'User',
+      target_id: user._id,
+      before: { role: previousRole },
+      after: { role },
+      reason
+    });
+    
+    console.log(`Role changed: ${user.email} ${previousRole} -> ${role} by ${req.user.userId}`);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  
+  } catch (error) {
+    console.error('Change role error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while changing role'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/users/:userId/role-history
+ * @desc    Get the audit trail of a user's role changes, newest first
+ * @access  Private (admin)
+ */
+router.get('/users/:userId/role-history', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    // Validate ObjectId
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    
+    const user = await User.findById(userId)
+      .select('name email role role_history')
+      .populate('role_history.changed_by', 'name email');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      },
+      role_history: [...user.role_history].reverse()
+    });
+  
+  } catch (error) {
+    console.error('Get role history error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching role history'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/stats
+ * @desc    Platform-wide counts of users, societies, events and registrations
+ * @access  Private (admin)
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const [users, activeUsers, societies, events, registrations] = await Promise.all([
+      countBy(User, 'role'),
+      User.countDocuments({ is_active: true }),
+      countBy(Society, 'approval_status'),
+      countBy(Event, 'event_status'),
+      countBy(Registration, 'status')
+    ]);
+    
+    return res.status(200).json({
+      success: true,
+      stats: {
+        users: { ...users, active: activeUsers, inactive: users.total - activeUsers },
+        societies,
+        events,
+        registrations
+      }
+    });
+  
+  } catch (error) {
+    console.error('Admin stats error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching platform stats'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    Search users with filters and pagination
+ *          Query: search (name or email), role, is_active, skip, limit
+ * @access  Private (admin)
+ */
+router.get('/users', async (req, res) => {
+  try {
+    const { search, role, is_active } = req.query;
+    const { skip, limit } = getPagination(req.query);
+    
+    // Build query filter
+    const filter = {};
+    
+    if (role) filter.role = role;
+    if (is_active === 'true' || is_active === 'false') {
+      filter.is_active = is_active === 'true';
+    }
+    
+    if (search && search.trim()) {
+      const pattern = escapeRegex(search.trim());
+      filter.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+    
+    const totalCount = await User.countDocuments(filter);
+    
+    const users = await User.find(filter)
+      .select('name email phone role is_active email_verified year_of_study branch photo_thumbnail_url created_at')
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(limit);
+    
+    return res.status(200).json({
+      success: true,
+      count: users.length,
+      total: totalCount,
+      users
+    });
+  
+  } catch (error) {
+    console.error('Admin list users error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/users/:userId/status
+ * @desc    Activate or deactivate a user account
+ *          Body: is_active (boolean), reason (optional)
+ *          Deactivated users are signed out of every device
+ * @access  Private (admin)
+ */
+router.put('/users/:userId/status', validateUserStatusChange, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { is_active, reason } = req.body;
+    const isActive = is_active === true || is_active === 'true';
+    
+    // Validate ObjectId
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    
+    if (userId === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change the status of your own account'
+      });
+    }
+    
+    const user = await User.findById(userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (user.is_active === isActive) {
+      return res.status(400).json({
+        success: false,
+        message: `User is already ${isActive ? 'active' : 'deactivated'}`
+      });
+    }
+    
+    user.is_active = isActive;
+    await user.save();
+    
+    if (!isActive) {
+      await Session.revokeAll(user._id);
+    }
+    
+    await recordAudit(req, {
+      action: isActive ? 'user.activate' : 'user.deactivate',
+      target_type: 'User',
+      target_id: user._id,
+      before: { is_active: !isActive },
+      after: { is_active: isActive },
+      reason
+    });
+    
+    console.log(`User ${isActive ? 'activated' : 'deactivated'}: ${user.email} by ${req.user.userId}`);
+    
+    return res.status(200).json({
+      success: true,
+      message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        is_active: user.is_active
+      }
+    });
+  
+  } catch (error) {
+    console.error('Change user status error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while changing user status'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/events
+ * @desc    Search all events, including drafts and cancelled events
+ *          Query: search (title), event_status, skip, limit
+ * @access  Private (admin)
+ */
+router.get('/events', async (req, res) => {
+  try {
+    const { search, event_status } = req.query;
+    const { skip, limit } = getPagination(req.query);
+    
+    // Build query filter
+    const filter = {};
+    
+    if (event_status) filter.event_status = event_status;
+    
+    if (search && search.trim()) {
+      filter.title = { $regex: escapeRegex(search.trim()), $options: 'i' };
+    }
+    
+    const totalCount = await Event.countDocuments(filter);
+    
+    const events = await Event.find(filter)
+      .select('title event_type event_status start_datetime end_datetime society_id organizer_id cancelled_at status_before_cancel')
+      .populate('society_id', 'name')
+      .populate('organizer_id', 'name email')
+      .sort({ start_datetime: -1 })
+      .skip(skip)
+      .limit(limit);
+    
+    return res.status(200).json({
+      success: true,
+      count: events.length,
+      total: totalCount,
+      events
+    });
+  
+  } catch (error) {
+    console.error('Admin list events error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching events'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/events/:eventId/status
+ * @desc    Force-cancel an event or undo a cancellation
+ *          Body: action ('cancel' or 'restore'), reason (required to cancel)
+ *          Cancelling also cancels active registrations. Within EVENT_RESTORE_GRACE_DAYS,
+ *          a restored event returns to the status it had before it was cancelled
+ *          and so do the registrations cancelled with it
+ * @access  Private (admin)
+ */
+router.put('/events/:eventId/status', validateEventStatusChange, async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { action, reason } = req.body;
+    
+    // Validate ObjectId
+    if (!mongoose.isValidObjectId(eventId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid event ID'
+      });
+    }
+    
+    const event = await Event.findById(eventId);
+    
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+    
+    const isCancelled = event.event_status === 'cancelled';
+    
+    if (action === 'cancel' && isCancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Event is already cancelled'
+      });
+    }
+    
+    if (action === 'restore' && !isCancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only cancelled events can be restored'
+      });
+    }
+    
+    const graceDays = getRestoreGraceDays();
+    
+    if (action === 'restore' && !event.canRestore(graceDays * 24 * 60 * 60 * 1000)) {
+      return res.status(400).json({
+        success: false,
+        message: `Events can only be restored within ${graceDays} days of being cancelled`
+      });
+    }
+    
+    const previousStatus = event.event_status;
+    let registrations;
+    
+    if (action === 'cancel') {
+      event.cancel(req.user.userId, reason);
+      await event.save();
+      registrations = await Registration.cancelForEvent(event._id, req.user.userId, reason);
+    } else {
+      event.restore();
+      await event.save();
+      registrations = await Registration.restoreForEvent(event._id, req.user.userId);
+    }
+    
+    await recordAudit(req, {
+      action: action === 'cancel' ? 'event.cancel' : 'event.restore',
+      target_type: 'Event',
+      target_id: event._id,
+      before: { event_status: previousStatus },
+      after: {
+        event_status: event.event_status,
+        [action === 'cancel' ? 'cancelled_registrations' : 'restored_registrations']: registrations.length
+      },
+      reason
+    });
+    
+    if (action === 'cancel') {
+      await notifyEventCancelled(event, registrations, { reason });
+    } else {
+      await notifyEventRestored(event, registrations);
+    }
+    
+    await publishEventUpdate(event, ['event_status']);
+    await publishSeatCount(event._id);
+    
+    console.log(`Event ${action === 'cancel' ? 'cancelled' : 'restored'}: ${event.title} by ${req.user.userId}`);
+    
+    return res.status(200).json({
+      success: true,
+      message: `Event ${action === 'cancel' ? 'cancelled' : 'restored'} successfully`,
+      event: {
+        id: event._id,
+        title: event.title,
+        event_status: event.event_status
+      }
+    });
+  
+  } catch (error) {
+    console.error('Change event status error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while changing event status'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/audit-logs
+ * @desc    Search the audit log, newest first
+ *          Query: action, actor_id, target_type, target_id, from, to (ISO dates), skip, limit
+ * @access  Private (admin)
+ */
+router.get('/audit-logs', async (req, res) => {
+  try {
+    const { action, actor_id, target_type, target_id, from, to } = req.query;
+    const { skip, limit } = getPagination(req.query);
+    
+    // Build query filter
+    const filter = {};
+    
+    if (action) filter.action = action;
+    if (target_type) filter.target_type = target_type;
+    if (actor_id && mongoose.isValidObjectId(actor_id)) filter.actor_id = actor_id;
+    if (target_id && mongoose.isValidObjectId(target_id)) filter.target_id = target_id;
+    
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+    
+    if (fromDate || toDate) {
+      filter.created_at = {};
+      if (fromDate) filter.created_at.$gte = fromDate;
+      if (toDate) filter.created_at.$lte = toDate;
+    }
+    
+    const totalCount = await AuditLog.countDocuments(filter);
+    
+    const logs = await AuditLog.find(filter)
+      .populate('actor_id', 'name email')
+      .populate('target_id', 'name email title')
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(limit);
+    
+    return res.status(200).json({
+      success: true,
+      count: logs.length,
+      total: totalCount,
+      logs
+    });
+  
+  } catch (error) {
+    console.error('Get audit logs error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit logs'
+    });
+  }
+});
+
+// Export router
+module.exports = router;
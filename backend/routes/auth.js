@@ -1,21 +1,124 @@
 // Import required modules
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const AuthToken = require('../models/AuthToken');
+const Session = require('../models/Session');
+const Registration = require('../models/Registration');
 const { authenticateToken } = require('../middleware/auth');
-const { validateUserRegistration, validateUserLogin } = require('../middleware/validation');
+const {
+  validateUserRegistration,
+  validateUserLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateRefreshToken,
+  validateProfileUpdate,
+  validatePasswordChange
+} = require('../middleware/validation');
+const { signAccessToken } = require('../utils/authTokens');
+const { verifyTeamInvite } = require('../utils/teamInvites');
+const { escapeRegex } = require('../utils/search');
+const { recordAudit, snapshot } = require('../services/audit');
+const { sendMail } = require('../services/mail');
+const { buildPasswordResetEmail, buildVerificationEmail } = require('../services/mail/messages');
+const { notifyTeamInvites } = require('../services/notifications');
 
 // Create router instance
 const router = express.Router();
 
+/**
+ * Fields a user may change on their own profile
+ */
+const PROFILE_FIELDS = ['name', 'phone', 'year_of_study', 'branch', 'photo_url', 'photo_thumbnail_url'];
+
+/**
+ * Build the profile returned by login, me and profile updates
+ *
+ * @param {Object} user - User document
+ * @returns {Object} Public profile fields
+ */
+const toProfileResponse = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  photo_url: user.photo_url,
+  photo_thumbnail_url: user.photo_thumbnail_url,
+  year_of_study: user.year_of_study,
+  branch: user.branch,
+  role: user.role,
+  is_active: user.is_active,
+  email_verified: user.email_verified,
+  email_preferences: user.email_preferences,
+  created_at: user.created_at
+});
+
+/**
+ * Issue an email verification token and email the link to the user
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const { token } = await AuthToken.issue(user._id, 'email_verification');
+  
+  await sendMail({
+    to: user.email,
+    ...buildVerificationEmail({ name: user.name, token })
+  });
+};
+
+/**
+ * Issue a password reset token and email the link to the user
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = async (user) => {
+  const { token } = await AuthToken.issue(user._id, 'password_reset');
+  
+  await sendMail({
+    to: user.email,
+    ...buildPasswordResetEmail({ name: user.name, token })
+  });
+};
+
+/**
+ * Attach a user to teams that invited their email address and tell them
+ * Does nothing until the email is verified
+ *
+ * @param {Object} user - User who just registered or verified their email
+ * @returns {Promise<Number>} Number of team invites attached
+ */
+const claimTeamInvites = async (user) => {
+  const registrations = await Registration.claimEmailInvites(user);
+  
+  for (const registration of registrations) {
+    await registration.populate('event_id', 'title');
+    await registration.populate('leader_user_id', 'name');
+    
+    await notifyTeamInvites([user._id], registration, {
+      eventTitle: registration.event_id?.title || 'an event',
+      leaderName: registration.leader_user_id?.name || 'A team leader'
+    });
+  }
+  
+  return registrations.length;
+};
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
+ *          Body may include invite_token from an invite link; signing up with the
+ *          invited address through it counts as verifying the email, and team
+ *          invites sent to it are attached straight away. Otherwise they are
+ *          attached once the email is verified
  * @access  Public
  */
 router.post('/register', validateUserRegistration, async (req, res) => {
   try {
-    const { name, email, password, phone, year_of_study, branch, role } = req.body;
+    const { name, email, password, phone, year_of_study, branch, invite_token } = req.body;
     
     // Check if user with email already exists
     const existingUser = await User.findOne({ email });
@@ -32,7 +135,7 @@ router.post('/register', validateUserRegistration, async (req, res) => {
       name,
       email,
       password, // Will be hashed by pre-save hook
-      role: role || 'student'
+      role: 'student' // Other roles are granted by an admin
     };
     
     // Add optional fields if provided
@@ -40,12 +143,37 @@ router.post('/register', validateUserRegistration, async (req, res) => {
     if (year_of_study) userData.year_of_study = year_of_study;
     if (branch) userData.branch = branch;
     
+    // The invite link was emailed to this address, which proves the user owns it
+    const invite = invite_token ? verifyTeamInvite(invite_token) : null;
+    if (invite && invite.email === email) {
+      userData.email_verified = true;
+      userData.email_verified_at = new Date();
+    }
+    
     // Create user in database
     const user = await User.create(userData);
     
     // Log registration
     console.log(`New user registered: ${user.email} (${user.role})`);
     
+    let teamInvites = 0;
+    
+    if (user.email_verified) {
+      // Failing to attach invites should not undo the registration
+      try {
+        teamInvites = await claimTeamInvites(user);
+      } catch (inviteError) {
+        console.error('Claim team invites error:', inviteError.message);
+      }
+    } else {
+      // A mail failure should not undo the registration; the user can ask for a new link
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError.message);
+      }
+    }
+    
     // Return success response without password
     return res.status(201).json({
       success: true,
@@ -55,7 +183,8 @@ router.post('/register', validateUserRegistration, async (req, res) => {
         email: user.email,
         name: user.name,
         role: user.role
-      }
+      },
+      team_invites: teamInvites
     });
     
   } catch (error) {
@@ -81,7 +210,8 @@ router.post('/register', validateUserRegistration, async (req, res) => {
 
 /**
  * @route   POST /api/auth/login
- * @desc    Authenticate user and return JWT token
+ * @desc    Authenticate user and start a session
+ *          Returns a short-lived access token and a refresh token
  * @access  Public
  */
 router.post('/login', validateUserLogin, async (req, res) => {
@@ -117,39 +247,21 @@ router.post('/login', validateUserLogin, async (req, res) => {
       });
     }
     
-    // Generate JWT token with 24 hour expiration
-    const token = jwt.sign(
-      {
-        userId: user._id,
-        email: user.email,
-        role: user.role
-      },
-      process.env.JWT_SECRET,
-      {
-        expiresIn: '24h'
-      }
-    );
+    // Start a session for this device and issue its tokens
+    const { session, refreshToken } = await Session.start(user._id, req);
+    const { token, expires_in } = signAccessToken(user, session._id);
     
     // Log successful login
-    console.log(`User logged in: ${user.email}`);
+    console.log(`User logged in: ${user.email} (${session.device})`);
     
-    // Return token and user data
+    // Return tokens and user data
     return res.status(200).json({
       success: true,
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        photo_url: user.photo_url,
-        year_of_study: user.year_of_study,
-        branch: user.branch,
-        role: user.role,
-        is_active: user.is_active,
-        created_at: user.created_at
-      }
+      refresh_token: refreshToken,
+      expires_in,
+      user: toProfileResponse(user)
     });
     
   } catch (error) {
@@ -179,12 +291,13 @@ router.get('/search', authenticateToken, async (req, res) => {
     }
     
     // Search users by name or email (case-insensitive)
+    const pattern = escapeRegex(query);
     const users = await User.find({
       $and: [
         {
           $or: [
-            { name: { $regex: query, $options: 'i' } },
-            { email: { $regex: query, $options: 'i' } }
+            { name: { $regex: pattern, $options: 'i' } },
+            { email: { $regex: pattern, $options: 'i' } }
           ]
         },
         { is_active: true },
@@ -230,18 +343,7 @@ router.get('/me', authenticateToken, async (req, res) => {
     // Return user profile
     return res.status(200).json({
       success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        photo_url: user.photo_url,
-        year_of_study: user.year_of_study,
-        branch: user.branch,
-        role: user.role,
-        is_active: user.is_active,
-        created_at: user.created_at
-      }
+      user: toProfileResponse(user)
     });
     
   } catch (error) {
@@ -254,5 +356,526 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/auth/me
+ * @desc    Update the current user's profile
+ *          Body: any of name, phone, year_of_study, branch, photo_url, photo_thumbnail_url,
+ *          email_preferences ({ category: Boolean } for the categories to change)
+ *          Empty phone, year_of_study or branch clears the field
+ * @access  Private (requires authentication)
+ */
+router.put('/me', authenticateToken, validateProfileUpdate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const before = snapshot(user, [...PROFILE_FIELDS, 'email_preferences']);
+    
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] === undefined) return;
+      
+      // Empty optional fields are cleared rather than stored as ''
+      if (req.body[field] === '' || req.body[field] === null) {
+        if (field !== 'name') user[field] = undefined;
+        return;
+      }
+      
+      user[field] = req.body[field];
+    });
+    
+    // A pasted photo URL has no generated thumbnail
+    if (req.body.photo_url !== undefined && req.body.photo_thumbnail_url === undefined) {
+      user.photo_thumbnail_url = undefined;
+    }
+    
+    Object.entries(req.body.email_preferences || {}).forEach(([category, enabled]) => {
+      user.email_preferences[category] = enabled;
+    });
+    
+    await user.save();
+    
+    await recordAudit(req, {
+      action: 'user.profile_update',
+      target_type: 'User',
+      target_id: user._id,
+      before,
+      after: snapshot(user, [...PROFILE_FIELDS, 'email_preferences'])
+    });
+    
+    console.log(`Profile updated: ${user.email}`);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      user: toProfileResponse(user)
+    });
+    
+  } catch (error) {
+    console.error('Update profile error:', error.message);
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while updating profile. Please try again later.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/change-password
+ * @desc    Change the current user's password
+ *          Other devices are signed out; this session stays signed in
+ * @access  Private (requires authentication)
+ */
+router.post('/change-password', authenticateToken, validatePasswordChange, async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+    
+    const user = await User.findById(req.user.userId).select('+password');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const isPasswordValid = await user.comparePassword(current_password);
+    
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+    
+    user.password = new_password; // Will be hashed by pre-save hook
+    await user.save();
+    
+    await Session.revokeAll(user._id, req.user.sessionId);
+    
+    await recordAudit(req, {
+      action: 'user.password_change',
+      target_type: 'User',
+      target_id: user._id
+    });
+    
+    console.log(`Password changed: ${user.email}`);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Password changed successfully. Other devices have been signed out.'
+    });
+    
+  } catch (error) {
+    console.error('Change password error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while changing password. Please try again later.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ *          Responds the same way whether or not the email is registered
+ * @access  Public
+ */
+router.post('/forgot-password', validateForgotPassword, async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    const user = await User.findOne({ email });
+    
+    // Sent in the background so registered and unknown emails get the same
+    // response in the same time, and a mail failure cannot reveal an account
+    if (user && user.is_active) {
+      sendPasswordResetEmail(user).catch(mailError => {
+        console.error('Password reset email error:', mailError.message);
+      });
+      
+      console.log(`Password reset requested: ${user.email}`);
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+    
+  } catch (error) {
+    console.error('Forgot password error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset. Please try again later.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ */
+router.post('/reset-password', validateResetPassword, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    const authToken = await AuthToken.consume(token, 'password_reset');
+    
+    if (!authToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired. Please request a new one.'
+      });
+    }
+    
+    const user = await User.findById(authToken.user_id);
+    
+    if (!user || !user.is_active) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired. Please request a new one.'
+      });
+    }
+    
+    user.password = password; // Will be hashed by pre-save hook
+    
+    // Receiving the reset email proves ownership of the address
+    if (!user.email_verified) {
+      user.email_verified = true;
+      user.email_verified_at = new Date();
+    }
+    
+    await user.save();
+    
+    // Anyone signed in with the old password is signed out
+    await Session.revokeAll(user._id);
+    
+    await recordAudit(req, {
+      action: 'user.password_reset',
+      target_type: 'User',
+      target_id: user._id,
+      actor_id: user._id
+    });
+    
+    console.log(`Password reset: ${user.email}`);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Password has been reset. You can now log in.'
+    });
+    
+  } catch (error) {
+    console.error('Reset password error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password. Please try again later.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm an email address using a verification token
+ *          Team invites sent to the address are then attached to the account
+ * @access  Public
+ */
+router.post('/verify-email', validateVerifyEmail, async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    const authToken = await AuthToken.consume(token, 'email_verification');
+    
+    if (!authToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired. Please request a new one.'
+      });
+    }
+    
+    const user = await User.findByIdAndUpdate(
+      authToken.user_id,
+      { email_verified: true, email_verified_at: new Date() },
+      { new: true }
+    );
+    
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired. Please request a new one.'
+      });
+    }
+    
+    console.log(`Email verified: ${user.email}`);
+    
+    // Failing to attach invites should not undo the verification
+    let teamInvites = 0;
+    try {
+      teamInvites = await claimTeamInvites(user);
+    } catch (inviteError) {
+      console.error('Claim team invites error:', inviteError.message);
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      team_invites: teamInvites
+    });
+    
+  } catch (error) {
+    console.error('Verify email error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while verifying email. Please try again later.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Email a new verification link to the current user
+ * @access  Private (requires authentication)
+ */
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (user.email_verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+    
+    await sendVerificationEmail(user);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+    
+  } catch (error) {
+    console.error('Resend verification error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email. Please try again later.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ *          The submitted refresh token stops working
+ * @access  Public (requires refresh token)
+ */
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+  try {
+    const rotated = await Session.rotate(req.body.refresh_token, req);
+    
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired. Please login again.'
+      });
+    }
+    
+    const user = await User.findById(rotated.session.user_id);
+    
+    if (!user || !user.is_active) {
+      await Session.revokeAll(rotated.session.user_id);
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired. Please login again.'
+      });
+    }
+    
+    const { token, expires_in } = signAccessToken(user, rotated.session._id);
+    
+    return res.status(200).json({
+      success: true,
+      token,
+      refresh_token: rotated.refreshToken,
+      expires_in
+    });
+    
+  } catch (error) {
+    console.error('Refresh token error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while refreshing session. Please try again later.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Sign out the session a refresh token belongs to
+ *          Works without a valid access token so expired sessions can still sign out
+ * @access  Public (requires refresh token)
+ */
+router.post('/logout', validateRefreshToken, async (req, res) => {
+  try {
+    const session = await Session.findByRefreshToken(req.body.refresh_token);
+    
+    if (session) {
+      session.revoked_at = new Date();
+      await session.save();
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+    
+  } catch (error) {
+    console.error('Logout error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error during logout. Please try again later.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Sign out every session of the current user, including this one
+ * @access  Private (requires authentication)
+ */
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await Session.revokeAll(req.user.userId);
+    
+    await recordAudit(req, {
+      action: 'user.logout_all',
+      target_type: 'User',
+      target_id: req.user.userId,
+      after: { sessions_revoked: revoked }
+    });
+    
+    console.log(`All sessions revoked for ${req.user.userId} (${revoked})`);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices',
+      revoked
+    });
+    
+  } catch (error) {
+    console.error('Logout all error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error during logout. Please try again later.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the current user's active sessions, most recently used first
+ * @access  Private (requires authentication)
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user_id: req.user.userId,
+      revoked_at: null,
+      expires_at: { $gt: new Date() }
+    })
+    .select('device ip last_seen_at created_at')
+    .sort({ last_seen_at: -1 });
+    
+    return res.status(200).json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.user.sessionId
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Get sessions error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Sign out one of the current user's sessions
+ * @access  Private (requires authentication)
+ */
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    // Validate ObjectId
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+    
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, user_id: req.user.userId, revoked_at: null },
+      { $set: { revoked_at: new Date() } }
+    );
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Session signed out'
+    });
+    
+  } catch (error) {
+    console.error('Revoke session error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while signing out session'
+    });
+  }
+});
+
 // Export router
 module.exports = router;
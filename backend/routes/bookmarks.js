@@ -85,7 +85,7 @@ router.get('/', authenticateToken, async (req, res) => {
     
     // Get all bookmarks for user
     const bookmarks = await Bookmark.find({ user_id: userId })
-      .populate('event_id', 'title description event_type start_datetime end_datetime venue poster_url registration_end_datetime')
+      .populate('event_id', 'title description event_type start_datetime end_datetime venue poster_url registration_end_datetime event_status cancellation_reason')
       .sort({ created_at: -1 });
     
     return res.status(200).json({
@@ -0,0 +1,176 @@
+// Import required modules
+const express = require('express');
+const crypto = require('crypto');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const Bookmark = require('../models/Bookmark');
+const { authenticateToken } = require('../middleware/auth');
+const { buildCalendar, sendCalendar } = require('../utils/ical');
+
+// Create router instance
+const router = express.Router();
+
+const CALENDAR_TOKEN_REGEX = /^[0-9a-f]{64}$/;
+
+/**
+ * Build the public URL of a user's calendar feed
+ * Uses PUBLIC_API_URL when set, otherwise the request's own host
+ *
+ * @param {Object} req - Express request object
+ * @param {String} token - Calendar token
+ * @returns {String} Absolute URL
+ */
+const buildFeedUrl = (req, token) => {
+  const protocol = (req.get('x-forwarded-proto') || req.protocol).split(',')[0];
+  const base = process.env.PUBLIC_API_URL || `${protocol}://${req.get('host')}/api`;
+  return `${base.replace(/\/$/, '')}/calendar/feed/${token}.ics`;
+};
+
+/**
+ * Give a user a new calendar token, invalidating any previous feed URL
+ *
+ * @param {ObjectId|String} userId - User ID
+ * @returns {Promise<String>} New token
+ */
+const issueCalendarToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await User.updateOne({ _id: userId }, { calendar_token: token });
+  return token;
+};
+
+/**
+ * @route   GET /api/calendar/feed
+ * @desc    Get the current user's private calendar feed URL, creating it on first use
+ * @access  Private
+ */
+router.get('/feed', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+calendar_token');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const token = user.calendar_token || await issueCalendarToken(user._id);
+
+    return res.status(200).json({
+      success: true,
+      feed_url: buildFeedUrl(req, token)
+    });
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching calendar feed'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/calendar/feed/reset
+ * @desc    Replace the current user's calendar feed URL; the old URL stops working
+ * @access  Private
+ */
+router.post('/feed/reset', authenticateToken, async (req, res) => {
+  try {
+    const token = await issueCalendarToken(req.user.userId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Calendar feed URL reset. Update any calendar apps subscribed to the old URL.',
+      feed_url: buildFeedUrl(req, token)
+    });
+
+  } catch (error) {
+    console.error('Reset calendar feed error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while resetting calendar feed'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/calendar/feed/:token.ics
+ * @desc    Private iCalendar feed of a user's confirmed registrations and bookmarked events
+ *          The token in the URL authenticates the request, so calendar apps can subscribe
+ * @access  Public (calendar token)
+ */
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    if (!CALENDAR_TOKEN_REGEX.test(token)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const user = await User.findOne({ calendar_token: token, is_active: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const [registeredEventIds, bookmarkedEventIds] = await Promise.all([
+      Registration.distinct('event_id', {
+        $and: [
+          {
+            // Confirmed registrations cancelled with their event keep it in the feed
+            $or: [
+              { status: 'confirmed' },
+              {
+                status: 'cancelled',
+                cancelled_with_event: true,
+                status_history: { $elemMatch: { from_status: 'confirmed', to_status: 'cancelled' } }
+              }
+            ]
+          },
+          {
+            $or: [
+              { leader_user_id: user._id },
+              { 'members.user_id': user._id, 'members.invite_status': { $in: ['accepted', 'auto_added'] } }
+            ]
+          }
+        ]
+      }),
+      Bookmark.distinct('event_id', { user_id: user._id })
+    ]);
+
+    // Cancelled events stay in the feed so subscribers see them marked as cancelled
+    const events = await Event.find({
+      _id: { $in: [...registeredEventIds, ...bookmarkedEventIds] },
+      event_status: { $ne: 'draft' }
+    })
+      .populate('society_id', 'name contact_email')
+      .sort({ start_datetime: 1 });
+
+    sendCalendar(res, 'campus-events', buildCalendar({
+      name: 'My Campus Events',
+      events,
+      feed: true
+    }));
+
+  } catch (error) {
+    console.error('Get user calendar feed error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while building calendar feed'
+    });
+  }
+});
+
+// Export router
+module.exports = router;
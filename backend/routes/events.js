@@ -3,13 +3,111 @@ const express = require('express');
 const mongoose = require('mongoose');
 const Event = require('../models/Event');
 const Society = require('../models/Society');
+const Registration = require('../models/Registration');
 const User = require('../models/User');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
-const { validateEventCreation, validateEventUpdate } = require('../middleware/validation');
+const { authenticateToken, optionalAuth, authorizeRoles } = require('../middleware/auth');
+const { validateEventCreation, validateEventUpdate, validateEventSearch, validateEventCancellation, validateCheckIn } = require('../middleware/validation');
+const { verifyTicket } = require('../utils/tickets');
+const { recordAudit, snapshot, diffSnapshots } = require('../services/audit');
+const { notifyEventUpdate, notifyEventCancelled, notifyWaitlistPromotions } = require('../services/notifications');
+const { publishSeatCount, publishEventUpdate } = require('../services/realtime');
+const { buildCalendar, sendCalendar } = require('../utils/ical');
 
 // Create router instance
 const router = express.Router();
 
+/**
+ * Event date fields that must stay in order:
+ * registration start < registration end < event start < event end
+ */
+const DATE_FIELDS = ['registration_start_datetime', 'registration_end_datetime', 'start_datetime', 'end_datetime'];
+
+/**
+ * Check a proposed event update against the event's dates and existing registrations
+ * Each check only runs when the request touches the fields it depends on
+ *
+ * @param {Object} event - Event document before the update
+ * @param {Object} updates - Request body
+ * @returns {Promise<String|null>} Reason the update cannot be applied, or null if it is safe
+ */
+const findUnsafeEventChange = async (event, updates) => {
+  // Compare the dates as they will be after the update
+  if (DATE_FIELDS.some(field => updates[field] !== undefined)) {
+    const [registrationStart, registrationEnd, start, end] = DATE_FIELDS.map(
+      field => new Date(updates[field] !== undefined ? updates[field] : event[field])
+    );
+    
+    if (end <= start) {
+      return 'Event end datetime must be after start datetime';
+    }
+    if (registrationEnd >= start) {
+      return 'Registration end datetime must be before event start datetime';
+    }
+    if (registrationStart >= registrationEnd) {
+      return 'Registration start datetime must be before registration end datetime';
+    }
+  }
+  
+  const minTeamSize = Number(updates.min_team_size ?? event.min_team_size);
+  const maxTeamSize = Number(updates.max_team_size ?? event.max_team_size);
+  
+  if ((updates.min_team_size !== undefined || updates.max_team_size !== undefined) && minTeamSize > maxTeamSize) {
+    return 'Maximum team size must be greater than or equal to minimum team size';
+  }
+  
+  if (updates.registration_mode !== undefined && updates.registration_mode !== event.registration_mode) {
+    if (await Registration.hasActiveRegistrations(event._id)) {
+      return 'Cannot change registration mode after registrations have been received';
+    }
+  }
+  
+  if (updates.min_team_size !== undefined || updates.max_team_size !== undefined) {
+    const range = await Registration.getTeamSizeRange(event._id);
+    
+    if (range && maxTeamSize < range.max) {
+      return `Maximum team size cannot be less than ${range.max}, the size of an existing team`;
+    }
+    if (range && minTeamSize > range.min) {
+      return `Minimum team size cannot be more than ${range.min}, the size of an existing team`;
+    }
+  }
+  
+  if (updates.max_teams !== undefined && updates.max_teams !== null) {
+    const seatsTaken = await Registration.countSeatsTaken(event._id);
+    
+    if (Number(updates.max_teams) < seatsTaken) {
+      return `Maximum teams cannot be less than the ${seatsTaken} registrations already holding a seat`;
+    }
+  }
+  
+  if (updates.form_fields !== undefined) {
+    const existingIds = event.form_fields.map(field => field.field_id);
+    const unknown = updates.form_fields.find(field => field.field_id && !existingIds.includes(field.field_id));
+    
+    if (unknown) {
+      return `Unknown form field ID: ${unknown.field_id}`;
+    }
+    
+    // Fields that already hold answers must keep their ID and type
+    const answeredIds = await Registration.distinct('answers.field_id', { event_id: event._id });
+    
+    for (const field of event.form_fields) {
+      if (!answeredIds.includes(field.field_id)) continue;
+      
+      const updated = updates.form_fields.find(f => f.field_id === field.field_id);
+      
+      if (!updated) {
+        return `Cannot remove "${field.label}" because registrations have already answered it`;
+      }
+      if (updated.field_type !== field.field_type) {
+        return `Cannot change the type of "${field.label}" because registrations have already answered it`;
+      }
+    }
+  }
+  
+  return null;
+};
+
 /**
  * @route   POST /api/events
  * @desc    Create a new event
@@ -32,6 +130,7 @@ router.post('/', authenticateToken, authorizeRoles('society_head', 'admin'), val
       registration_end_datetime,
       max_teams,
       poster_url,
+      poster_thumbnail_url,
       form_fields
     } = req.body;
     
@@ -53,6 +152,14 @@ router.post('/', authenticateToken, authorizeRoles('society_head', 'admin'), val
           message: 'You are not authorized to create events for this society'
         });
       }
+
+      // Only approved, active societies can host events
+      if (!society.is_active || society.approval_status !== 'approved') {
+        return res.status(400).json({
+          success: false,
+          message: 'Society must be active and approved before it can host events'
+        });
+      }
     }
     
     // Create event object
@@ -76,6 +183,7 @@ router.post('/', authenticateToken, authorizeRoles('society_head', 'admin'), val
     if (max_team_size) eventData.max_team_size = max_team_size;
     if (max_teams) eventData.max_teams = max_teams;
     if (poster_url) eventData.poster_url = poster_url;
+    if (poster_thumbnail_url) eventData.poster_thumbnail_url = poster_thumbnail_url;
     if (form_fields) eventData.form_fields = form_fields;
     
     // Create event in database
@@ -144,14 +252,24 @@ router.get('/my-events', authenticateToken, async (req, res) => {
 /**
  * @route   GET /api/events
  * @desc    Get all events with filters and pagination
+ *          Query: q (keywords over title, venue and description, ranked by relevance),
+ *          event_type, event_status, society_id, registration_mode (individual or team),
+ *          registration_open (true: registration is open right now),
+ *          from and to (ISO dates; events overlapping the range, including completed ones),
+ *          skip, limit
  * @access  Public
  */
-router.get('/', async (req, res) => {
+router.get('/', validateEventSearch, async (req, res) => {
   try {
     const {
+      q,
       event_type,
       event_status,
       society_id,
+      registration_mode,
+      registration_open,
+      from,
+      to,
       skip = 0,
       limit = 20
     } = req.query;
@@ -161,20 +279,43 @@ router.get('/', async (req, res) => {
     
     // Add filters if provided
     if (event_type) filter.event_type = event_type;
+    if (registration_mode) filter.registration_mode = registration_mode;
     if (society_id && mongoose.isValidObjectId(society_id)) {
       filter.society_id = society_id;
     }
     
-    // For non-authenticated requests, only show published/ongoing events
+    // Events that overlap the requested date range
+    if (from) filter.end_datetime = { $gte: new Date(from) };
+    if (to) filter.start_datetime = { $lte: new Date(to) };
+    
+    if (registration_open === 'true') {
+      const now = new Date();
+      filter.registration_open = true;
+      filter.registration_start_datetime = { $lte: now };
+      filter.registration_end_datetime = { $gte: now };
+    }
+    
+    const searchText = q && q.trim();
+    if (searchText) {
+      filter.$text = { $search: searchText };
+    }
+    
+    // Listings show published and ongoing events; a date range also shows
+    // completed ones, so calendars and searches of past dates are not empty
+    const listedStatuses = from || to
+      ? ['published', 'ongoing', 'completed']
+      : ['published', 'ongoing'];
+    
+    // For non-authenticated requests, only show listed events
     // For authenticated requests, check if user is organizer
     if (!req.user) {
-      filter.event_status = { $in: ['published', 'ongoing'] };
+      filter.event_status = { $in: listedStatuses };
     } else if (event_status) {
       filter.event_status = event_status;
     } else {
-      // Show published/ongoing events plus user's own drafts
+      // Show listed events plus user's own drafts
       filter.$or = [
-        { event_status: { $in: ['published', 'ongoing'] } },
+        { event_status: { $in: listedStatuses } },
         { organizer_id: req.user.userId }
       ];
     }
@@ -182,11 +323,16 @@ router.get('/', async (req, res) => {
     // Get total count for pagination
     const totalCount = await Event.countDocuments(filter);
     
+    // Keyword searches are ranked by relevance, then by date
+    const sort = searchText
+      ? { score: { $meta: 'textScore' }, start_datetime: 1 }
+      : { start_datetime: 1 };
+    
     // Fetch events with pagination and sorting
-    const events = await Event.find(filter)
+    const events = await Event.find(filter, searchText ? { score: { $meta: 'textScore' } } : undefined)
       .populate('society_id', 'name logo_url')
       .populate('organizer_id', 'name email')
-      .sort({ start_datetime: 1 })
+      .sort(sort)
       .skip(parseInt(skip))
       .limit(parseInt(limit));
     
@@ -210,9 +356,10 @@ router.get('/', async (req, res) => {
 /**
  * @route   GET /api/events/:eventId
  * @desc    Get single event by ID
- * @access  Public
+ *          Drafts are only returned to their organizer and admins
+ * @access  Public (optional auth)
  */
-router.get('/:eventId', async (req, res) => {
+router.get('/:eventId', optionalAuth, async (req, res) => {
   try {
     const { eventId } = req.params;
     
@@ -261,6 +408,58 @@ router.get('/:eventId', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/events/:eventId/calendar.ics
+ * @desc    Download an event as an iCalendar file
+ * @access  Public (organizer and admins can also download drafts)
+ */
+router.get('/:eventId/calendar.ics', optionalAuth, async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    // Validate ObjectId
+    if (!mongoose.isValidObjectId(eventId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid event ID'
+      });
+    }
+
+    const event = await Event.findById(eventId)
+      .populate('society_id', 'name contact_email');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Drafts are only visible to their organizer and admins
+    if (event.event_status === 'draft') {
+      if (!req.user || (req.user.userId !== event.organizer_id.toString() && req.user.role !== 'admin')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+    }
+
+    sendCalendar(res, `event-${event._id}`, buildCalendar({
+      name: event.title,
+      events: [event]
+    }));
+
+  } catch (error) {
+    console.error('Get event calendar error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while building event calendar'
+    });
+  }
+});
+
 /**
  * @route   PUT /api/events/:eventId
  * @desc    Update an event
@@ -296,6 +495,21 @@ router.put('/:eventId', authenticateToken, validateEventUpdate, async (req, res)
       });
     }
     
+    // Cancelling and restoring also move registrations, so they have their own routes
+    if (event.event_status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cancelled events cannot be edited. An admin can restore the event first.'
+      });
+    }
+
+    if (req.body.event_status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Use DELETE /api/events/:eventId with a reason to cancel an event'
+      });
+    }
+
     // Prevent changing certain fields if event is published
     if (event.event_status === 'published' || event.event_status === 'ongoing') {
       if (req.body.event_type && req.body.event_type !== event.event_type) {
@@ -313,30 +527,73 @@ router.put('/:eventId', authenticateToken, validateEventUpdate, async (req, res)
       }
     }
     
+    // Reject changes that would break existing registrations
+    const unsafeChange = await findUnsafeEventChange(event, req.body);
+    
+    if (unsafeChange) {
+      return res.status(400).json({
+        success: false,
+        message: unsafeChange
+      });
+    }
+    
     // Update allowed fields
     const allowedUpdates = [
       'title',
       'description',
       'venue',
       'poster_url',
+      'poster_thumbnail_url',
       'event_status',
       'start_datetime',
       'end_datetime',
       'registration_start_datetime',
       'registration_end_datetime',
+      'registration_mode',
+      'min_team_size',
+      'max_team_size',
       'max_teams',
-      'registration_open'
+      'registration_open',
+      'form_fields'
     ];
     
-    allowedUpdates.forEach(field => {
-      if (req.body[field] !== undefined) {
-        event[field] = req.body[field];
-      }
+    const updatedFields = allowedUpdates.filter(field => req.body[field] !== undefined);
+    const before = snapshot(event, updatedFields);
+    
+    updatedFields.forEach(field => {
+      event[field] = req.body[field];
     });
     
     // Save updated event
     await event.save();
     
+    const after = snapshot(event, updatedFields);
+    
+    await recordAudit(req, {
+      action: 'event.update',
+      target_type: 'Event',
+      target_id: event._id,
+      before,
+      after
+    });
+    
+    const changedFields = Object.keys(diffSnapshots(before, after).after);
+    
+    await notifyEventUpdate(event, changedFields, {
+      exclude: req.user.userId
+    });
+    
+    if (changedFields.length > 0) {
+      await publishEventUpdate(event, changedFields);
+    }
+    
+    // Raising or removing capacity frees seats for waitlisted registrations
+    if (req.body.max_teams !== undefined) {
+      const promoted = await Registration.promoteFromWaitlist(event);
+      await notifyWaitlistPromotions(promoted, event.title);
+      await publishSeatCount(event._id);
+    }
+    
     console.log(`Event updated: ${event.title} by ${req.user.userId}`);
     
     return res.status(200).json({
@@ -367,9 +624,11 @@ router.put('/:eventId', authenticateToken, validateEventUpdate, async (req, res)
 /**
  * @route   DELETE /api/events/:eventId
  * @desc    Soft delete event (set status to cancelled)
+ *          Body: reason (required, shown to attendees)
+ *          Active registrations are cancelled with the event and their teams notified
  * @access  Private (organizer, admin)
  */
-router.delete('/:eventId', authenticateToken, async (req, res) => {
+router.delete('/:eventId', authenticateToken, validateEventCancellation, async (req, res) => {
   try {
     const { eventId } = req.params;
     
@@ -399,15 +658,44 @@ router.delete('/:eventId', authenticateToken, async (req, res) => {
       });
     }
     
+    if (event.event_status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Event is already cancelled'
+      });
+    }
+    
     // Soft delete by setting status to cancelled
-    event.event_status = 'cancelled';
+    const { reason } = req.body;
+    const previousStatus = event.event_status;
+    event.cancel(req.user.userId, reason);
     await event.save();
     
-    console.log(`Event cancelled: ${event.title} by ${req.user.userId}`);
+    // Saved first so reserveSeat refuses new seats before the cascade runs
+    const registrations = await Registration.cancelForEvent(event._id, req.user.userId, reason);
+    
+    await recordAudit(req, {
+      action: 'event.cancel',
+      target_type: 'Event',
+      target_id: event._id,
+      before: { event_status: previousStatus },
+      after: { event_status: event.event_status, cancelled_registrations: registrations.length },
+      reason
+    });
+    
+    await notifyEventCancelled(event, registrations, {
+      reason,
+      exclude: req.user.userId
+    });
+    await publishEventUpdate(event, ['event_status']);
+    await publishSeatCount(event._id);
+    
+    console.log(`Event cancelled: ${event.title} by ${req.user.userId} (${registrations.length} registrations cancelled)`);
     
     return res.status(200).json({
       success: true,
-      message: 'Event cancelled successfully'
+      message: 'Event cancelled successfully',
+      cancelled_registrations: registrations.length
     });
     
   } catch (error) {
@@ -420,6 +708,132 @@ router.delete('/:eventId', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/events/:eventId/check-in
+ * @desc    Check in an attendee by scanning their ticket QR code
+ * @access  Private (organizer, admin)
+ */
+router.post('/:eventId/check-in', authenticateToken, validateCheckIn, async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { ticket_token } = req.body;
+    
+    // Validate ObjectId
+    if (!mongoose.isValidObjectId(eventId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid event ID'
+      });
+    }
+    
+    // Find event
+    const event = await Event.findById(eventId);
+    
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+    
+    // Check authorization (organizer or admin)
+    if (event.organizer_id.toString() !== req.user.userId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to check in attendees for this event'
+      });
+    }
+    
+    // Reject forged or tampered tickets
+    const ticket = verifyTicket(ticket_token);
+    
+    if (!ticket) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket'
+      });
+    }
+    
+    if (ticket.eventId !== eventId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This ticket is for a different event'
+      });
+    }
+    
+    const registration = await Registration.findById(ticket.registrationId);
+    
+    if (!registration || registration.event_id.toString() !== eventId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+    
+    // Ticket holder must still be on a confirmed registration
+    if (registration.status !== 'confirmed') {
+      return res.status(400).json({
+        success: false,
+        message: `Registration is ${registration.status}, not confirmed`
+      });
+    }
+    
+    if (!registration.getAttendeeIds().includes(ticket.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ticket holder is no longer part of this registration'
+      });
+    }
+    
+    // Record attendance atomically so duplicate scans cannot both succeed
+    const updated = await Registration.findOneAndUpdate(
+      { _id: registration._id, 'attendance.user_id': { $ne: ticket.userId } },
+      {
+        $push: {
+          attendance: {
+            user_id: ticket.userId,
+            checked_in_at: new Date(),
+            checked_in_by: req.user.userId
+          }
+        }
+      },
+      { new: true }
+    );
+    
+    const attendee = await User.findById(ticket.userId).select('name email');
+    
+    if (!updated) {
+      const existing = registration.attendance.find(a => a.user_id.toString() === ticket.userId);
+      
+      return res.status(409).json({
+        success: false,
+        message: 'Attendee has already checked in',
+        attendee,
+        checked_in_at: existing ? existing.checked_in_at : null
+      });
+    }
+    
+    console.log(`Check-in: user ${ticket.userId} for event ${event.title} by ${req.user.userId}`);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Check-in successful',
+      attendee,
+      team_name: updated.team_name,
+      checked_in_count: updated.attendance.length,
+      attendee_count: updated.getAttendeeIds().length
+    });
+    
+  } catch (error) {
+    console.error('Check-in error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error during check-in'
+    });
+  }
+});
+
 /**
  * @route   GET /api/events/:eventId/form-fields
  * @desc    Get form field definitions for an event
@@ -0,0 +1,134 @@
+// Import required modules
+const express = require('express');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { authenticateToken } = require('../middleware/auth');
+
+// Create router instance
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * @route   GET /api/notifications
+ * @desc    List the current user's notifications, newest first
+ *          Query: unread (true: unread only), skip, limit
+ * @access  Private
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { unread, skip = 0, limit = 20 } = req.query;
+    const userId = req.user.userId;
+
+    const filter = { user_id: userId };
+
+    if (unread === 'true') {
+      filter.read_at = null;
+    }
+
+    const [totalCount, unreadCount, notifications] = await Promise.all([
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user_id: userId, read_at: null }),
+      Notification.find(filter)
+        .sort({ created_at: -1 })
+        .skip(Math.max(parseInt(skip) || 0, 0))
+        .limit(Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE))
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total: totalCount,
+      unread_count: unreadCount,
+      notifications
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notifications'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all of the current user's notifications as read
+ * @access  Private
+ */
+router.put('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user_id: req.user.userId, read_at: null },
+      { $set: { read_at: new Date() } }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while updating notifications'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/:notificationId/read
+ * @desc    Mark one notification as read
+ * @access  Private
+ */
+router.put('/:notificationId/read', authenticateToken, async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+
+    // Validate ObjectId
+    if (!mongoose.isValidObjectId(notificationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const notification = await Notification.findOne({
+      _id: notificationId,
+      user_id: req.user.userId
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.read_at) {
+      notification.read_at = new Date();
+      await notification.save();
+    }
+
+    return res.status(200).json({
+      success: true,
+      notification
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while updating notification'
+    });
+  }
+});
+
+// Export router
+module.exports = router;
@@ -4,15 +4,43 @@ const mongoose = require('mongoose');
 const Registration = require('../models/Registration');
 const Event = require('../models/Event');
 const User = require('../models/User');
+const Upload = require('../models/Upload');
 const { authenticateToken } = require('../middleware/auth');
-const { validateRegistration } = require('../middleware/validation');
+const { validateRegistration, validateRegistrationStatus, validateRegistrationCancellation } = require('../middleware/validation');
+const ExcelJS = require('exceljs');
+const { signTicket, renderTicketQR } = require('../utils/tickets');
+const { buildExportColumns, buildExportRow, toCsvLine, buildExportFilename } = require('../utils/registrationExport');
+const { validateFormAnswers } = require('../utils/formAnswers');
+const { verifyTeamInvite } = require('../utils/teamInvites');
+const { recordAudit } = require('../services/audit');
+const {
+  notifyRegistrationStatus,
+  notifyRegistrationCreated,
+  notifyTeamInvites,
+  notifyInvitationResponse,
+  notifyWaitlistPromotions
+} = require('../services/notifications');
+const { publishSeatCount, publishNewRegistration } = require('../services/realtime');
+const { emailSignupInvites } = require('../services/emailNotifications');
 
 // Create router instance
 const router = express.Router();
 
+/**
+ * Convert a registration to a plain object including its waitlist position
+ * @param {Object} registration - Registration document
+ * @returns {Promise<Object>} Registration object with waitlist_position
+ */
+const withWaitlistPosition = async (registration) => ({
+  ...registration.toObject(),
+  waitlist_position: await Registration.getWaitlistPosition(registration)
+});
+
 /**
  * @route   POST /api/registrations
  * @desc    Register for an event (individual or team)
+ *          Body: event_id, form_answers, team_name, team_members (user IDs),
+ *          team_members_info ([{ email, name }]; emails without an account are sent a sign-up invite)
  * @access  Private
  */
 router.post('/', authenticateToken, validateRegistration, async (req, res) => {
@@ -75,27 +103,11 @@ router.post('/', authenticateToken, validateRegistration, async (req, res) => {
       });
     }
     
-    // Check capacity if max_teams is set
-    if (event.max_teams) {
-      const registrationCount = await Registration.countDocuments({
-        event_id,
-        status: { $in: ['pending', 'confirmed'] }
-      });
-      
-      if (registrationCount >= event.max_teams) {
-        return res.status(400).json({
-          success: false,
-          message: 'Event has reached maximum capacity'
-        });
-      }
-    }
-    
     // Build registration data
     const registrationData = {
       event_id,
       mode: event.registration_mode,
-      leader_user_id: userId,
-      status: 'pending'
+      leader_user_id: userId
     };
     
     // Handle team registration
@@ -152,18 +164,20 @@ router.post('/', authenticateToken, validateRegistration, async (req, res) => {
           
           if (memberUser) {
             // User exists - add with user_id
-            if (memberUser._id.toString() !== userId) {
+            const alreadyAdded = members.some(m => m.user_id?.toString() === memberUser._id.toString());
+            
+            if (memberUser._id.toString() !== userId && !alreadyAdded) {
               members.push({
                 user_id: memberUser._id,
                 role: 'member',
                 invite_status: 'invited'
               });
             }
-          } else {
-            // User doesn't exist - store email/name for future invitation
+          } else if (!members.some(m => m.email === memberInfo.email)) {
+            // User doesn't exist - store email/name; the invite is attached when they sign up
             members.push({
               email: memberInfo.email,
-              name: memberInfo.name,
+              name: memberInfo.name || undefined,
               role: 'member',
               invite_status: 'pending_registration'
             });
@@ -189,56 +203,147 @@ router.post('/', authenticateToken, validateRegistration, async (req, res) => {
       registrationData.members = members;
     }
     
-    // Process form answers if provided
-    if (form_answers && Array.isArray(form_answers)) {
-      const answers = [];
+    // Validate form answers against the event's form fields
+    const { errors: answerErrors, answers } = validateFormAnswers(
+      event.form_fields,
+      Array.isArray(form_answers) ? form_answers : []
+    );
+    
+    if (answerErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid form answers',
+        errors: answerErrors,
+        details: answerErrors.map(err => err.message)
+      });
+    }
+    
+    // File answers must be this user's unused uploads for the same field
+    const fileAnswers = answers.filter(answer => answer.value_file);
+    
+    if (fileAnswers.length > 0) {
+      const uploads = await Upload.find({
+        _id: { $in: fileAnswers.map(answer => answer.value_file) },
+        uploaded_by: userId,
+        event_id,
+        registration_id: { $exists: false }
+      });
       
-      for (const answer of form_answers) {
-        const field = event.form_fields.find(f => f.field_id === answer.field_id);
-        
-        if (!field) {
-          continue; // Skip invalid field IDs
-        }
-        
-        const answerData = {
+      const invalidFiles = fileAnswers
+        .filter(answer => !uploads.some(u => u._id.toString() === answer.value_file && u.field_id === answer.field_id))
+        .map(answer => ({
           field_id: answer.field_id,
-          field_label: field.label
-        };
-        
-        // Store value based on field type
-        if (field.field_type === 'number') {
-          answerData.value_number = answer.value;
-        } else if (field.field_type === 'date') {
-          answerData.value_date = answer.value;
-        } else {
-          answerData.value_text = answer.value;
-        }
-        
-        answers.push(answerData);
+          label: answer.field_label,
+          message: `${answer.field_label}: Uploaded file not found`
+        }));
+      
+      if (invalidFiles.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid form answers',
+          errors: invalidFiles,
+          details: invalidFiles.map(err => err.message)
+        });
       }
+    }
+    
+    registrationData.answers = answers;
+    
+    // Reserve a seat atomically; join the waitlist if event is at capacity
+    const seatReserved = await Registration.reserveSeat(event);
+    const isWaitlisted = !seatReserved;
+    
+    // No seat may also mean the event was cancelled or closed since it was loaded
+    if (isWaitlisted) {
+      const stillOpen = await Event.exists({
+        _id: event._id,
+        event_status: { $in: ['published', 'ongoing'] },
+        registration_open: true
+      });
       
-      registrationData.answers = answers;
+      if (!stillOpen) {
+        return res.status(400).json({
+          success: false,
+          message: 'Registration is not open for this event'
+        });
+      }
     }
     
-    // Create registration
-    const registration = await Registration.create(registrationData);
+    registrationData.status = isWaitlisted ? 'waitlisted' : 'pending';
+    if (isWaitlisted) {
+      registrationData.waitlisted_at = new Date();
+    }
+    
+    // Create registration, giving the seat back if it fails
+    let registration;
+    try {
+      registration = await Registration.create(registrationData);
+    } catch (error) {
+      if (seatReserved) {
+        await Registration.releaseSeat(event_id);
+      }
+      throw error;
+    }
+    
+    // Attach uploaded files to the new registration
+    if (fileAnswers.length > 0) {
+      await Upload.updateMany(
+        { _id: { $in: fileAnswers.map(answer => answer.value_file) } },
+        { $set: { registration_id: registration._id } }
+      );
+    }
     
     // Populate references
     await registration.populate('event_id', 'title event_type start_datetime venue');
     await registration.populate('leader_user_id', 'name email');
     await registration.populate('members.user_id', 'name email');
     
-    console.log(`Registration created for event ${event.title} by ${userId}`);
+    // Invited team members hear about it without having to open My Registrations
+    const invitedIds = registration.members
+      .filter(member => member.invite_status === 'invited')
+      .map(member => member.user_id?._id);
+    
+    await notifyTeamInvites(invitedIds, registration, {
+      eventTitle: event.title,
+      leaderName: registration.leader_user_id.name
+    });
+    
+    await notifyRegistrationCreated(registration, event.title);
+    
+    // People without an account get a signed link to sign up and join;
+    // sent in the background so the leader does not wait on the mail server
+    emailSignupInvites(registration, {
+      eventTitle: event.title,
+      leaderName: registration.leader_user_id.name,
+      expiresAt: event.registration_end_datetime
+    }).catch(mailError => {
+      console.error('Send signup invites error:', mailError.message);
+    });
+    
+    await publishSeatCount(event._id);
+    await publishNewRegistration(event, registration);
+    
+    console.log(`Registration created for event ${event.title} by ${userId} (${registration.status})`);
     
     return res.status(201).json({
       success: true,
-      message: 'Registration successful',
-      registration
+      message: isWaitlisted
+        ? 'Event is full. You have been added to the waitlist'
+        : 'Registration successful',
+      registration: await withWaitlistPosition(registration)
     });
     
   } catch (error) {
     console.error('Registration error:', error.message);
     
+    // Duplicate key from a concurrent registration by the same user
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You are already registered for this event'
+      });
+    }
+    
     if (error.name === 'ValidationError') {
       const messages = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -313,9 +418,10 @@ router.get('/', authenticateToken, async (req, res) => {
     
     // Fetch registrations
     const registrations = await Registration.find(filter)
-      .populate('event_id', 'title event_type start_datetime venue poster_url')
+      .populate('event_id', 'title event_type start_datetime venue poster_url event_status cancellation_reason')
       .populate('leader_user_id', 'name email phone')
       .populate('members.user_id', 'name email')
+      .populate('answers.value_file', 'original_name mime_type size')
       .sort({ created_at: -1 })
       .skip(parseInt(skip))
       .limit(parseInt(limit));
@@ -324,7 +430,7 @@ router.get('/', authenticateToken, async (req, res) => {
       success: true,
       count: registrations.length,
       total: totalCount,
-      registrations
+      registrations: await Promise.all(registrations.map(withWaitlistPosition))
     });
     
   } catch (error) {
@@ -337,6 +443,110 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/registrations/export
+ * @desc    Export an event's registrations as CSV or XLSX (one row per registrant)
+ * @access  Private (event organizer, admin)
+ */
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    const { event_id, status, format = 'csv' } = req.query;
+    const userId = req.user.userId;
+    
+    // Validate ObjectId
+    if (!event_id || !mongoose.isValidObjectId(event_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid event ID'
+      });
+    }
+    
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be either "csv" or "xlsx"'
+      });
+    }
+    
+    const event = await Event.findById(event_id);
+    
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+    
+    // Check authorization (event organizer or admin)
+    if (event.organizer_id.toString() !== userId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to export registrations for this event'
+      });
+    }
+    
+    const filter = { event_id };
+    if (status) {
+      filter.status = status;
+    }
+    
+    const columns = buildExportColumns(event);
+    const headers = columns.map(column => column.header);
+    
+    // Stream rows from a cursor so large events are not held in memory
+    const cursor = Registration.find(filter)
+      .populate('leader_user_id', 'name email phone')
+      .populate('members.user_id', 'name email')
+      .populate('answers.value_file', 'original_name')
+      .sort({ created_at: 1 })
+      .cursor();
+    
+    const filename = buildExportFilename(event, format);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      
+      // BOM so Excel detects UTF-8
+      res.write('\uFEFF' + toCsvLine(headers));
+      
+      for await (const registration of cursor) {
+        res.write(toCsvLine(buildExportRow(registration, columns)));
+      }
+      
+      res.end();
+    } else {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+      const sheet = workbook.addWorksheet('Registrations');
+      sheet.columns = headers.map(header => ({ header, width: Math.max(12, header.length + 2) }));
+      
+      for await (const registration of cursor) {
+        sheet.addRow(buildExportRow(registration, columns)).commit();
+      }
+      
+      sheet.commit();
+      await workbook.commit();
+    }
+    
+    console.log(`Registrations exported (${format}) for event ${event.title} by ${userId}`);
+    
+  } catch (error) {
+    console.error('Export registrations error:', error.message);
+    
+    // Headers are gone once streaming starts; just end the response
+    if (res.headersSent) {
+      return res.end();
+    }
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while exporting registrations'
+    });
+  }
+});
+
 /**
  * @route   GET /api/registrations/invitations/pending
  * @desc    Get pending team invitations for current user
@@ -375,6 +585,62 @@ router.get('/invitations/pending', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/registrations/email-invites/:token
+ * @desc    Describe an invite sent to someone without an account
+ *          Used by the sign-up page to show the team and pre-fill the email
+ * @access  Public (signed invite token)
+ */
+router.get('/email-invites/:token', async (req, res) => {
+  try {
+    const invite = verifyTeamInvite(req.params.token);
+    
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'This invite link is invalid or has expired'
+      });
+    }
+    
+    const registration = await Registration.findOne({
+      _id: invite.registrationId,
+      status: { $in: ['pending', 'confirmed', 'waitlisted'] }
+    })
+      .populate('event_id', 'title start_datetime venue')
+      .populate('leader_user_id', 'name');
+    
+    const member = registration?.members.find(
+      m => m.invite_status === 'pending_registration' && m.email === invite.email
+    );
+    
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'This invite has already been used or was withdrawn'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      invite: {
+        email: member.email,
+        name: member.name,
+        team_name: registration.team_name,
+        leader_name: registration.leader_user_id?.name,
+        event: registration.event_id
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get email invite error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invite'
+    });
+  }
+});
+
 /**
  * @route   PUT /api/registrations/:registrationId/invitation
  * @desc    Accept or decline team invitation
@@ -433,6 +699,12 @@ router.put('/:registrationId/invitation', authenticateToken, async (req, res) =>
     await registration.populate('leader_user_id', 'name email');
     await registration.populate('members.user_id', 'name email');
     
+    await notifyInvitationResponse(registration, {
+      eventTitle: registration.event_id?.title || 'the event',
+      memberName: registration.members[memberIndex].user_id.name,
+      accepted: action === 'accept'
+    });
+    
     return res.status(200).json({
       success: true,
       message: `Invitation ${action}ed successfully`,
@@ -496,6 +768,7 @@ router.post('/:registrationId/members', authenticateToken, async (req, res) => {
     }
     
     // Add new members
+    const invitedIds = [];
     for (const memberInfo of members_to_add) {
       // Check if already in team
       const alreadyExists = registration.members.some(
@@ -515,6 +788,7 @@ router.post('/:registrationId/members', authenticateToken, async (req, res) => {
           role: 'member',
           invite_status: 'invited'
         });
+        invitedIds.push(user._id);
       }
     }
     
@@ -533,6 +807,11 @@ router.post('/:registrationId/members', authenticateToken, async (req, res) => {
     await registration.populate('leader_user_id', 'name email');
     await registration.populate('members.user_id', 'name email');
     
+    await notifyTeamInvites(invitedIds, registration, {
+      eventTitle: event.title,
+      leaderName: registration.leader_user_id.name
+    });
+    
     return res.status(200).json({
       success: true,
       message: 'Team members added successfully',
@@ -552,6 +831,7 @@ router.post('/:registrationId/members', authenticateToken, async (req, res) => {
 /**
  * @route   DELETE /api/registrations/:registrationId/members/:memberId
  * @desc    Remove team member from registration (team leader only)
+ *          memberId is the member's user ID, or the email address for an email invite
  * @access  Private
  */
 router.delete('/:registrationId/members/:memberId', authenticateToken, async (req, res) => {
@@ -579,7 +859,7 @@ router.delete('/:registrationId/members/:memberId', authenticateToken, async (re
     
     // Find member index
     const memberIndex = registration.members.findIndex(
-      m => m.user_id && m.user_id.toString() === memberId
+      m => m.user_id ? m.user_id.toString() === memberId : m.email === memberId.toLowerCase()
     );
     
     if (memberIndex === -1) {
@@ -632,6 +912,21 @@ router.delete('/:registrationId/members/:memberId', authenticateToken, async (re
     registration.members.splice(memberIndex, 1);
     await registration.save();
     
+    await recordAudit(req, {
+      action: 'registration.member_remove',
+      target_type: 'Registration',
+      target_id: registration._id,
+      before: {
+        member: {
+          user_id: memberToRemove.user_id,
+          email: memberToRemove.email,
+          role: memberToRemove.role,
+          invite_status: memberToRemove.invite_status
+        }
+      },
+      after: { member: null }
+    });
+    
     // Populate for response
     await registration.populate('event_id', 'title event_type start_datetime venue');
     await registration.populate('leader_user_id', 'name email');
@@ -675,7 +970,8 @@ router.get('/:registrationId', authenticateToken, async (req, res) => {
     const registration = await Registration.findById(registrationId)
       .populate('event_id', 'title description event_type start_datetime end_datetime venue poster_url form_fields')
       .populate('leader_user_id', 'name email phone')
-      .populate('members.user_id', 'name email phone');
+      .populate('members.user_id', 'name email phone')
+      .populate('answers.value_file', 'original_name mime_type size');
     
     if (!registration) {
       return res.status(404).json({
@@ -688,7 +984,7 @@ router.get('/:registrationId', authenticateToken, async (req, res) => {
     const event = await Event.findById(registration.event_id);
     const isOrganizer = event && event.organizer_id.toString() === userId;
     const isLeader = registration.leader_user_id._id.toString() === userId;
-    const isMember = registration.members.some(m => m.user_id._id.toString() === userId);
+    const isMember = registration.members.some(m => m.user_id && m.user_id._id.toString() === userId);
     const isAdmin = req.user.role === 'admin';
     
     if (!isOrganizer && !isLeader && !isMember && !isAdmin) {
@@ -700,7 +996,7 @@ router.get('/:registrationId', authenticateToken, async (req, res) => {
     
     return res.status(200).json({
       success: true,
-      registration
+      registration: await withWaitlistPosition(registration)
     });
     
   } catch (error) {
@@ -713,6 +1009,76 @@ router.get('/:registrationId', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/registrations/:registrationId/ticket
+ * @desc    Get current user's signed ticket and QR code for a confirmed registration
+ * @access  Private (leader or accepted member)
+ */
+router.get('/:registrationId/ticket', authenticateToken, async (req, res) => {
+  try {
+    const { registrationId } = req.params;
+    const userId = req.user.userId;
+    
+    // Validate ObjectId
+    if (!mongoose.isValidObjectId(registrationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid registration ID'
+      });
+    }
+    
+    // Find registration
+    const registration = await Registration.findById(registrationId);
+    
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+    
+    // Tickets are personal: only the leader and accepted members get one
+    if (!registration.getAttendeeIds().includes(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to view this ticket'
+      });
+    }
+    
+    if (registration.status !== 'confirmed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Tickets are only issued for confirmed registrations'
+      });
+    }
+    
+    const token = signTicket({
+      registrationId: registration._id,
+      eventId: registration.event_id,
+      userId
+    });
+    
+    const checkedIn = registration.attendance.find(a => a.user_id.toString() === userId);
+    
+    return res.status(200).json({
+      success: true,
+      ticket: {
+        token,
+        qr_code: await renderTicketQR(token),
+        checked_in_at: checkedIn ? checkedIn.checked_in_at : null
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get ticket error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while generating ticket'
+    });
+  }
+});
+
 /**
  * @route   PUT /api/registrations/:registrationId/members/:memberId
  * @desc    Update team member invite status (accept/decline)
@@ -751,7 +1117,7 @@ router.put('/:registrationId/members/:memberId', authenticateToken, async (req,
     }
     
     // Find member in registration
-    const member = registration.members.find(m => m.user_id.toString() === memberId);
+    const member = registration.members.find(m => m.user_id && m.user_id.toString() === memberId);
     
     if (!member) {
       return res.status(404).json({
@@ -778,13 +1144,29 @@ router.put('/:registrationId/members/:memberId', authenticateToken, async (req,
       m.invite_status === 'accepted' || m.invite_status === 'auto_added'
     );
     
-    if (acceptedMembers.length >= event.min_team_size && 
-        acceptedMembers.length <= event.max_team_size) {
-      registration.status = 'confirmed';
+    const teamComplete = acceptedMembers.length >= event.min_team_size && 
+        acceptedMembers.length <= event.max_team_size &&
+        registration.status === 'pending';
+    
+    if (teamComplete) {
+      registration.changeStatus('confirmed', userId, 'All required team members accepted');
     }
     
     await registration.save();
     
+    const memberUser = await User.findById(memberId).select('name');
+    await notifyInvitationResponse(registration, {
+      eventTitle: event.title,
+      memberName: memberUser ? memberUser.name : 'A team member',
+      accepted: invite_status === 'accepted'
+    });
+    
+    if (teamComplete) {
+      await notifyRegistrationStatus(registration, event.title, {
+        reason: 'All required team members accepted'
+      });
+    }
+    
     console.log(`Member ${memberId} ${invite_status} invitation for registration ${registrationId}`);
     
     return res.status(200).json({
@@ -803,12 +1185,132 @@ router.put('/:registrationId/members/:memberId', authenticateToken, async (req,
   }
 });
 
+/**
+ * @route   PUT /api/registrations/:registrationId
+ * @desc    Update registration status (approve, reject, waitlist, cancel)
+ * @access  Private (event organizer, admin)
+ */
+router.put('/:registrationId', authenticateToken, validateRegistrationStatus, async (req, res) => {
+  try {
+    const { registrationId } = req.params;
+    const { status, reason } = req.body;
+    const userId = req.user.userId;
+    
+    // Validate ObjectId
+    if (!mongoose.isValidObjectId(registrationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid registration ID'
+      });
+    }
+    
+    // Find registration
+    let registration = await Registration.findById(registrationId);
+    
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+    
+    // Check authorization (event organizer or admin)
+    const event = await Event.findById(registration.event_id);
+    const isOrganizer = event && event.organizer_id.toString() === userId;
+    
+    if (!isOrganizer && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to update this registration'
+      });
+    }
+    
+    // Enforce allowed status transitions
+    if (!Registration.canTransition(registration.status, status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change registration status from ${registration.status} to ${status}`
+      });
+    }
+    
+    const previousStatus = registration.status;
+    const { registration: updated, error } = await Registration.transitionStatus(
+      registration,
+      status,
+      userId,
+      reason
+    );
+    
+    if (error === 'no_seat') {
+      return res.status(409).json({
+        success: false,
+        message: 'No seats are available for this event'
+      });
+    }
+    
+    if (error === 'status_changed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Registration status was changed by someone else. Reload and try again'
+      });
+    }
+    
+    registration = updated;
+    
+    await recordAudit(req, {
+      action: 'registration.status_change',
+      target_type: 'Registration',
+      target_id: registration._id,
+      before: { status: previousStatus },
+      after: { status },
+      reason
+    });
+    
+    await notifyRegistrationStatus(registration, event ? event.title : 'the event', {
+      reason,
+      exclude: userId
+    });
+    
+    // A freed seat goes to the oldest waitlisted registration, other than one
+    // the organizer has just moved to the waitlist
+    const releasedSeat = Registration.holdsSeat(previousStatus) && !Registration.holdsSeat(status);
+    if (releasedSeat && event) {
+      const promoted = await Registration.promoteFromWaitlist(event, { except: registration._id });
+      await notifyWaitlistPromotions(promoted, event.title);
+    }
+    
+    await publishSeatCount(registration.event_id);
+    
+    // Populate for response
+    await registration.populate('event_id', 'title event_type start_datetime venue');
+    await registration.populate('leader_user_id', 'name email');
+    await registration.populate('members.user_id', 'name email');
+    await registration.populate('status_history.changed_by', 'name email');
+    
+    console.log(`Registration ${registrationId} status changed to ${status} by ${userId}`);
+    
+    return res.status(200).json({
+      success: true,
+      message: `Registration ${status} successfully`,
+      registration: await withWaitlistPosition(registration)
+    });
+    
+  } catch (error) {
+    console.error('Update registration status error:', error.message);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while updating registration status'
+    });
+  }
+});
+
 /**
  * @route   DELETE /api/registrations/:registrationId
  * @desc    Cancel registration
  * @access  Private
  */
-router.delete('/:registrationId', authenticateToken, async (req, res) => {
+router.delete('/:registrationId', authenticateToken, validateRegistrationCancellation, async (req, res) => {
   try {
     const { registrationId } = req.params;
     const userId = req.user.userId;
@@ -822,7 +1324,7 @@ router.delete('/:registrationId', authenticateToken, async (req, res) => {
     }
     
     // Find registration
-    const registration = await Registration.findById(registrationId);
+    let registration = await Registration.findById(registrationId);
     
     if (!registration) {
       return res.status(404).json({
@@ -833,7 +1335,7 @@ router.delete('/:registrationId', authenticateToken, async (req, res) => {
     
     // Check authorization (leader or member or admin)
     const isLeader = registration.leader_user_id.toString() === userId;
-    const isMember = registration.members.some(m => m.user_id.toString() === userId);
+    const isMember = registration.members.some(m => m.user_id && m.user_id.toString() === userId);
     const isAdmin = req.user.role === 'admin';
     
     if (!isLeader && !isMember && !isAdmin) {
@@ -843,9 +1345,53 @@ router.delete('/:registrationId', authenticateToken, async (req, res) => {
       });
     }
     
+    if (registration.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Registration is already cancelled'
+      });
+    }
+    
     // Soft delete by setting status to cancelled
-    registration.status = 'cancelled';
-    await registration.save();
+    const previousStatus = registration.status;
+    const { registration: updated, error } = await Registration.transitionStatus(
+      registration,
+      'cancelled',
+      userId,
+      req.body?.reason
+    );
+    
+    if (error) {
+      return res.status(409).json({
+        success: false,
+        message: 'Registration status was changed by someone else. Reload and try again'
+      });
+    }
+    
+    registration = updated;
+    
+    await recordAudit(req, {
+      action: 'registration.cancel',
+      target_type: 'Registration',
+      target_id: registration._id,
+      before: { status: previousStatus },
+      after: { status: 'cancelled' },
+      reason: req.body?.reason
+    });
+    
+    // A freed seat goes to the oldest waitlisted registration
+    const event = await Event.findById(registration.event_id);
+    if (event) {
+      await notifyRegistrationStatus(registration, event.title, {
+        reason: req.body?.reason,
+        exclude: userId
+      });
+      
+      const promoted = await Registration.promoteFromWaitlist(event);
+      await notifyWaitlistPromotions(promoted, event.title);
+    }
+    
+    await publishSeatCount(registration.event_id);
     
     console.log(`Registration ${registrationId} cancelled by ${userId}`);
     
@@ -0,0 +1,710 @@
+// Import required modules
+const express = require('express');
+const mongoose = require('mongoose');
+const Society = require('../models/Society');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { authenticateToken, optionalAuth, authorizeRoles } = require('../middleware/auth');
+const { validateSocietyCreation, validateSocietyUpdate } = require('../middleware/validation');
+const { recordAudit, snapshot } = require('../services/audit');
+const { buildCalendar, sendCalendar } = require('../utils/ical');
+const { escapeRegex } = require('../utils/search');
+
+// Create router instance
+const router = express.Router();
+
+/**
+ * Check whether a user may manage a society (society head or admin)
+ *
+ * @param {Object} society - Society document
+ * @param {Object} user - req.user set by auth middleware
+ * @returns {Boolean} True if user is the head or an admin
+ */
+const canManageSociety = (society, user) => {
+  if (!user) return false;
+  return user.role === 'admin' || society.head_id.toString() === user.userId;
+};
+
+/**
+ * @route   POST /api/societies
+ * @desc    Create a new society (pending admin approval)
+ * @access  Private (society_head, admin)
+ */
+router.post('/', authenticateToken, authorizeRoles('society_head', 'admin'), validateSocietyCreation, async (req, res) => {
+  try {
+    const { name, description, contact_email, logo_url, logo_thumbnail_url, head_id } = req.body;
+    const isAdmin = req.user.role === 'admin';
+
+    // Only admins can create a society on behalf of another user
+    let headId = req.user.userId;
+
+    if (head_id && head_id !== req.user.userId) {
+      if (!isAdmin) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only admins can assign another user as society head'
+        });
+      }
+
+      const headUser = await User.findById(head_id);
+
+      if (!headUser || !headUser.is_active) {
+        return res.status(404).json({
+          success: false,
+          message: 'Society head user not found'
+        });
+      }
+
+      if (headUser.role === 'student') {
+        return res.status(400).json({
+          success: false,
+          message: 'Society head must have the society_head or admin role'
+        });
+      }
+
+      headId = head_id;
+    }
+
+    // Build society data
+    const societyData = {
+      name,
+      contact_email,
+      head_id: headId
+    };
+
+    if (description) societyData.description = description;
+    if (logo_url) societyData.logo_url = logo_url;
+    if (logo_thumbnail_url) societyData.logo_thumbnail_url = logo_thumbnail_url;
+
+    // Societies created by admins don't need a separate approval step
+    if (isAdmin) {
+      societyData.approval_status = 'approved';
+      societyData.approved_by = req.user.userId;
+      societyData.approved_at = new Date();
+    }
+
+    const society = await Society.create(societyData);
+    await society.populate('head_id', 'name email');
+
+    console.log(`Society created: ${society.name} by ${req.user.userId} (${society.approval_status})`);
+
+    return res.status(201).json({
+      success: true,
+      message: isAdmin
+        ? 'Society created successfully'
+        : 'Society created successfully and is awaiting admin approval',
+      society
+    });
+
+  } catch (error) {
+    console.error('Create society error:', error.message);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A society with this name already exists'
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while creating society'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/societies/my-societies
+ * @desc    Get societies headed by current user
+ * @access  Private
+ */
+router.get('/my-societies', authenticateToken, async (req, res) => {
+  try {
+    const societies = await Society.find({ head_id: req.user.userId })
+      .sort({ name: 1 });
+
+    return res.status(200).json({
+      success: true,
+      societies,
+      count: societies.length
+    });
+
+  } catch (error) {
+    console.error('Get my societies error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching societies'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/societies
+ * @desc    Get all societies with filters and pagination
+ * @access  Public (admins can also see pending, rejected and inactive societies)
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { search, approval_status, include_inactive, skip = 0, limit = 20 } = req.query;
+    const isAdmin = req.user && req.user.role === 'admin';
+
+    // Build query filter
+    const filter = {};
+
+    if (isAdmin) {
+      if (approval_status) filter.approval_status = approval_status;
+      if (include_inactive !== 'true') filter.is_active = true;
+    } else {
+      // Public listing only shows approved, active societies
+      filter.approval_status = 'approved';
+      filter.is_active = true;
+    }
+
+    if (search && search.trim()) {
+      filter.name = { $regex: escapeRegex(search.trim()), $options: 'i' };
+    }
+
+    const totalCount = await Society.countDocuments(filter);
+
+    const societies = await Society.find(filter)
+      .populate('head_id', 'name email')
+      .sort({ name: 1 })
+      .skip(parseInt(skip))
+      .limit(parseInt(limit));
+
+    return res.status(200).json({
+      success: true,
+      count: societies.length,
+      total: totalCount,
+      societies
+    });
+
+  } catch (error) {
+    console.error('Get societies error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching societies'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/societies/:societyId
+ * @desc    Get single society by ID
+ * @access  Public (unapproved or inactive societies visible to head and admins only)
+ */
+router.get('/:societyId', optionalAuth, async (req, res) => {
+  try {
+    const { societyId } = req.params;
+
+    // Validate ObjectId
+    if (!mongoose.isValidObjectId(societyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid society ID'
+      });
+    }
+
+    const society = await Society.findById(societyId)
+      .populate('head_id', 'name email');
+
+    if (!society) {
+      return res.status(404).json({
+        success: false,
+        message: 'Society not found'
+      });
+    }
+
+    // Hide societies that aren't public yet from everyone but the head and admins
+    const isPublic = society.approval_status === 'approved' && society.is_active;
+    const canManage = req.user && (req.user.role === 'admin' || society.head_id._id.toString() === req.user.userId);
+
+    if (!isPublic && !canManage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Society not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      society
+    });
+
+  } catch (error) {
+    console.error('Get society error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching society'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/societies/:societyId
+ * @desc    Update society details
+ * @access  Private (society head, admin)
+ */
+router.put('/:societyId', authenticateToken, validateSocietyUpdate, async (req, res) => {
+  try {
+    const { societyId } = req.params;
+
+    // Validate ObjectId
+    if (!mongoose.isValidObjectId(societyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid society ID'
+      });
+    }
+
+    const society = await Society.findById(societyId);
+
+    if (!society) {
+      return res.status(404).json({
+        success: false,
+        message: 'Society not found'
+      });
+    }
+
+    // Check authorization (head or admin)
+    if (!canManageSociety(society, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to update this society'
+      });
+    }
+
+    // Only admins can reactivate a deactivated society
+    if (req.body.is_active !== undefined && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can change society active status'
+      });
+    }
+
+    // Update allowed fields
+    const allowedUpdates = [
+      'name',
+      'description',
+      'contact_email',
+      'logo_url',
+      'logo_thumbnail_url',
+      'is_active'
+    ];
+
+    const updatedFields = allowedUpdates.filter(field => req.body[field] !== undefined);
+    const before = snapshot(society, updatedFields);
+
+    updatedFields.forEach(field => {
+      society[field] = req.body[field];
+    });
+
+    await society.save();
+
+    await recordAudit(req, {
+      action: 'society.update',
+      target_type: 'Society',
+      target_id: society._id,
+      before,
+      after: snapshot(society, updatedFields)
+    });
+    await society.populate('head_id', 'name email');
+
+    console.log(`Society updated: ${society.name} by ${req.user.userId}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Society updated successfully',
+      society
+    });
+
+  } catch (error) {
+    console.error('Update society error:', error.message);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A society with this name already exists'
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while updating society'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/societies/:societyId
+ * @desc    Deactivate society (soft delete)
+ * @access  Private (society head, admin)
+ */
+router.delete('/:societyId', authenticateToken, async (req, res) => {
+  try {
+    const { societyId } = req.params;
+
+    // Validate ObjectId
+    if (!mongoose.isValidObjectId(societyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid society ID'
+      });
+    }
+
+    const society = await Society.findById(societyId);
+
+    if (!society) {
+      return res.status(404).json({
+        success: false,
+        message: 'Society not found'
+      });
+    }
+
+    // Check authorization (head or admin)
+    if (!canManageSociety(society, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to deactivate this society'
+      });
+    }
+
+    // Soft delete by marking society inactive
+    const wasActive = society.is_active;
+    society.is_active = false;
+    await society.save();
+
+    await recordAudit(req, {
+      action: 'society.deactivate',
+      target_type: 'Society',
+      target_id: society._id,
+      before: { is_active: wasActive },
+      after: { is_active: false }
+    });
+
+    console.log(`Society deactivated: ${society.name} by ${req.user.userId}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Society deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Deactivate society error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while deactivating society'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/societies/:societyId/approval
+ * @desc    Approve or reject a society
+ * @access  Private (admin)
+ */
+router.put('/:societyId/approval', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { societyId } = req.params;
+    const { action, reason } = req.body; // 'approve' or 'reject'
+
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid action. Must be "approve" or "reject"'
+      });
+    }
+
+    // Validate ObjectId
+    if (!mongoose.isValidObjectId(societyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid society ID'
+      });
+    }
+
+    const society = await Society.findById(societyId);
+
+    if (!society) {
+      return res.status(404).json({
+        success: false,
+        message: 'Society not found'
+      });
+    }
+
+    const previousStatus = society.approval_status;
+    society.approval_status = action === 'approve' ? 'approved' : 'rejected';
+    society.approved_by = req.user.userId;
+    society.approved_at = new Date();
+    await society.save();
+
+    await recordAudit(req, {
+      action: action === 'approve' ? 'society.approve' : 'society.reject',
+      target_type: 'Society',
+      target_id: society._id,
+      before: { approval_status: previousStatus },
+      after: { approval_status: society.approval_status },
+      reason
+    });
+    await society.populate('head_id', 'name email');
+
+    console.log(`Society ${society.approval_status}: ${society.name} by ${req.user.userId}`);
+
+    return res.status(200).json({
+      success: true,
+      message: `Society ${society.approval_status} successfully`,
+      society
+    });
+
+  } catch (error) {
+    console.error('Society approval error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while updating society approval'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/societies/:societyId/transfer
+ * @desc    Transfer society headship to another user
+ * @access  Private (society head, admin)
+ */
+router.put('/:societyId/transfer', authenticateToken, async (req, res) => {
+  try {
+    const { societyId } = req.params;
+    const { new_head_id } = req.body;
+
+    // Validate ObjectIds
+    if (!mongoose.isValidObjectId(societyId) || !mongoose.isValidObjectId(new_head_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid society or user ID'
+      });
+    }
+
+    const society = await Society.findById(societyId);
+
+    if (!society) {
+      return res.status(404).json({
+        success: false,
+        message: 'Society not found'
+      });
+    }
+
+    // Check authorization (head or admin)
+    if (!canManageSociety(society, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to transfer this society'
+      });
+    }
+
+    if (society.head_id.toString() === new_head_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already the head of this society'
+      });
+    }
+
+    // Verify new head exists and can run events
+    const newHead = await User.findById(new_head_id);
+
+    if (!newHead || !newHead.is_active) {
+      return res.status(404).json({
+        success: false,
+        message: 'New head user not found'
+      });
+    }
+
+    if (newHead.role === 'student') {
+      return res.status(400).json({
+        success: false,
+        message: 'New head must have the society_head or admin role'
+      });
+    }
+
+    const previousHeadId = society.head_id.toString();
+    society.head_id = newHead._id;
+    await society.save();
+
+    // The new head takes over the society events the previous head organized
+    const { modifiedCount: eventsReassigned } = await Event.updateMany(
+      { society_id: society._id, organizer_id: previousHeadId },
+      { $set: { organizer_id: newHead._id } }
+    );
+
+    await recordAudit(req, {
+      action: 'society.transfer',
+      target_type: 'Society',
+      target_id: society._id,
+      before: { head_id: previousHeadId },
+      after: { head_id: newHead._id.toString() }
+    });
+    await society.populate('head_id', 'name email');
+
+    console.log(`Society ${society.name} transferred from ${previousHeadId} to ${new_head_id} with ${eventsReassigned} events by ${req.user.userId}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Society head transferred successfully',
+      society
+    });
+
+  } catch (error) {
+    console.error('Transfer society error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while transferring society'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/societies/:societyId/events
+ * @desc    Get events organized by a society
+ * @access  Public (head and admins also see draft and cancelled events)
+ */
+router.get('/:societyId/events', optionalAuth, async (req, res) => {
+  try {
+    const { societyId } = req.params;
+    const { skip = 0, limit = 20 } = req.query;
+
+    // Validate ObjectId
+    if (!mongoose.isValidObjectId(societyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid society ID'
+      });
+    }
+
+    const society = await Society.findById(societyId);
+
+    if (!society) {
+      return res.status(404).json({
+        success: false,
+        message: 'Society not found'
+      });
+    }
+
+    const canManage = canManageSociety(society, req.user);
+
+    if ((society.approval_status !== 'approved' || !society.is_active) && !canManage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Society not found'
+      });
+    }
+
+    // Build query filter
+    const filter = { society_id: societyId };
+
+    if (!canManage) {
+      filter.event_status = { $in: ['published', 'ongoing', 'completed'] };
+    }
+
+    const totalCount = await Event.countDocuments(filter);
+
+    const events = await Event.find(filter)
+      .populate('organizer_id', 'name email')
+      .sort({ start_datetime: 1 })
+      .skip(parseInt(skip))
+      .limit(parseInt(limit));
+
+    return res.status(200).json({
+      success: true,
+      count: events.length,
+      total: totalCount,
+      events
+    });
+
+  } catch (error) {
+    console.error('Get society events error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching society events'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/societies/:societyId/calendar.ics
+ * @desc    Public iCalendar feed of a society's events, including cancelled ones
+ * @access  Public
+ */
+router.get('/:societyId/calendar.ics', async (req, res) => {
+  try {
+    const { societyId } = req.params;
+
+    // Validate ObjectId
+    if (!mongoose.isValidObjectId(societyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid society ID'
+      });
+    }
+
+    const society = await Society.findById(societyId);
+
+    if (!society || society.approval_status !== 'approved' || !society.is_active) {
+      return res.status(404).json({
+        success: false,
+        message: 'Society not found'
+      });
+    }
+
+    // Cancelled events stay in the feed so subscribers see them marked as cancelled,
+    // unless they were cancelled before ever being published
+    const events = await Event.find({
+      society_id: societyId,
+      $or: [
+        { event_status: { $in: ['published', 'ongoing', 'completed'] } },
+        { event_status: 'cancelled', status_before_cancel: { $ne: 'draft' } }
+      ]
+    })
+      .populate('society_id', 'name contact_email')
+      .sort({ start_datetime: 1 });
+
+    sendCalendar(res, `society-${society._id}`, buildCalendar({
+      name: society.name,
+      events,
+      feed: true
+    }));
+
+  } catch (error) {
+    console.error('Get society calendar error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while building society calendar'
+    });
+  }
+});
+
+// Export router
+module.exports = router;
@@ -0,0 +1,189 @@
+// Import required modules
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const { authenticateToken } = require('../middleware/auth');
+const { getPubSub, userChannel, eventChannel } = require('../services/pubsub');
+
+// Create router instance
+const router = express.Router();
+
+// Events one stream may watch
+const MAX_WATCHED_EVENTS = 20;
+
+// Comment lines keep proxies from closing an idle connection
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// How often an open stream checks its session is still signed in
+const SESSION_CHECK_INTERVAL_MS = 60000;
+
+// Longest delay setTimeout supports; longer ones fire immediately
+const MAX_TIMEOUT_MS = 2147483647;
+
+/**
+ * Check that a session is still signed in and its user still active
+ *
+ * @param {Object} user - req.user with userId and sessionId
+ * @returns {Promise<Boolean>} True if the stream may stay open
+ */
+const isSessionActive = async ({ userId, sessionId }) => {
+  const session = await Session.exists({
+    _id: sessionId,
+    user_id: userId,
+    revoked_at: null,
+    expires_at: { $gt: new Date() }
+  });
+
+  return Boolean(session) && Boolean(await User.exists({ _id: userId, is_active: true }));
+};
+
+/**
+ * Authenticate a stream with a single-use ticket from POST /api/stream/ticket
+ * EventSource cannot send an Authorization header, and a ticket in the URL is
+ * worthless once used, unlike the access token. Clients that can send the
+ * header may still use it instead
+ *
+ * @middleware
+ */
+const authenticateTicket = async (req, res, next) => {
+  if (req.headers.authorization) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const ticket = typeof req.query.ticket === 'string' ? req.query.ticket : '';
+    const issued = ticket && await AuthToken.consume(ticket, 'stream_ticket');
+
+    if (!issued) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Stream ticket is invalid, expired or already used.'
+      });
+    }
+
+    const streamUser = { userId: String(issued.user_id), sessionId: String(issued.session_id) };
+
+    if (!await isSessionActive(streamUser)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Session has ended.'
+      });
+    }
+
+    req.user = { ...streamUser, tokenExpiresAt: issued.access_expires_at };
+    next();
+  } catch (error) {
+    console.error('Stream ticket error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error during authentication.'
+    });
+  }
+};
+
+/**
+ * @route   POST /api/stream/ticket
+ * @desc    Issue a single-use ticket for opening a stream, valid for one minute
+ *          The stream it opens closes when this request's access token expires
+ * @access  Private
+ */
+router.post('/ticket', authenticateToken, async (req, res) => {
+  try {
+    const { token, expires_at } = await AuthToken.issue(req.user.userId, 'stream_ticket', {
+      session_id: req.user.sessionId,
+      access_expires_at: req.user.tokenExpiresAt
+    });
+
+    return res.status(201).json({
+      success: true,
+      ticket: token,
+      expires_at
+    });
+  } catch (error) {
+    console.error('Stream ticket error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while issuing stream ticket'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/stream
+ * @desc    Server-Sent Events stream of real-time updates
+ *          Query: ticket (from POST /api/stream/ticket), events (comma-separated
+ *          event IDs to watch)
+ *          Always receives the user's own updates: notification, and registration
+ *          for organizers. Watched events add seats and event_update messages.
+ *          Each message is sent as JSON { type, data }. The stream is closed when
+ *          its session is signed out or the access token behind it expires
+ * @access  Private
+ */
+router.get('/', authenticateTicket, (req, res) => {
+  const eventIds = String(req.query.events || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(id => mongoose.isValidObjectId(id));
+
+  if (eventIds.length > MAX_WATCHED_EVENTS) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot watch more than ${MAX_WATCHED_EVENTS} events`
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (message) => {
+    res.write(`data: ${JSON.stringify(message)}\n\n`);
+  };
+
+  const bus = getPubSub();
+  const channels = [userChannel(req.user.userId), ...new Set(eventIds.map(eventChannel))];
+  const unsubscribers = channels.map(channel => bus.subscribe(channel, send));
+
+  // Ask the browser to wait a few seconds before reconnecting after a drop
+  res.write('retry: 5000\n\n');
+  send({ type: 'connected', data: { channels } });
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  // The browser reconnects by asking for a new ticket, which needs a valid session
+  const endStream = () => res.end();
+
+  const sessionCheck = setInterval(() => {
+    isSessionActive(req.user)
+      .then(active => {
+        if (!active) endStream();
+      })
+      .catch(checkError => {
+        console.error('Stream session check error:', checkError.message);
+      });
+  }, SESSION_CHECK_INTERVAL_MS);
+
+  const expiry = req.user.tokenExpiresAt
+    ? setTimeout(endStream, Math.min(Math.max(new Date(req.user.tokenExpiresAt).getTime() - Date.now(), 0), MAX_TIMEOUT_MS))
+    : null;
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearInterval(sessionCheck);
+    clearTimeout(expiry);
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+  });
+});
+
+// Export router
+module.exports = router;
@@ -0,0 +1,326 @@
+// Import required modules
+const express = require('express');
+const mongoose = require('mongoose');
+const path = require('path');
+const crypto = require('crypto');
+const Upload = require('../models/Upload');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const { uploadFormFile, uploadImage } = require('../middleware/upload');
+const { getStorage } = require('../services/storage');
+const { IMAGE_KINDS, IMAGE_VARIANTS, processImage, imageStorageKey } = require('../utils/images');
+
+// Create router instance
+const router = express.Router();
+
+// Roles allowed to upload each image kind
+const IMAGE_KIND_ROLES = {
+  event_poster: ['society_head', 'admin'],
+  society_logo: ['society_head', 'admin'],
+  user_avatar: ['student', 'society_head', 'admin']
+};
+
+const IMAGE_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Build the public URL of an image variant
+ * Uses PUBLIC_API_URL when set, otherwise the request's own host
+ *
+ * @param {Object} req - Express request object
+ * @param {String} imageId - Image ID
+ * @param {String} variant - Variant name
+ * @returns {String} Absolute URL
+ */
+const buildImageUrl = (req, imageId, variant) => {
+  const protocol = (req.get('x-forwarded-proto') || req.protocol).split(',')[0];
+  const base = process.env.PUBLIC_API_URL || `${protocol}://${req.get('host')}/api`;
+  return `${base.replace(/\/$/, '')}/uploads/images/${imageId}/${variant}`;
+};
+
+/**
+ * @route   POST /api/uploads/images
+ * @desc    Upload a poster, logo or avatar image and generate resized versions
+ *          Multipart fields: file, kind (event_poster, society_logo, user_avatar)
+ *          Avatars are applied to the current user's profile immediately
+ * @access  Private
+ */
+router.post('/images', authenticateToken, uploadImage, async (req, res) => {
+  try {
+    const { kind } = req.body;
+    const userId = req.user.userId;
+
+    if (!IMAGE_KINDS[kind]) {
+      return res.status(400).json({
+        success: false,
+        message: `Image kind must be one of: ${Object.keys(IMAGE_KINDS).join(', ')}`
+      });
+    }
+
+    if (!IMAGE_KIND_ROLES[kind].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Required role: ${IMAGE_KIND_ROLES[kind].join(' or ')}`
+      });
+    }
+
+    let variants;
+    try {
+      variants = await processImage(req.file.buffer, kind);
+    } catch (imageError) {
+      return res.status(400).json({
+        success: false,
+        message: 'File is not a valid image'
+      });
+    }
+
+    const imageId = crypto.randomUUID();
+    const storage = getStorage();
+
+    for (const variant of IMAGE_VARIANTS) {
+      await storage.save(imageStorageKey(imageId, variant), variants[variant]);
+    }
+
+    const image = {
+      id: imageId,
+      kind,
+      url: buildImageUrl(req, imageId, 'full'),
+      thumbnail_url: buildImageUrl(req, imageId, 'thumb')
+    };
+
+    if (kind === 'user_avatar') {
+      await User.findByIdAndUpdate(userId, {
+        photo_url: image.url,
+        photo_thumbnail_url: image.thumbnail_url
+      });
+    }
+
+    console.log(`Image uploaded (${kind}) by ${userId}`);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Image uploaded successfully',
+      image
+    });
+
+  } catch (error) {
+    console.error('Upload image error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while uploading image'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/uploads/images/:imageId/:variant
+ * @desc    Serve a resized image (variant: thumb or full)
+ * @access  Public
+ */
+router.get('/images/:imageId/:variant', async (req, res) => {
+  try {
+    const { imageId, variant } = req.params;
+
+    if (!IMAGE_ID_REGEX.test(imageId) || !IMAGE_VARIANTS.includes(variant)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    const storage = getStorage();
+    const key = imageStorageKey(imageId, variant);
+
+    if (!(await storage.exists(key))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    // Image content never changes for a given ID
+    res.setHeader('Content-Type', 'image/webp');
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    const stream = storage.createReadStream(key);
+    stream.on('error', (streamError) => {
+      console.error('Image stream error:', streamError.message);
+      res.end();
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Get image error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching image'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/uploads/form-file
+ * @desc    Upload a file answer for an event's `file` form field
+ *          Multipart fields: file, event_id, field_id
+ * @access  Private
+ */
+router.post('/form-file', authenticateToken, uploadFormFile, async (req, res) => {
+  try {
+    const { event_id, field_id } = req.body;
+    const userId = req.user.userId;
+
+    // Validate ObjectId
+    if (!mongoose.isValidObjectId(event_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid event ID'
+      });
+    }
+
+    const event = await Event.findById(event_id).select('form_fields event_status');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const field = event.form_fields.find(f => f.field_id === field_id);
+
+    if (!field || field.field_type !== 'file') {
+      return res.status(400).json({
+        success: false,
+        message: 'Field does not accept file uploads'
+      });
+    }
+
+    // Store under a random name; the original name is kept in metadata only
+    const extension = path.extname(req.file.originalname).toLowerCase().replace(/[^a-z0-9.]/g, '');
+    const storageKey = `form-files/${event_id}/${crypto.randomUUID()}${extension}`;
+
+    await getStorage().save(storageKey, req.file.buffer);
+
+    const upload = await Upload.create({
+      storage_key: storageKey,
+      original_name: req.file.originalname.slice(0, 255),
+      mime_type: req.file.mimetype,
+      size: req.file.size,
+      uploaded_by: userId,
+      event_id,
+      field_id
+    });
+
+    console.log(`File uploaded for event ${event_id} field ${field_id} by ${userId}`);
+
+    return res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      upload: {
+        _id: upload._id,
+        original_name: upload.original_name,
+        mime_type: upload.mime_type,
+        size: upload.size
+      }
+    });
+
+  } catch (error) {
+    console.error('Upload form file error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while uploading file'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/uploads/:uploadId
+ * @desc    Download an uploaded form file
+ * @access  Private (uploader, registration leader, event organizer, admin)
+ */
+router.get('/:uploadId', authenticateToken, async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    const userId = req.user.userId;
+
+    // Validate ObjectId
+    if (!mongoose.isValidObjectId(uploadId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid upload ID'
+      });
+    }
+
+    const upload = await Upload.findById(uploadId);
+
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    // Check authorization
+    const isUploader = upload.uploaded_by.toString() === userId;
+    const isAdmin = req.user.role === 'admin';
+    let isAllowed = isUploader || isAdmin;
+
+    if (!isAllowed) {
+      const event = await Event.findById(upload.event_id).select('organizer_id');
+      isAllowed = Boolean(event) && event.organizer_id.toString() === userId;
+    }
+
+    if (!isAllowed && upload.registration_id) {
+      const registration = await Registration.findById(upload.registration_id).select('leader_user_id');
+      isAllowed = Boolean(registration) && registration.leader_user_id.toString() === userId;
+    }
+
+    if (!isAllowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to download this file'
+      });
+    }
+
+    const storage = getStorage();
+
+    if (!(await storage.exists(upload.storage_key))) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    // Always download, never render inline, so uploads cannot run in the app's origin
+    res.setHeader('Content-Type', upload.mime_type);
+    res.setHeader('Content-Length', upload.size);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename*=UTF-8''${encodeURIComponent(upload.original_name)}`
+    );
+
+    const stream = storage.createReadStream(upload.storage_key);
+    stream.on('error', (streamError) => {
+      console.error('Download stream error:', streamError.message);
+      res.end();
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Download file error:', error.message);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while downloading file'
+    });
+  }
+});
+
+// Export router
+module.exports = router;
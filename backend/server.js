@@ -15,16 +15,50 @@ const Society = require('./models/Society');
 const Event = require('./models/Event');
 const Registration = require('./models/Registration');
 const Bookmark = require('./models/Bookmark');
+const Upload = require('./models/Upload');
+const AuthToken = require('./models/AuthToken');
+const Session = require('./models/Session');
+const AuditLog = require('./models/AuditLog');
+const Notification = require('./models/Notification');
+const EmailDelivery = require('./models/EmailDelivery');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const eventsRoutes = require('./routes/events');
 const registrationsRoutes = require('./routes/registrations');
 const bookmarksRoutes = require('./routes/bookmarks');
+const societiesRoutes = require('./routes/societies');
+const uploadsRoutes = require('./routes/uploads');
+const adminRoutes = require('./routes/admin');
+const calendarRoutes = require('./routes/calendar');
+const notificationsRoutes = require('./routes/notifications');
+const streamRoutes = require('./routes/stream');
+
+// Import background services
+const { startLifecycleScheduler, createLifecycleMiddleware } = require('./services/eventLifecycle');
 
 // Create Express application
 const app = express();
 
+/**
+ * Read how many reverse proxies sit in front of the API
+ * TRUST_PROXY takes anything Express accepts for 'trust proxy': a hop count,
+ * true/false, or comma-separated addresses/subnets. Vercel adds one hop
+ * @returns {Boolean|Number|String} Express 'trust proxy' setting
+ */
+const getTrustProxy = () => {
+  const value = process.env.TRUST_PROXY;
+  
+  if (value === undefined || value === '') return process.env.VERCEL ? 1 : false;
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+};
+
+// Behind a proxy, req.ip (used by the audit log and session list) must come
+// from X-Forwarded-For instead of the proxy's own address
+app.set('trust proxy', getTrustProxy());
+
 // Middleware
 // Enable CORS for cross-origin requests
 const corsOptions = {
@@ -42,11 +76,23 @@ app.use(express.urlencoded({ extended: true }));
 
 // Serve frontend static files in production
 
+// Serverless functions cannot run a background scheduler,
+// so event lifecycle transitions run on demand before API requests
+if (process.env.VERCEL) {
+  app.use('/api', createLifecycleMiddleware(() => getDB()));
+}
+
 // Mount API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/events', eventsRoutes);
 app.use('/api/registrations', registrationsRoutes);
 app.use('/api/bookmarks', bookmarksRoutes);
+app.use('/api/societies', societiesRoutes);
+app.use('/api/uploads', uploadsRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/stream', streamRoutes);
 
 // Routes
 /**
@@ -63,7 +109,13 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       events: '/api/events',
       registrations: '/api/registrations',
-      bookmarks: '/api/bookmarks'
+      bookmarks: '/api/bookmarks',
+      societies: '/api/societies',
+      uploads: '/api/uploads',
+      admin: '/api/admin',
+      calendar: '/api/calendar',
+      notifications: '/api/notifications',
+      stream: '/api/stream'
     }
   });
 });
@@ -146,11 +198,23 @@ app.use((err, req, res, next) => {
 // Get PORT from environment variable or use default 5000
 const PORT = process.env.PORT || 5000;
 
+/**
+ * Bring data written by older versions up to date
+ * Each step is idempotent, so this runs on every start
+ * @returns {Promise<void>}
+ */
+const runMigrations = async () => {
+  const approved = await Society.backfillApprovalStatus();
+  if (approved > 0) {
+    console.log(`Marked ${approved} existing societies as approved`);
+  }
+};
+
 // MongoDB connection promise for serverless
 let dbPromise = null;
 const getDB = () => {
   if (!dbPromise) {
-    dbPromise = connectDB().catch(err => {
+    dbPromise = connectDB().then(runMigrations).catch(err => {
       console.error('Database connection failed:', err);
       dbPromise = null;
       throw err;
@@ -163,14 +227,18 @@ const getDB = () => {
 if (process.env.VERCEL) {
   // Connect to DB on cold start
   getDB();
-} else {
-  // For local development
+} else if (require.main === module) {
+  // For local development; tests import the app without starting it
   const startServer = async () => {
     try {
       await connectDB();
+      await runMigrations();
       app.listen(PORT, () => {
         console.log(`Server is running on port ${PORT}`);
       });
+      
+      // Move events through published -> ongoing -> completed and send reminders
+      startLifecycleScheduler();
     } catch (error) {
       console.error('Failed to start server:', error.message);
       process.exit(1);
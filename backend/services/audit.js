@@ -0,0 +1,80 @@
+// Import required modules
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Copy selected fields of a document into a plain object
+ *
+ * @param {Object} source - Mongoose document or plain object
+ * @param {Array<String>} fields - Field names to copy
+ * @returns {Object} Field values
+ */
+const snapshot = (source, fields) => {
+  const data = typeof source.toObject === 'function' ? source.toObject() : source;
+
+  return fields.reduce((values, field) => {
+    values[field] = data[field];
+    return values;
+  }, {});
+};
+
+/**
+ * Reduce two snapshots to the fields whose values differ
+ *
+ * @param {Object} before - Values before the action
+ * @param {Object} after - Values after the action
+ * @returns {Object} { before, after } holding only changed fields
+ */
+const diffSnapshots = (before = {}, after = {}) => {
+  const changes = { before: {}, after: {} };
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  fields.forEach(field => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.before[field] = before[field];
+      changes.after[field] = after[field];
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Record a sensitive action in the audit log
+ * The actor, IP and User-Agent are taken from the request. A failed write is only
+ * logged: the audited change has already been saved by the time this runs
+ *
+ * @param {Object} req - Express request
+ * @param {Object} entry - Audit entry
+ * @param {String} entry.action - Action name, e.g. event.cancel
+ * @param {String} entry.target_type - User, Society, Event or Registration
+ * @param {ObjectId|String} entry.target_id - Record acted on
+ * @param {Object} [entry.before] - Field values before the action
+ * @param {Object} [entry.after] - Field values after the action
+ * @param {String} [entry.reason] - Reason given for the action
+ * @param {ObjectId|String} [entry.actor_id] - Actor for unauthenticated requests
+ * @returns {Promise<Object|null>} Created entry, or null if it could not be saved
+ */
+const recordAudit = async (req, entry) => {
+  const { before, after, actor_id, ...rest } = entry;
+  const changes = before && after ? diffSnapshots(before, after) : { before, after };
+
+  try {
+    return await AuditLog.create({
+      ...rest,
+      ...changes,
+      actor_id: actor_id || req.user?.userId,
+      actor_role: req.user?.role,
+      ip: req.ip,
+      user_agent: (req.get('user-agent') || '').slice(0, 500)
+    });
+  } catch (error) {
+    console.error('Record audit log error:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  recordAudit,
+  snapshot,
+  diffSnapshots
+};
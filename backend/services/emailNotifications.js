@@ -0,0 +1,261 @@
+// Import required modules
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const EmailDelivery = require('../models/EmailDelivery');
+const { sendMail } = require('./mail');
+const { buildNotificationEmail, buildEventReminderEmail, buildTeamInviteSignupEmail } = require('./mail/messages');
+const { signTeamInvite } = require('../utils/teamInvites');
+
+/**
+ * Email preference category for each notification type that is also emailed
+ * Types not listed here stay in-app only
+ */
+const NOTIFICATION_EMAIL_CATEGORIES = {
+  registration_created: 'registration_confirmations',
+  registration_status: 'status_updates',
+  team_invite: 'team_invites',
+  event_cancelled: 'event_cancellations'
+};
+
+/**
+ * Default hours before start_datetime at which reminders are sent
+ * Override with REMINDER_OFFSETS_HOURS (comma-separated; empty disables reminders)
+ */
+const DEFAULT_REMINDER_OFFSETS_HOURS = '24,1';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Registrations holding a seat, whose attendees get event reminders
+const REMINDED_REGISTRATION_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * Most emails sent at once, so notifying a large event does not open
+ * hundreds of mail server connections
+ */
+const EMAIL_CONCURRENCY = 5;
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ *
+ * @param {Array} items - Items to process
+ * @param {Number} limit - Maximum concurrent calls
+ * @param {Function} worker - Async function called with each item
+ * @returns {Promise<Array>} Results in item order
+ */
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runWorker));
+  return results;
+};
+
+/**
+ * Read the reminder offsets from the environment
+ *
+ * @returns {Array<Number>} Distinct positive offsets in hours, smallest first
+ */
+const getReminderOffsets = () => {
+  const offsets = String(process.env.REMINDER_OFFSETS_HOURS ?? DEFAULT_REMINDER_OFFSETS_HOURS)
+    .split(',')
+    .map(Number)
+    .filter(hours => hours > 0);
+
+  return [...new Set(offsets)].sort((a, b) => a - b);
+};
+
+/**
+ * Send an email unless one with the same key was already sent
+ * The key is claimed in the delivery ledger before sending, so a crash or a
+ * second server instance can never send it again. A failed send is recorded
+ * and not retried
+ *
+ * @param {Object} options
+ * @param {String} options.key - Unique delivery key
+ * @param {Object} options.user - Recipient with _id and email
+ * @param {String} options.category - Email preference category
+ * @param {Object} options.message - { subject, text, html }
+ * @returns {Promise<Boolean>} True if the email was sent by this call
+ */
+const deliverOnce = async ({ key, user, category, message }) => {
+  try {
+    await EmailDelivery.create({ key, user_id: user._id, category });
+  } catch (error) {
+    // Already claimed by an earlier run
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+
+  try {
+    await sendMail({ to: user.email, ...message });
+    await EmailDelivery.updateOne({ key }, { $set: { status: 'sent', sent_at: new Date() } });
+    return true;
+  } catch (error) {
+    console.error('Send email error:', error.message);
+    await EmailDelivery.updateOne({ key }, { $set: { status: 'failed', error: error.message } });
+    return false;
+  }
+};
+
+/**
+ * Email newly created notifications to recipients who have not opted out
+ * Errors are logged rather than thrown
+ *
+ * @param {Array<Object>} notifications - Notification documents
+ * @returns {Promise<Number>} Number of emails sent
+ */
+const emailNotifications = async (notifications) => {
+  const emailable = notifications.filter(notification => NOTIFICATION_EMAIL_CATEGORIES[notification.type]);
+
+  if (emailable.length === 0) {
+    return 0;
+  }
+
+  try {
+    const users = await User.find({
+      _id: { $in: emailable.map(notification => notification.user_id) },
+      is_active: true
+    }).select('name email email_preferences');
+
+    const usersById = new Map(users.map(user => [String(user._id), user]));
+
+    const results = await mapWithConcurrency(emailable, EMAIL_CONCURRENCY, notification => {
+      const user = usersById.get(String(notification.user_id));
+      const category = NOTIFICATION_EMAIL_CATEGORIES[notification.type];
+
+      if (!user || user.email_preferences?.[category] === false) {
+        return false;
+      }
+
+      return deliverOnce({
+        key: `notification:${notification._id}`,
+        user,
+        category,
+        message: buildNotificationEmail({ name: user.name, notification })
+      });
+    });
+
+    return results.filter(Boolean).length;
+  } catch (error) {
+    console.error('Email notifications error:', error.message);
+    return 0;
+  }
+};
+
+/**
+ * Email a signed sign-up link to team members invited before they had an account
+ * These go to addresses with no user, so they bypass preferences and the delivery
+ * ledger; they are only sent once, when the team is created. Errors are logged
+ *
+ * @param {Object} registration - Team registration
+ * @param {Object} options
+ * @param {String} options.eventTitle - Title of the event
+ * @param {String} options.leaderName - Name of the inviting team leader
+ * @param {Date} options.expiresAt - When the invite links stop working
+ * @returns {Promise<Number>} Number of invites sent
+ */
+const emailSignupInvites = async (registration, { eventTitle, leaderName, expiresAt }) => {
+  const pending = registration.members.filter(member => member.invite_status === 'pending_registration');
+
+  const results = await mapWithConcurrency(pending, EMAIL_CONCURRENCY, async (member) => {
+    try {
+      const token = signTeamInvite({ registrationId: registration._id, email: member.email }, expiresAt);
+
+      await sendMail({
+        to: member.email,
+        ...buildTeamInviteSignupEmail({
+          name: member.name,
+          leaderName,
+          teamName: registration.team_name,
+          eventTitle,
+          token
+        })
+      });
+      return true;
+    } catch (error) {
+      console.error('Send signup invite error:', error.message);
+      return false;
+    }
+  });
+
+  return results.filter(Boolean).length;
+};
+
+/**
+ * Remind attendees of seat-holding registrations that an event starts soon
+ * Pending registrations are included, since most stay pending until an organizer confirms them.
+ * Each event gets the reminder for the smallest offset it has reached, so an
+ * event created an hour before it starts does not also get the 24h reminder.
+ * Delivery keys include the start time, so a rescheduled event is reminded again
+ *
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<Number>} Number of reminders sent
+ */
+const sendEventReminders = async (now = new Date()) => {
+  const offsets = getReminderOffsets();
+
+  if (offsets.length === 0) {
+    return 0;
+  }
+
+  const events = await Event.find({
+    event_status: 'published',
+    start_datetime: { $gt: now, $lte: new Date(now.getTime() + offsets[offsets.length - 1] * HOUR_MS) }
+  }).select('title start_datetime venue');
+
+  let sent = 0;
+
+  for (const event of events) {
+    const hoursLeft = (event.start_datetime.getTime() - now.getTime()) / HOUR_MS;
+    const offset = offsets.find(hours => hoursLeft <= hours);
+
+    const registrations = await Registration.find({ event_id: event._id, status: { $in: REMINDED_REGISTRATION_STATUSES } });
+    const keyFor = (userId) => `reminder:${event._id}:${offset}:${event.start_datetime.getTime()}:${userId}`;
+
+    // Skip attendees already reminded so each run only looks up new recipients
+    const attendeeIds = [...new Set(registrations.flatMap(registration => registration.getAttendeeIds()).map(String))];
+    const delivered = await EmailDelivery.find({ key: { $in: attendeeIds.map(keyFor) } }).select('key');
+    const deliveredKeys = new Set(delivered.map(delivery => delivery.key));
+    const pendingIds = attendeeIds.filter(userId => !deliveredKeys.has(keyFor(userId)));
+
+    if (pendingIds.length === 0) continue;
+
+    const users = await User.find({
+      _id: { $in: pendingIds },
+      is_active: true,
+      'email_preferences.event_reminders': { $ne: false }
+    }).select('name email');
+
+    const hours = Math.max(1, Math.round(hoursLeft));
+
+    for (const user of users) {
+      const wasSent = await deliverOnce({
+        key: keyFor(user._id),
+        user,
+        category: 'event_reminders',
+        message: buildEventReminderEmail({ name: user.name, event, hours })
+      });
+
+      if (wasSent) sent += 1;
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  deliverOnce,
+  emailNotifications,
+  emailSignupInvites,
+  sendEventReminders
+};
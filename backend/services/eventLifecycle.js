@@ -0,0 +1,184 @@
+// Import required modules
+const Event = require('../models/Event');
+const { sendEventReminders } = require('./emailNotifications');
+
+/**
+ * Default interval between scheduler runs
+ * Override with LIFECYCLE_INTERVAL_SECONDS
+ */
+const DEFAULT_INTERVAL_SECONDS = 60;
+
+/**
+ * Read the scheduler interval from the environment
+ *
+ * @returns {Number} Interval in milliseconds
+ */
+const getIntervalMs = () => {
+  const seconds = Number(process.env.LIFECYCLE_INTERVAL_SECONDS) || DEFAULT_INTERVAL_SECONDS;
+  return seconds * 1000;
+};
+
+/**
+ * Move events between statuses based on their dates
+ * Every step is a conditional updateMany, so concurrent runs on several
+ * instances cannot apply a transition twice or move an event backwards
+ *
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<Object>} Number of events changed per transition
+ */
+const runLifecycleTransitions = async (now = new Date()) => {
+  // Finished events, including ones that were never seen as ongoing
+  const completed = await Event.updateMany(
+    {
+      event_status: { $in: ['published', 'ongoing'] },
+      end_datetime: { $lte: now }
+    },
+    { $set: { event_status: 'completed', registration_open: false, updated_at: now } }
+  );
+
+  const started = await Event.updateMany(
+    {
+      event_status: 'published',
+      start_datetime: { $lte: now },
+      end_datetime: { $gt: now }
+    },
+    { $set: { event_status: 'ongoing', updated_at: now } }
+  );
+
+  const registrationClosed = await Event.updateMany(
+    {
+      event_status: { $in: ['published', 'ongoing'] },
+      registration_open: true,
+      registration_end_datetime: { $lte: now }
+    },
+    { $set: { registration_open: false, updated_at: now } }
+  );
+
+  return {
+    started: started.modifiedCount,
+    completed: completed.modifiedCount,
+    registration_closed: registrationClosed.modifiedCount
+  };
+};
+
+/**
+ * Run transitions and log any changes
+ * Errors are logged, never thrown, so a failed run does not stop the scheduler
+ *
+ * @returns {Promise<Object|null>} Transition counts, or null if the run failed
+ */
+const runAndLog = async () => {
+  try {
+    const result = await runLifecycleTransitions();
+
+    if (result.started || result.completed || result.registration_closed) {
+      console.log(
+        `Event lifecycle: ${result.started} started, ${result.completed} completed, ` +
+        `${result.registration_closed} registrations closed`
+      );
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Event lifecycle error:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Send due event reminders and log how many went out
+ * Errors are logged, never thrown
+ *
+ * @returns {Promise<Number>} Number of reminders sent
+ */
+const remindAndLog = async () => {
+  try {
+    const reminders = await sendEventReminders();
+
+    if (reminders) {
+      console.log(`Event reminders: ${reminders} sent`);
+    }
+
+    return reminders;
+  } catch (error) {
+    console.error('Event reminders error:', error.message);
+    return 0;
+  }
+};
+
+/**
+ * Start the background lifecycle scheduler for long-running servers
+ * Runs once immediately, then every LIFECYCLE_INTERVAL_SECONDS.
+ * A run is skipped while the previous one is still in progress.
+ *
+ * @returns {Function} Stops the scheduler
+ */
+const startLifecycleScheduler = () => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    await runAndLog();
+    await remindAndLog();
+    running = false;
+  };
+
+  tick();
+  const timer = setInterval(tick, getIntervalMs());
+
+  // Do not keep the process alive just for the scheduler
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+/**
+ * Create middleware that runs transitions on demand for serverless deployments
+ * Serverless functions cannot keep timers, so transitions run before a request
+ * at most once per interval per instance; concurrent requests share one run.
+ * Reminders are started alongside but not awaited, so no request waits on email.
+ * If the platform freezes the function before they finish, reminders not yet
+ * claimed go out on a later run, but one being sent at that moment can be lost
+ *
+ * @param {Function} ready - Returns a promise that resolves once the database is connected
+ * @returns {Function} Express middleware
+ */
+const createLifecycleMiddleware = (ready) => {
+  let lastRunAt = 0;
+  let pending = null;
+  let reminding = null;
+
+  return async (req, res, next) => {
+    if (!pending && Date.now() - lastRunAt >= getIntervalMs()) {
+      lastRunAt = Date.now();
+      pending = Promise.resolve(ready())
+        .then(runAndLog)
+        .catch(error => console.error('Event lifecycle error:', error.message))
+        .finally(() => {
+          pending = null;
+        });
+
+      if (!reminding) {
+        reminding = Promise.resolve(ready())
+          .then(remindAndLog)
+          .catch(error => console.error('Event reminders error:', error.message))
+          .finally(() => {
+            reminding = null;
+          });
+      }
+    }
+
+    if (pending) {
+      await pending;
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  runLifecycleTransitions,
+  startLifecycleScheduler,
+  createLifecycleMiddleware
+};
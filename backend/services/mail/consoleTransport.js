@@ -0,0 +1,27 @@
+/**
+ * Create a mail transport that prints messages to the server log
+ * Default for local development so links can be copied from the terminal
+ *
+ * @returns {Object} Mail transport
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  /**
+   * Log a message
+   * @param {Object} message - { from, to, subject, text, html }
+   * @returns {Promise<void>}
+   */
+  send: async (message) => {
+    console.log([
+      '--- Mail ---',
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+      '------------'
+    ].join('\n'));
+  }
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,37 @@
+// Import required modules
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Create a mail transport for local development that writes each
+ * message to a JSON file instead of sending it
+ *
+ * @param {Object} options - Transport options
+ * @param {String} options.dir - Directory messages are written to
+ * @returns {Object} Mail transport
+ */
+const createFileTransport = ({ dir }) => {
+  const root = path.resolve(dir);
+
+  return {
+    name: 'file',
+
+    /**
+     * Write a message to disk
+     * @param {Object} message - { from, to, subject, text, html }
+     * @returns {Promise<void>}
+     */
+    send: async (message) => {
+      await fs.promises.mkdir(root, { recursive: true });
+
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomUUID()}.json`;
+      const filePath = path.join(root, fileName);
+
+      await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+      console.log(`Mail to ${message.to} written to ${filePath}`);
+    }
+  };
+};
+
+module.exports = createFileTransport;
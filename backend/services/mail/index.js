@@ -0,0 +1,79 @@
+// Import required modules
+const path = require('path');
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createConsoleTransport = require('./consoleTransport');
+const { createDriverRegistry } = require('../../utils/driverRegistry');
+
+/**
+ * Check whether the server is running as a production deployment
+ *
+ * @returns {Boolean} True in production or on Vercel
+ */
+const isProduction = () => process.env.NODE_ENV === 'production' || Boolean(process.env.VERCEL);
+
+/**
+ * Registered mail transport factories, keyed by MAIL_DRIVER value
+ * Each transport exposes send(message)
+ */
+const mailRegistry = createDriverRegistry({
+  label: 'mail',
+  envVar: 'MAIL_DRIVER',
+  defaultDriver: 'console',
+  drivers: {
+    smtp: () => createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    }),
+    file: () => createFileTransport({
+      dir: process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'mail')
+    }),
+    console: () => createConsoleTransport()
+  },
+  // The console driver would write reset and verification links to the server log
+  checkDriver: (driver) => {
+    if (driver === 'console' && isProduction()) {
+      throw new Error('The console mail driver is disabled in production; set MAIL_DRIVER to smtp');
+    }
+  }
+});
+
+/**
+ * Get the configured mail transport
+ *
+ * @returns {Object} Mail transport
+ * @throws {Error} If the driver is unknown, or is the console driver in production
+ */
+const getMailTransport = mailRegistry.get;
+
+/**
+ * Register an additional mail transport
+ *
+ * @param {String} name - Driver name used in MAIL_DRIVER
+ * @param {Function} factory - Function returning a mail transport
+ */
+const registerMailDriver = mailRegistry.register;
+
+/**
+ * Send an email through the configured transport
+ *
+ * @param {Object} message - Message to send
+ * @param {String} message.to - Recipient address
+ * @param {String} message.subject - Subject line
+ * @param {String} message.text - Plain text body
+ * @param {String} [message.html] - HTML body
+ * @returns {Promise<void>}
+ */
+const sendMail = async (message) => getMailTransport().send({
+  from: process.env.MAIL_FROM || 'Campus Event Hub <no-reply@campus-event-hub.local>',
+  ...message
+});
+
+module.exports = {
+  getMailTransport,
+  registerMailDriver,
+  sendMail
+};
@@ -0,0 +1,167 @@
+/**
+ * Email messages sent by the application
+ * Each builder returns { subject, text, html } for sendMail
+ */
+
+/**
+ * Closing line of notification emails, pointing at the opt-out settings
+ */
+const PREFERENCES_OUTRO = 'You can choose which emails you receive from your profile page.';
+
+/**
+ * Build an absolute link into the frontend app
+ *
+ * @param {String} pathname - Frontend route
+ * @param {String} [token] - Token appended as a query parameter
+ * @returns {String} Absolute URL
+ */
+const frontendLink = (pathname, token) => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return token ? `${base}${pathname}?token=${encodeURIComponent(token)}` : `${base}${pathname}`;
+};
+
+/**
+ * Format an event start time for email text
+ *
+ * @param {Date} date - Date to format
+ * @returns {String} Readable date and time
+ */
+const formatEventDate = (date) => new Date(date).toLocaleString('en-US', {
+  weekday: 'long',
+  month: 'long',
+  day: 'numeric',
+  year: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+  timeZoneName: 'short'
+});
+
+/**
+ * Escape text for inclusion in HTML
+ *
+ * @param {String} value - Raw text
+ * @returns {String} Escaped text
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build a message with a single call-to-action link
+ *
+ * @param {Object} options - Message parts
+ * @returns {Object} { subject, text, html }
+ */
+const buildLinkEmail = ({ subject, name, intro, linkText, url, outro }) => ({
+  subject,
+  text: [`Hi ${name},`, '', intro, '', url, '', outro].join('\n'),
+  html: [
+    `<p>Hi ${escapeHtml(name)},</p>`,
+    `<p>${escapeHtml(intro)}</p>`,
+    `<p><a href="${escapeHtml(url)}">${escapeHtml(linkText)}</a></p>`,
+    `<p>${escapeHtml(outro)}</p>`
+  ].join('\n')
+});
+
+/**
+ * Build the password reset email
+ *
+ * @param {Object} options
+ * @param {String} options.name - Recipient name
+ * @param {String} options.token - Raw reset token
+ * @returns {Object} { subject, text, html }
+ */
+const buildPasswordResetEmail = ({ name, token }) => buildLinkEmail({
+  subject: 'Reset your Campus Event Hub password',
+  name,
+  intro: 'We received a request to reset your password. Use the link below within 1 hour to choose a new one.',
+  linkText: 'Reset password',
+  url: frontendLink('/reset-password', token),
+  outro: 'If you did not request this, you can ignore this email. Your password will not change.'
+});
+
+/**
+ * Build the email address verification email
+ *
+ * @param {Object} options
+ * @param {String} options.name - Recipient name
+ * @param {String} options.token - Raw verification token
+ * @returns {Object} { subject, text, html }
+ */
+const buildVerificationEmail = ({ name, token }) => buildLinkEmail({
+  subject: 'Verify your Campus Event Hub email',
+  name,
+  intro: 'Please confirm your email address by opening the link below within 24 hours.',
+  linkText: 'Verify email',
+  url: frontendLink('/verify-email', token),
+  outro: 'If you did not create an account, you can ignore this email.'
+});
+
+/**
+ * Build the team invite sent to someone who does not have an account yet
+ *
+ * @param {Object} options
+ * @param {String} [options.name] - Name the leader gave for the invitee
+ * @param {String} options.leaderName - Name of the inviting team leader
+ * @param {String} options.teamName - Team name
+ * @param {String} options.eventTitle - Title of the event
+ * @param {String} options.token - Signed invite token
+ * @returns {Object} { subject, text, html }
+ */
+const buildTeamInviteSignupEmail = ({ name, leaderName, teamName, eventTitle, token }) => buildLinkEmail({
+  subject: `${leaderName} invited you to join their team for ${eventTitle}`,
+  name: name || 'there',
+  intro: `${leaderName} invited you to join team "${teamName}" for ${eventTitle} on Campus Event Hub. ` +
+    'Create an account with this email address and the invite will be waiting for you.',
+  linkText: 'Create account',
+  url: frontendLink('/register', token),
+  outro: 'The invite expires when registration for the event closes. If you were not expecting it, you can ignore this email.'
+});
+
+/**
+ * Build the email sent alongside an in-app notification
+ * Used for registration confirmations, status changes, team invites and cancellations
+ *
+ * @param {Object} options
+ * @param {String} options.name - Recipient name
+ * @param {Object} options.notification - Notification with title, message and link
+ * @returns {Object} { subject, text, html }
+ */
+const buildNotificationEmail = ({ name, notification }) => buildLinkEmail({
+  subject: notification.title,
+  name,
+  intro: notification.message || notification.title,
+  linkText: 'View in Campus Event Hub',
+  url: frontendLink(notification.link || '/dashboard'),
+  outro: PREFERENCES_OUTRO
+});
+
+/**
+ * Build the reminder sent before a registered event starts
+ *
+ * @param {Object} options
+ * @param {String} options.name - Recipient name
+ * @param {Object} options.event - Event with _id, title, start_datetime and venue
+ * @param {Number} options.hours - Whole hours until the event starts
+ * @returns {Object} { subject, text, html }
+ */
+const buildEventReminderEmail = ({ name, event, hours }) => buildLinkEmail({
+  subject: `Reminder: ${event.title} starts in ${hours === 1 ? '1 hour' : `${hours} hours`}`,
+  name,
+  intro: `${event.title} starts ${formatEventDate(event.start_datetime)}` +
+    `${event.venue ? ` at ${event.venue}` : ''}. Your ticket is under My Registrations.`,
+  linkText: 'View event',
+  url: frontendLink(`/events/${event._id}`),
+  outro: PREFERENCES_OUTRO
+});
+
+module.exports = {
+  escapeHtml,
+  buildPasswordResetEmail,
+  buildVerificationEmail,
+  buildTeamInviteSignupEmail,
+  buildNotificationEmail,
+  buildEventReminderEmail
+};
@@ -0,0 +1,40 @@
+// Import required modules
+const nodemailer = require('nodemailer');
+
+/**
+ * Create a mail transport that delivers through an SMTP server
+ *
+ * @param {Object} options - Transport options
+ * @param {String} options.host - SMTP host
+ * @param {Number} options.port - SMTP port
+ * @param {Boolean} options.secure - Use TLS from the start (port 465)
+ * @param {String} [options.user] - SMTP username
+ * @param {String} [options.pass] - SMTP password
+ * @returns {Object} Mail transport
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+    // Reuse a few connections instead of opening one per message
+    pool: true,
+    maxConnections: 5
+  });
+
+  return {
+    name: 'smtp',
+
+    /**
+     * Send a message
+     * @param {Object} message - { from, to, subject, text, html }
+     * @returns {Promise<void>}
+     */
+    send: async (message) => {
+      await transporter.sendMail(message);
+    }
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,323 @@
+// Import required modules
+const Notification = require('../models/Notification');
+const Registration = require('../models/Registration');
+const Bookmark = require('../models/Bookmark');
+const { publishNotifications } = require('./realtime');
+const { emailNotifications } = require('./emailNotifications');
+
+// Registrations whose attendees hear about changes to the event
+const NOTIFIED_REGISTRATION_STATUSES = ['pending', 'confirmed', 'waitlisted'];
+
+// How each registration status is described to the team
+const REGISTRATION_STATUS_TEXT = {
+  pending: 'is pending review',
+  confirmed: 'has been confirmed',
+  waitlisted: 'has been waitlisted',
+  rejected: 'has been rejected',
+  cancelled: 'has been cancelled'
+};
+
+// Event fields attendees are told about when they change
+const EVENT_UPDATE_LABELS = {
+  title: 'title',
+  description: 'description',
+  venue: 'venue',
+  start_datetime: 'start time',
+  end_datetime: 'end time',
+  registration_end_datetime: 'registration deadline'
+};
+
+/**
+ * Create the same notification for several users
+ * Duplicate IDs are collapsed and recipients with an open stream get it immediately.
+ * Types with an email category are also emailed to users who have not opted out;
+ * emails are sent in the background so the request does not wait for the mail server.
+ * Notifications are a side effect of the caller's action, so errors are logged
+ * and an empty list returned instead of failing that action
+ *
+ * @param {Array<ObjectId|String>} userIds - Recipients
+ * @param {Object} notification - type, title, message, link, event_id, registration_id
+ * @param {Object} [options]
+ * @param {ObjectId|String} [options.exclude] - User who caused the notification; not notified
+ * @returns {Promise<Array>} Created notifications
+ */
+const notifyUsers = async (userIds, notification, { exclude } = {}) => {
+  const recipients = [...new Set(userIds.filter(Boolean).map(String))]
+    .filter(userId => !exclude || userId !== String(exclude));
+
+  if (recipients.length === 0) {
+    return [];
+  }
+
+  try {
+    const created = await Notification.insertMany(
+      recipients.map(userId => ({ ...notification, user_id: userId }))
+    );
+
+    await publishNotifications(created);
+    emailNotifications(created).catch(mailError => {
+      console.error('Email notifications error:', mailError.message);
+    });
+    return created;
+  } catch (error) {
+    console.error('Create notifications error:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Notify the leader and accepted members of a registration
+ *
+ * @param {Object} registration - Registration document
+ * @param {Object} notification - Notification fields
+ * @param {Object} [options] - Same as notifyUsers
+ * @returns {Promise<Array>} Created notifications
+ */
+const notifyRegistration = (registration, notification, options) => {
+  return notifyUsers(registration.getAttendeeIds(), {
+    registration_id: registration._id,
+    event_id: registration.event_id?._id || registration.event_id,
+    link: '/my-registrations',
+    ...notification
+  }, options);
+};
+
+/**
+ * Notify everyone attending an event under an active registration
+ *
+ * @param {Object} event - Event document
+ * @param {Object} notification - Notification fields
+ * @param {Object} [options] - Same as notifyUsers
+ * @returns {Promise<Array>} Created notifications
+ */
+const notifyEventAttendees = async (event, notification, options) => {
+  try {
+    const registrations = await Registration.find({
+      event_id: event._id,
+      status: { $in: NOTIFIED_REGISTRATION_STATUSES }
+    });
+
+    const userIds = registrations.flatMap(registration => registration.getAttendeeIds());
+
+    return notifyUsers(userIds, {
+      event_id: event._id,
+      link: `/events/${event._id}`,
+      ...notification
+    }, options);
+  } catch (error) {
+    console.error('Notify event attendees error:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Tell a team about a change to their registration status
+ *
+ * @param {Object} registration - Registration document after the change
+ * @param {String} eventTitle - Title of the event
+ * @param {Object} [options]
+ * @param {String} [options.reason] - Reason given for the change
+ * @param {ObjectId|String} [options.exclude] - User who made the change
+ * @returns {Promise<Array>} Created notifications
+ */
+const notifyRegistrationStatus = (registration, eventTitle, { reason, exclude } = {}) => {
+  const statusText = REGISTRATION_STATUS_TEXT[registration.status] || `is now ${registration.status}`;
+
+  return notifyRegistration(registration, {
+    type: 'registration_status',
+    title: `Registration update: ${eventTitle}`,
+    message: `Your registration for ${eventTitle} ${statusText}.${reason ? ` Reason: ${reason}` : ''}`
+  }, { exclude });
+};
+
+/**
+ * Confirm to a team leader that their registration was received
+ *
+ * @param {Object} registration - New registration
+ * @param {String} eventTitle - Title of the event
+ * @returns {Promise<Array>} Created notifications
+ */
+const notifyRegistrationCreated = (registration, eventTitle) => {
+  const leaderId = registration.leader_user_id?._id || registration.leader_user_id;
+  const statusText = REGISTRATION_STATUS_TEXT[registration.status] || `is ${registration.status}`;
+
+  return notifyUsers([leaderId], {
+    type: 'registration_created',
+    title: `Registered: ${eventTitle}`,
+    message: `Your registration for ${eventTitle} was received and ${statusText}.`,
+    link: '/my-registrations',
+    event_id: registration.event_id?._id || registration.event_id,
+    registration_id: registration._id
+  });
+};
+
+/**
+ * Invite users to a team
+ *
+ * @param {Array<ObjectId|String>} userIds - Invited users
+ * @param {Object} registration - Team registration
+ * @param {Object} options
+ * @param {String} options.eventTitle - Title of the event
+ * @param {String} options.leaderName - Name of the inviting team leader
+ * @returns {Promise<Array>} Created notifications
+ */
+const notifyTeamInvites = (userIds, registration, { eventTitle, leaderName }) => {
+  return notifyUsers(userIds, {
+    type: 'team_invite',
+    title: `Team invite: ${eventTitle}`,
+    message: `${leaderName} invited you to join team "${registration.team_name}" for ${eventTitle}.`,
+    link: '/my-registrations',
+    event_id: registration.event_id?._id || registration.event_id,
+    registration_id: registration._id
+  });
+};
+
+/**
+ * Tell a team leader that an invited member responded
+ *
+ * @param {Object} registration - Team registration
+ * @param {Object} options
+ * @param {String} options.eventTitle - Title of the event
+ * @param {String} options.memberName - Name of the responding member
+ * @param {Boolean} options.accepted - Whether the invite was accepted
+ * @returns {Promise<Array>} Created notifications
+ */
+const notifyInvitationResponse = (registration, { eventTitle, memberName, accepted }) => {
+  const leaderId = registration.leader_user_id?._id || registration.leader_user_id;
+
+  return notifyUsers([leaderId], {
+    type: 'invitation_response',
+    title: `${memberName} ${accepted ? 'joined' : 'declined'} your team`,
+    message: `${memberName} ${accepted ? 'accepted' : 'declined'} the invite to team "${registration.team_name}" for ${eventTitle}.`,
+    link: '/my-registrations',
+    event_id: registration.event_id?._id || registration.event_id,
+    registration_id: registration._id
+  });
+};
+
+/**
+ * Tell teams promoted off the waitlist that a seat opened up
+ *
+ * @param {Array<Object>} registrations - Registrations returned by promoteFromWaitlist
+ * @param {String} eventTitle - Title of the event
+ * @returns {Promise<Array>} Created notifications
+ */
+const notifyWaitlistPromotions = async (registrations, eventTitle) => {
+  const created = await Promise.all(registrations.map(registration => notifyRegistration(registration, {
+    type: 'registration_status',
+    title: `Off the waitlist: ${eventTitle}`,
+    message: `A seat opened up for ${eventTitle}. Your registration has moved off the waitlist and is pending review.`
+  })));
+
+  return created.flat();
+};
+
+/**
+ * Tell attendees that details they rely on have changed
+ * Does nothing for drafts or when none of the changed fields are attendee-facing
+ *
+ * @param {Object} event - Event document after the update
+ * @param {Array<String>} changedFields - Fields whose values changed
+ * @param {Object} [options] - Same as notifyUsers
+ * @returns {Promise<Array>} Created notifications
+ */
+const notifyEventUpdate = async (event, changedFields, options) => {
+  const labels = [...new Set(changedFields.map(field => EVENT_UPDATE_LABELS[field]).filter(Boolean))];
+
+  if (event.event_status === 'draft' || labels.length === 0) {
+    return [];
+  }
+
+  return notifyEventAttendees(event, {
+    type: 'event_update',
+    title: `Event updated: ${event.title}`,
+    message: `The organizer changed the ${labels.join(', ')} of ${event.title}. Check the event page for the latest details.`
+  }, options);
+};
+
+/**
+ * List everyone with a stake in an event's cancellation or restore:
+ * leaders and members of the given registrations, including members who
+ * have not answered their invite yet, and users who bookmarked the event
+ *
+ * @param {Object} event - Event document
+ * @param {Array<Object>} registrations - Registrations affected
+ * @returns {Promise<Array<String>>} User IDs
+ */
+const getCancellationRecipients = async (event, registrations) => {
+  const userIds = registrations.flatMap(registration => [
+    registration.leader_user_id?._id || registration.leader_user_id,
+    ...registration.members
+      .filter(member => member.invite_status !== 'declined')
+      .map(member => member.user_id?._id || member.user_id)
+  ]);
+
+  const bookmarks = await Bookmark.find({ event_id: event._id }).select('user_id');
+
+  return [...userIds, ...bookmarks.map(bookmark => bookmark.user_id)];
+};
+
+/**
+ * Tell teams and bookmarkers that an event was cancelled
+ *
+ * @param {Object} event - Cancelled event
+ * @param {Array<Object>} registrations - Registrations cancelled with the event
+ * @param {Object} [options]
+ * @param {String} [options.reason] - Reason given for the cancellation
+ * @param {ObjectId|String} [options.exclude] - User who cancelled the event
+ * @returns {Promise<Array>} Created notifications
+ */
+const notifyEventCancelled = async (event, registrations, { reason, exclude } = {}) => {
+  try {
+    const userIds = await getCancellationRecipients(event, registrations);
+
+    return notifyUsers(userIds, {
+      type: 'event_cancelled',
+      title: `Event cancelled: ${event.title}`,
+      message: `${event.title} has been cancelled and registrations for it were cancelled.${reason ? ` Reason: ${reason}` : ''}`,
+      link: `/events/${event._id}`,
+      event_id: event._id
+    }, { exclude });
+  } catch (error) {
+    console.error('Notify event cancelled error:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Tell teams and bookmarkers that a cancelled event is back on
+ *
+ * @param {Object} event - Restored event
+ * @param {Array<Object>} registrations - Registrations restored with the event
+ * @returns {Promise<Array>} Created notifications
+ */
+const notifyEventRestored = async (event, registrations) => {
+  try {
+    const userIds = await getCancellationRecipients(event, registrations);
+
+    return notifyUsers(userIds, {
+      type: 'event_update',
+      title: `Event reinstated: ${event.title}`,
+      message: `${event.title} is back on after being cancelled. Registrations cancelled with it have been restored.`,
+      link: `/events/${event._id}`,
+      event_id: event._id
+    });
+  } catch (error) {
+    console.error('Notify event restored error:', error.message);
+    return [];
+  }
+};
+
+module.exports = {
+  notifyUsers,
+  notifyRegistration,
+  notifyEventAttendees,
+  notifyRegistrationStatus,
+  notifyRegistrationCreated,
+  notifyTeamInvites,
+  notifyInvitationResponse,
+  notifyWaitlistPromotions,
+  notifyEventUpdate,
+  notifyEventCancelled,
+  notifyEventRestored
+};
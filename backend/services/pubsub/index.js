@@ -0,0 +1,72 @@
+// Import required modules
+const createMemoryBus = require('./memoryBus');
+const { createDriverRegistry } = require('../../utils/driverRegistry');
+
+/**
+ * Registered pub/sub bus factories, keyed by PUBSUB_DRIVER value
+ * Each bus exposes publish(channel, message) and subscribe(channel, handler)
+ */
+const pubSubRegistry = createDriverRegistry({
+  label: 'pub/sub',
+  envVar: 'PUBSUB_DRIVER',
+  defaultDriver: 'memory',
+  drivers: {
+    memory: () => createMemoryBus()
+  }
+});
+
+/**
+ * Get the configured pub/sub bus
+ *
+ * @returns {Object} Pub/sub bus
+ */
+const getPubSub = pubSubRegistry.get;
+
+/**
+ * Register an additional pub/sub bus
+ *
+ * @param {String} name - Driver name used in PUBSUB_DRIVER
+ * @param {Function} factory - Function returning a pub/sub bus
+ */
+const registerPubSubDriver = pubSubRegistry.register;
+
+/**
+ * Channel carrying updates for one user
+ *
+ * @param {ObjectId|String} userId - User ID
+ * @returns {String} Channel name
+ */
+const userChannel = (userId) => `user:${userId}`;
+
+/**
+ * Channel carrying public updates about one event
+ *
+ * @param {ObjectId|String} eventId - Event ID
+ * @returns {String} Channel name
+ */
+const eventChannel = (eventId) => `event:${eventId}`;
+
+/**
+ * Publish a message, logging rather than throwing on failure so a
+ * missed real-time update never fails the request that caused it
+ *
+ * @param {String} channel - Channel name
+ * @param {String} type - Message type the client dispatches on
+ * @param {Object} data - Message payload
+ * @returns {Promise<void>}
+ */
+const publish = async (channel, type, data) => {
+  try {
+    await getPubSub().publish(channel, { type, data });
+  } catch (error) {
+    console.error('Publish realtime update error:', error.message);
+  }
+};
+
+module.exports = {
+  getPubSub,
+  registerPubSubDriver,
+  userChannel,
+  eventChannel,
+  publish
+};
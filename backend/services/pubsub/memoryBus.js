@@ -0,0 +1,43 @@
+// Import required modules
+const { EventEmitter } = require('events');
+
+/**
+ * Create a pub/sub bus that delivers messages within this process
+ * Only suitable for a single server instance; register a shared bus
+ * (e.g. Redis) when running several instances behind a load balancer
+ *
+ * @returns {Object} Pub/sub bus
+ */
+const createMemoryBus = () => {
+  const emitter = new EventEmitter();
+
+  // Every open stream adds listeners, so lift the default warning limit
+  emitter.setMaxListeners(0);
+
+  return {
+    name: 'memory',
+
+    /**
+     * Deliver a message to every subscriber of a channel
+     * @param {String} channel - Channel name
+     * @param {Object} message - JSON-serializable message
+     * @returns {Promise<void>}
+     */
+    async publish(channel, message) {
+      emitter.emit(channel, message);
+    },
+
+    /**
+     * Listen for messages on a channel
+     * @param {String} channel - Channel name
+     * @param {Function} handler - Called with each message
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    }
+  };
+};
+
+module.exports = createMemoryBus;
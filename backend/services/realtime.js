@@ -0,0 +1,75 @@
+// Import required modules
+const Event = require('../models/Event');
+const { publish, userChannel, eventChannel } = require('./pubsub');
+
+/**
+ * Push an event's current seat count to everyone watching it
+ * Reads the counter fresh so concurrent changes never publish a stale value
+ *
+ * @param {ObjectId|String} eventId - Event ID
+ * @returns {Promise<void>}
+ */
+const publishSeatCount = async (eventId) => {
+  try {
+    const event = await Event.findById(eventId).select('seats_taken max_teams');
+
+    if (event) {
+      await publish(eventChannel(event._id), 'seats', {
+        event_id: event._id,
+        seats_taken: event.seats_taken,
+        max_teams: event.max_teams ?? null
+      });
+    }
+  } catch (error) {
+    console.error('Publish seat count error:', error.message);
+  }
+};
+
+/**
+ * Tell everyone watching an event that it was edited, cancelled or restored
+ *
+ * @param {Object} event - Event document after the change
+ * @param {Array<String>} fields - Fields that changed
+ * @returns {Promise<void>}
+ */
+const publishEventUpdate = (event, fields) => {
+  return publish(eventChannel(event._id), 'event_update', {
+    event_id: event._id,
+    event_status: event.event_status,
+    fields
+  });
+};
+
+/**
+ * Tell an event's organizer about a new registration
+ *
+ * @param {Object} event - Event registered for
+ * @param {Object} registration - New registration
+ * @returns {Promise<void>}
+ */
+const publishNewRegistration = (event, registration) => {
+  return publish(userChannel(event.organizer_id), 'registration', {
+    event_id: event._id,
+    registration_id: registration._id,
+    status: registration.status
+  });
+};
+
+/**
+ * Deliver newly created notifications to their recipients' open streams
+ *
+ * @param {Array<Object>} notifications - Notification documents
+ * @returns {Promise<void>}
+ */
+const publishNotifications = async (notifications) => {
+  await Promise.all(notifications.map(notification => (
+    publish(userChannel(notification.user_id), 'notification', notification.toObject())
+  )));
+};
+
+module.exports = {
+  publishSeatCount,
+  publishEventUpdate,
+  publishNewRegistration,
+  publishNotifications
+};
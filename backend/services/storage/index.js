@@ -0,0 +1,39 @@
+// Import required modules
+const path = require('path');
+const createLocalStorage = require('./localStorage');
+const { createDriverRegistry } = require('../../utils/driverRegistry');
+
+/**
+ * Registered storage backend factories, keyed by STORAGE_DRIVER value
+ * Each backend exposes save, createReadStream, exists and remove
+ */
+const storageRegistry = createDriverRegistry({
+  label: 'storage',
+  envVar: 'STORAGE_DRIVER',
+  defaultDriver: 'local',
+  drivers: {
+    local: () => createLocalStorage({
+      rootDir: process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads')
+    })
+  }
+});
+
+/**
+ * Get the configured storage backend
+ *
+ * @returns {Object} Storage backend
+ */
+const getStorage = storageRegistry.get;
+
+/**
+ * Register an additional storage backend
+ *
+ * @param {String} name - Driver name used in STORAGE_DRIVER
+ * @param {Function} factory - Function returning a storage backend
+ */
+const registerStorageDriver = storageRegistry.register;
+
+module.exports = {
+  getStorage,
+  registerStorageDriver
+};
@@ -0,0 +1,87 @@
+// Import required modules
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a storage backend that keeps files on local disk
+ *
+ * @param {Object} options - Backend options
+ * @param {String} options.rootDir - Directory files are stored under
+ * @returns {Object} Storage backend
+ */
+const createLocalStorage = ({ rootDir }) => {
+  const root = path.resolve(rootDir);
+
+  /**
+   * Resolve a storage key to an absolute path inside the root directory
+   * Rejects keys that would escape the root
+   *
+   * @param {String} key - Storage key (relative path)
+   * @returns {String} Absolute file path
+   */
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    /**
+     * Write a file
+     * @param {String} key - Storage key
+     * @param {Buffer} buffer - File contents
+     * @returns {Promise<void>}
+     */
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    /**
+     * Open a file for streaming
+     * @param {String} key - Storage key
+     * @returns {ReadStream} File stream
+     */
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    /**
+     * Check whether a file exists
+     * @param {String} key - Storage key
+     * @returns {Promise<Boolean>} True if present
+     */
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    /**
+     * Delete a file, ignoring files that are already gone
+     * @param {String} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+  };
+};
+
+module.exports = createLocalStorage;
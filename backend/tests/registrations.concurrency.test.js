@@ -0,0 +1,200 @@
+// Import required modules
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Configure the app before it is loaded
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-minimum-32-characters-long';
+process.env.MAIL_DRIVER = 'test';
+
+const app = require('../server');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Session = require('../models/Session');
+const Registration = require('../models/Registration');
+const { registerMailDriver } = require('../services/mail');
+const { signAccessToken } = require('../utils/authTokens');
+
+// Registrations fired at the event at once
+const PARALLEL_REGISTRATIONS = 25;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Stand-in for the request Session.start reads device and IP from
+const fakeRequest = { get: () => 'jest', ip: '127.0.0.1' };
+
+// Emails are not part of this test
+registerMailDriver('test', () => ({ name: 'test', send: async () => {} }));
+
+let mongoServer = null;
+
+/**
+ * Connect to MONGODB_TEST_URI if set, otherwise to a throwaway in-memory server
+ */
+beforeAll(async () => {
+  let uri = process.env.MONGODB_TEST_URI;
+
+  if (!uri) {
+    mongoServer = await MongoMemoryServer.create();
+    uri = mongoServer.getUri();
+  }
+
+  await mongoose.connect(uri, { dbName: `campus-event-hub-test-${process.pid}` });
+  await Registration.syncIndexes();
+});
+
+afterAll(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+  }
+  await mongoose.disconnect();
+
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+/**
+ * Start a session for a user and sign an access token for it
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<String>} Access token
+ */
+const signIn = async (user) => {
+  const { session } = await Session.start(user._id, fakeRequest);
+  return signAccessToken(user, session._id).token;
+};
+
+/**
+ * Create users of one role
+ *
+ * @param {String} prefix - Prefix for names and emails, unique per call
+ * @param {Number} count - Number of users
+ * @param {String} [role='student'] - Role for every user
+ * @returns {Promise<Array<Object>>} User documents
+ */
+const createUsers = (prefix, count, role = 'student') => User.insertMany(
+  Array.from({ length: count }, (_, index) => ({
+    name: `${prefix} ${index}`,
+    email: `${prefix}${index}@example.com`,
+    password: 'password123',
+    role
+  }))
+);
+
+/**
+ * Create a published event with a single seat, open for registration
+ *
+ * @param {Object} organizer - Organizer user document
+ * @returns {Promise<Object>} Event document
+ */
+const createOneSeatEvent = (organizer) => {
+  const now = Date.now();
+
+  return Event.create({
+    title: 'One Seat Workshop',
+    description: 'Only one registration can take the seat',
+    event_type: 'workshop',
+    venue: 'Room 101',
+    start_datetime: new Date(now + 48 * HOUR_MS),
+    end_datetime: new Date(now + 50 * HOUR_MS),
+    registration_start_datetime: new Date(now - HOUR_MS),
+    registration_end_datetime: new Date(now + 24 * HOUR_MS),
+    registration_mode: 'individual',
+    max_teams: 1,
+    organizer_id: organizer._id,
+    event_status: 'published',
+    registration_open: true
+  });
+};
+
+describe('POST /api/registrations under concurrency', () => {
+  test('fills a one-seat event exactly once and waitlists everyone else', async () => {
+    const [organizer] = await createUsers('organizer', 1, 'society_head');
+    const event = await createOneSeatEvent(organizer);
+
+    const students = await createUsers('student', PARALLEL_REGISTRATIONS);
+    const tokens = await Promise.all(students.map(signIn));
+
+    const responses = await Promise.all(tokens.map(token => request(app)
+      .post('/api/registrations')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ event_id: String(event._id) })
+    ));
+
+    // Every request is accepted, but only one takes the seat
+    responses.forEach(response => expect(response.status).toBe(201));
+
+    const statuses = responses.map(response => response.body.registration.status);
+    expect(statuses.filter(status => status === 'pending')).toHaveLength(1);
+    expect(statuses.filter(status => status === 'waitlisted')).toHaveLength(PARALLEL_REGISTRATIONS - 1);
+
+    // The stored state agrees with the responses
+    const stored = await Event.findById(event._id);
+    expect(stored.seats_taken).toBe(1);
+    expect(await Registration.countSeatsTaken(event._id)).toBe(1);
+    expect(await Registration.countDocuments({ event_id: event._id, status: 'waitlisted' }))
+      .toBe(PARALLEL_REGISTRATIONS - 1);
+  });
+});
+
+describe('PUT /api/registrations/:registrationId under concurrency', () => {
+  test('lets organizer decisions take a free seat only once', async () => {
+    const [organizer] = await createUsers('head', 1, 'society_head');
+    const organizerToken = await signIn(organizer);
+    const event = await createOneSeatEvent(organizer);
+
+    // Rejected registrations hold no seat, so the event starts empty
+    const students = await createUsers('rejected', PARALLEL_REGISTRATIONS);
+    const registrations = await Registration.insertMany(students.map(student => ({
+      event_id: event._id,
+      mode: 'individual',
+      leader_user_id: student._id,
+      status: 'rejected'
+    })));
+
+    const responses = await Promise.all(registrations.map(registration => request(app)
+      .put(`/api/registrations/${registration._id}`)
+      .set('Authorization', `Bearer ${organizerToken}`)
+      .send({ status: 'pending' })
+    ));
+
+    // One decision takes the seat; the rest find the event full
+    const statusCodes = responses.map(response => response.status);
+    expect(statusCodes.filter(code => code === 200)).toHaveLength(1);
+    expect(statusCodes.filter(code => code === 409)).toHaveLength(PARALLEL_REGISTRATIONS - 1);
+
+    const stored = await Event.findById(event._id);
+    expect(stored.seats_taken).toBe(1);
+    expect(await Registration.countSeatsTaken(event._id)).toBe(1);
+  });
+
+  test('applies only one of two racing changes to the same registration', async () => {
+    const [organizer] = await createUsers('racer', 1, 'society_head');
+    const organizerToken = await signIn(organizer);
+    const event = await createOneSeatEvent(organizer);
+
+    const [student] = await createUsers('racing', 1);
+    const registration = await Registration.create({
+      event_id: event._id,
+      mode: 'individual',
+      leader_user_id: student._id,
+      status: 'pending'
+    });
+    await Event.updateOne({ _id: event._id }, { $set: { seats_taken: 1 } });
+
+    const responses = await Promise.all(['rejected', 'cancelled'].map(status => request(app)
+      .put(`/api/registrations/${registration._id}`)
+      .set('Authorization', `Bearer ${organizerToken}`)
+      .send({ status })
+    ));
+
+    // The seat is released once, not once per request
+    const statusCodes = responses.map(response => response.status).sort();
+    expect(statusCodes).toEqual([200, 409]);
+
+    const stored = await Registration.findById(registration._id);
+    expect(stored.status_history).toHaveLength(1);
+    expect((await Event.findById(event._id)).seats_taken).toBe(0);
+  });
+});
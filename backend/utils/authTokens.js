@@ -0,0 +1,33 @@
+// Import required modules
+const jwt = require('jsonwebtoken');
+
+/**
+ * Sign a short-lived access token for a session
+ * Lifetime is set by ACCESS_TOKEN_TTL (jsonwebtoken duration, default 15m)
+ *
+ * @param {Object} user - User document
+ * @param {ObjectId|String} sessionId - Session the token belongs to
+ * @returns {Object} { token, expires_in } with expires_in in seconds
+ */
+const signAccessToken = (user, sessionId) => {
+  const token = jwt.sign(
+    {
+      userId: user._id,
+      email: user.email,
+      role: user.role,
+      sid: String(sessionId)
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.ACCESS_TOKEN_TTL || '15m'
+    }
+  );
+
+  const { exp, iat } = jwt.decode(token);
+
+  return { token, expires_in: exp - iat };
+};
+
+module.exports = {
+  signAccessToken
+};
@@ -0,0 +1,58 @@
+/**
+ * Create a registry of backend factories selected by an environment variable
+ * The backend is created on first use, so the variable is read after dotenv loads,
+ * and is recreated after a driver is registered
+ *
+ * @param {Object} options - Registry options
+ * @param {String} options.label - Backend name used in error messages, e.g. storage
+ * @param {String} options.envVar - Environment variable naming the driver
+ * @param {String} options.defaultDriver - Driver used when the variable is unset
+ * @param {Object} options.drivers - Factories keyed by driver name
+ * @param {Function} [options.checkDriver] - Called with the driver name before it is created; throws to refuse it
+ * @returns {Object} { get, register }
+ */
+const createDriverRegistry = ({ label, envVar, defaultDriver, drivers, checkDriver }) => {
+  const factories = { ...drivers };
+  let instance = null;
+
+  /**
+   * Get the configured backend
+   *
+   * @returns {Object} Backend created by the selected driver
+   * @throws {Error} If the driver is unknown or refused
+   */
+  const get = () => {
+    if (!instance) {
+      const driver = process.env[envVar] || defaultDriver;
+
+      if (!factories[driver]) {
+        throw new Error(`Unknown ${label} driver: ${driver}`);
+      }
+
+      if (checkDriver) {
+        checkDriver(driver);
+      }
+
+      instance = factories[driver]();
+    }
+
+    return instance;
+  };
+
+  /**
+   * Register an additional driver
+   *
+   * @param {String} name - Driver name used in the environment variable
+   * @param {Function} factory - Function returning a backend
+   */
+  const register = (name, factory) => {
+    factories[name] = factory;
+    instance = null;
+  };
+
+  return { get, register };
+};
+
+module.exports = {
+  createDriverRegistry
+};
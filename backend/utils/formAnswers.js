@@ -0,0 +1,193 @@
+/**
+ * Validation of registration form answers against Event.form_fields
+ */
+
+// Same phone pattern as user registration validation
+const PHONE_REGEX = /^[\+]?[(]?[0-9]{3}[)]?[-\s\.]?[0-9]{3}[-\s\.]?[0-9]{4,6}$/;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const OBJECT_ID_REGEX = /^[a-f0-9]{24}$/i;
+
+// Maximum stored length for free-text answers
+const TEXT_LIMITS = {
+  short_text: 500,
+  long_text: 5000
+};
+
+/**
+ * Check whether an answer value counts as empty
+ *
+ * @param {*} value - Submitted value
+ * @returns {Boolean} True if empty
+ */
+const isEmptyValue = (value) => {
+  if (value === undefined || value === null) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return String(value).trim() === '';
+};
+
+/**
+ * Check whether a string is an http(s) URL
+ *
+ * @param {String} value - Candidate URL
+ * @returns {Boolean} True if valid
+ */
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate and convert one non-empty answer for its field
+ *
+ * @param {Object} field - Form field definition
+ * @param {*} value - Submitted value
+ * @returns {Object} { error } or { data } with the typed answer values
+ */
+const convertAnswer = (field, value) => {
+  switch (field.field_type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isFinite(number)) {
+        return { error: 'Must be a number' };
+      }
+      return { data: { value_number: number } };
+    }
+
+    case 'date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        return { error: 'Must be a valid date' };
+      }
+      return { data: { value_date: date } };
+    }
+
+    case 'multi_select': {
+      const values = Array.isArray(value) ? value : [value];
+      if (values.some(v => typeof v !== 'string')) {
+        return { error: 'Must be a list of options' };
+      }
+      const invalid = values.filter(v => !(field.options || []).includes(v));
+      if (invalid.length > 0) {
+        return { error: `Invalid option(s): ${invalid.join(', ')}` };
+      }
+      return { data: { value_list: [...new Set(values)] } };
+    }
+
+    case 'file': {
+      // Value is the ID returned by the upload endpoint; ownership is checked by the caller
+      if (typeof value !== 'string' || !OBJECT_ID_REGEX.test(value)) {
+        return { error: 'Must be an uploaded file' };
+      }
+      return { data: { value_file: value } };
+    }
+
+    default:
+      break;
+  }
+
+  // Remaining types are single text values
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return { error: 'Must be a text value' };
+  }
+
+  const text = String(value).trim();
+
+  switch (field.field_type) {
+    case 'email':
+      if (!EMAIL_REGEX.test(text)) return { error: 'Must be a valid email address' };
+      return { data: { value_text: text.toLowerCase() } };
+
+    case 'phone':
+      if (!PHONE_REGEX.test(text)) return { error: 'Must be a valid phone number' };
+      break;
+
+    case 'url':
+      if (!isHttpUrl(text)) return { error: 'Must be a valid URL' };
+      break;
+
+    case 'select':
+      if (!(field.options || []).includes(text)) return { error: 'Must be one of the listed options' };
+      break;
+
+    default: {
+      const limit = TEXT_LIMITS[field.field_type];
+      if (limit && text.length > limit) {
+        return { error: `Cannot exceed ${limit} characters` };
+      }
+    }
+  }
+
+  return { data: { value_text: text } };
+};
+
+/**
+ * Validate submitted form answers against an event's form fields
+ * Unknown field IDs, missing required fields and malformed values are
+ * reported per field; valid answers are converted to Registration answers
+ *
+ * @param {Array<Object>} formFields - Event.form_fields
+ * @param {Array<Object>} formAnswers - Submitted [{ field_id, value }]
+ * @returns {Object} { errors: Array<{field_id, label, message}>, answers: Array<Answer> }
+ */
+const validateFormAnswers = (formFields = [], formAnswers = []) => {
+  const errors = [];
+  const answers = [];
+  const submitted = new Map();
+
+  formAnswers.forEach(answer => {
+    const field = formFields.find(f => f.field_id === answer?.field_id);
+
+    if (!field) {
+      errors.push({
+        field_id: answer?.field_id,
+        label: null,
+        message: 'Unknown form field'
+      });
+      return;
+    }
+
+    submitted.set(field.field_id, answer.value);
+  });
+
+  formFields.forEach(field => {
+    const value = submitted.get(field.field_id);
+
+    if (isEmptyValue(value)) {
+      if (field.is_required) {
+        errors.push({
+          field_id: field.field_id,
+          label: field.label,
+          message: `${field.label} is required`
+        });
+      }
+      return;
+    }
+
+    const result = convertAnswer(field, value);
+
+    if (result.error) {
+      errors.push({
+        field_id: field.field_id,
+        label: field.label,
+        message: `${field.label}: ${result.error}`
+      });
+      return;
+    }
+
+    answers.push({
+      field_id: field.field_id,
+      field_label: field.label,
+      ...result.data
+    });
+  });
+
+  return { errors, answers };
+};
+
+module.exports = {
+  validateFormAnswers
+};
@@ -0,0 +1,187 @@
+/**
+ * iCalendar (RFC 5545) output for events
+ * Times are written in UTC with a Z suffix, so calendar apps convert them
+ * to each subscriber's own timezone without needing VTIMEZONE definitions
+ */
+
+const PRODUCT_ID = '-//Campus Event Hub//Events//EN';
+
+// Content lines longer than this many octets must be folded
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Build an absolute link to an event page in the frontend app
+ *
+ * @param {ObjectId|String} eventId - Event ID
+ * @returns {String} Absolute URL
+ */
+const eventPageUrl = (eventId) => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${base}/events/${eventId}`;
+};
+
+/**
+ * Escape a TEXT property value
+ *
+ * @param {String} value - Raw text
+ * @returns {String} Escaped text
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Format a date as a UTC DATE-TIME value (e.g. 20250314T093000Z)
+ *
+ * @param {Date|String} value - Date to format
+ * @returns {String} iCalendar date-time
+ */
+const formatDateTime = (value) => new Date(value).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line into 75-octet chunks joined by CRLF and a space
+ * Splits between characters so multi-byte UTF-8 sequences stay intact
+ *
+ * @param {String} line - Unfolded content line
+ * @returns {String} Folded line
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = '';
+      octets = 0;
+    }
+
+    current += char;
+    octets += size;
+  }
+
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Map an event status to a VEVENT STATUS value
+ *
+ * @param {String} eventStatus - Event status
+ * @returns {String} CONFIRMED, TENTATIVE or CANCELLED
+ */
+const toEventStatus = (eventStatus) => {
+  if (eventStatus === 'cancelled') {
+    return 'CANCELLED';
+  }
+
+  return eventStatus === 'draft' ? 'TENTATIVE' : 'CONFIRMED';
+};
+
+/**
+ * Build the content lines of one VEVENT
+ * Populate society_id (name, contact_email) to fill in the organizer
+ *
+ * @param {Object} event - Event document
+ * @param {Date} stamp - Time the calendar was generated
+ * @returns {Array<String>} Unfolded content lines
+ */
+const buildEventLines = (event, stamp) => {
+  const url = eventPageUrl(event._id);
+  const society = event.society_id && event.society_id.name ? event.society_id : null;
+  const description = [event.description, url].filter(Boolean).join('\n\n');
+  const lastModified = event.updated_at || event.updatedAt;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:event-${event._id}@campus-event-hub`,
+    `DTSTAMP:${formatDateTime(stamp)}`,
+    `DTSTART:${formatDateTime(event.start_datetime)}`,
+    `DTEND:${formatDateTime(event.end_datetime)}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `LOCATION:${escapeText(event.venue)}`,
+    `URL:${url}`,
+    `CATEGORIES:${escapeText(event.event_type)}`,
+    `STATUS:${toEventStatus(event.event_status)}`
+  ];
+
+  if (society && society.contact_email) {
+    lines.push(`ORGANIZER;CN="${society.name.replace(/"/g, '\'')}":mailto:${society.contact_email}`);
+  }
+
+  if (lastModified) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(lastModified)}`);
+    // Lets clients replace their copy when an event is edited or cancelled
+    lines.push(`SEQUENCE:${Math.floor(new Date(lastModified).getTime() / 1000)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build an iCalendar document
+ *
+ * @param {Object} options
+ * @param {String} options.name - Calendar name shown by subscribing apps
+ * @param {Array<Object>} options.events - Event documents
+ * @param {Boolean} [options.feed=false] - Whether the calendar is a subscribed feed,
+ *        adding a suggested refresh interval
+ * @returns {String} iCalendar text with CRLF line endings
+ */
+const buildCalendar = ({ name, events, feed = false }) => {
+  const stamp = new Date();
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  if (feed) {
+    lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+    lines.push('X-PUBLISHED-TTL:PT1H');
+  }
+
+  events.forEach(event => {
+    lines.push(...buildEventLines(event, stamp));
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Send an iCalendar document as a response
+ *
+ * @param {Object} res - Express response
+ * @param {String} filename - Download filename without extension
+ * @param {String} calendar - iCalendar text
+ */
+const sendCalendar = (res, filename, calendar) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}.ics"`);
+  res.status(200).send(calendar);
+};
+
+module.exports = {
+  buildCalendar,
+  sendCalendar,
+  formatDateTime,
+  escapeText,
+  foldLine
+};
@@ -0,0 +1,72 @@
+// Import required modules
+const sharp = require('sharp');
+
+/**
+ * Resize settings per image kind
+ * `thumb` is used on cards and lists, `full` on detail pages
+ */
+const IMAGE_KINDS = {
+  event_poster: {
+    thumb: { width: 480, height: 270, fit: 'cover' },
+    full: { width: 1600, height: 1600, fit: 'inside' }
+  },
+  society_logo: {
+    thumb: { width: 128, height: 128, fit: 'cover' },
+    full: { width: 512, height: 512, fit: 'inside' }
+  },
+  user_avatar: {
+    thumb: { width: 96, height: 96, fit: 'cover' },
+    full: { width: 512, height: 512, fit: 'inside' }
+  }
+};
+
+/**
+ * Image variant names, in the order they are generated
+ */
+const IMAGE_VARIANTS = ['thumb', 'full'];
+
+/**
+ * Resize an uploaded image into all variants for its kind
+ * Output is always WebP with EXIF orientation applied and metadata stripped
+ *
+ * @param {Buffer} buffer - Uploaded image
+ * @param {String} kind - Key of IMAGE_KINDS
+ * @returns {Promise<Object>} Map of variant name to WebP buffer
+ * @throws {Error} If the buffer is not a decodable image
+ */
+const processImage = async (buffer, kind) => {
+  const settings = IMAGE_KINDS[kind];
+
+  // Fails fast on files that only claim to be images
+  await sharp(buffer).metadata();
+
+  const variants = {};
+
+  for (const variant of IMAGE_VARIANTS) {
+    const { width, height, fit } = settings[variant];
+
+    variants[variant] = await sharp(buffer)
+      .rotate()
+      .resize({ width, height, fit, withoutEnlargement: fit === 'inside' })
+      .webp({ quality: 80 })
+      .toBuffer();
+  }
+
+  return variants;
+};
+
+/**
+ * Build the storage key for one variant of an image
+ *
+ * @param {String} imageId - Image ID
+ * @param {String} variant - Variant name
+ * @returns {String} Storage key
+ */
+const imageStorageKey = (imageId, variant) => `images/${imageId}/${variant}.webp`;
+
+module.exports = {
+  IMAGE_KINDS,
+  IMAGE_VARIANTS,
+  processImage,
+  imageStorageKey
+};
@@ -0,0 +1,124 @@
+/**
+ * Helpers for exporting event registrations as spreadsheet rows
+ * Shared by the CSV and XLSX export formats
+ */
+
+/**
+ * Build export column definitions for an event
+ * Fixed registrant columns followed by one column per form field
+ *
+ * @param {Object} event - Event document
+ * @returns {Array<Object>} Columns with header and value getter
+ */
+const buildExportColumns = (event) => {
+  const columns = [
+    { header: 'Registration ID', value: (reg) => reg._id.toString() },
+    { header: 'Status', value: (reg) => reg.status },
+    { header: 'Registered At', value: (reg) => reg.created_at },
+    { header: 'Name', value: (reg) => reg.leader_user_id?.name },
+    { header: 'Email', value: (reg) => reg.leader_user_id?.email },
+    { header: 'Phone', value: (reg) => reg.leader_user_id?.phone }
+  ];
+
+  if (event.registration_mode === 'team') {
+    columns.push(
+      { header: 'Team Name', value: (reg) => reg.team_name },
+      { header: 'Team Size', value: (reg) => reg.members.length },
+      {
+        header: 'Team Members',
+        value: (reg) => reg.members
+          .map(m => `${m.user_id?.name || m.name || ''} <${m.user_id?.email || m.email || ''}> (${m.invite_status})`)
+          .join('; ')
+      }
+    );
+  }
+
+  columns.push({ header: 'Checked In', value: (reg) => reg.attendance.length });
+
+  (event.form_fields || [])
+    .slice()
+    .sort((a, b) => (a.order_index || 0) - (b.order_index || 0))
+    .forEach(field => {
+      columns.push({
+        header: field.label,
+        value: (reg) => {
+          const answer = reg.answers.find(a => a.field_id === field.field_id);
+          return answer ? getAnswerValue(answer) : '';
+        }
+      });
+    });
+
+  return columns;
+};
+
+/**
+ * Get the stored value of a form answer
+ *
+ * @param {Object} answer - Answer subdocument
+ * @returns {String|Number|Date} Answer value
+ */
+const getAnswerValue = (answer) => {
+  if (answer.value_list) return answer.value_list.join('; ');
+  if (answer.value_file) return answer.value_file.original_name || answer.value_file.toString();
+  if (answer.value_date) return answer.value_date;
+  if (answer.value_number !== undefined && answer.value_number !== null) return answer.value_number;
+  return answer.value_text || '';
+};
+
+/**
+ * Build a single row of values for a registration
+ *
+ * @param {Object} registration - Populated registration document
+ * @param {Array<Object>} columns - Columns from buildExportColumns
+ * @returns {Array} Row values
+ */
+const buildExportRow = (registration, columns) => {
+  return columns.map(column => {
+    const value = column.value(registration);
+    return value === undefined || value === null ? '' : value;
+  });
+};
+
+/**
+ * Format one CSV line
+ * Quotes every value and neutralises spreadsheet formula prefixes
+ *
+ * @param {Array} values - Row values
+ * @returns {String} CSV line ending in CRLF
+ */
+const toCsvLine = (values) => {
+  return values.map(value => {
+    let text = value instanceof Date ? value.toISOString() : String(value);
+
+    // Prevent formula injection when opened in Excel/Sheets
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return `"${text.replace(/"/g, '""')}"`;
+  }).join(',') + '\r\n';
+};
+
+/**
+ * Build a safe download filename from the event title
+ *
+ * @param {Object} event - Event document
+ * @param {String} extension - File extension without dot
+ * @returns {String} Filename
+ */
+const buildExportFilename = (event, extension) => {
+  const slug = event.title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50) || 'event';
+
+  return `${slug}-registrations.${extension}`;
+};
+
+module.exports = {
+  buildExportColumns,
+  buildExportRow,
+  toCsvLine,
+  buildExportFilename
+};
@@ -0,0 +1,13 @@
+/**
+ * Escape a search string for use inside a regular expression
+ * User input must go through this before reaching $regex, so it matches
+ * literally and cannot build a slow pattern
+ *
+ * @param {String} value - Raw search text
+ * @returns {String} Escaped pattern
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  escapeRegex
+};
@@ -0,0 +1,45 @@
+// Import required modules
+const { createTypedToken } = require('./typedTokens');
+
+/**
+ * Email invite tokens, signed with INVITE_SECRET or a secret derived from JWT_SECRET
+ */
+const inviteTokens = createTypedToken({
+  type: 'team_invite',
+  secretEnv: 'INVITE_SECRET',
+  secretSuffix: 'invites'
+});
+
+/**
+ * Sign an invite for someone without an account to join a team
+ *
+ * @param {Object} invite - Invite data
+ * @param {String} invite.registrationId - Team registration ID
+ * @param {String} invite.email - Invited email address
+ * @param {Date} expiresAt - When the invite stops working, usually the registration deadline
+ * @returns {String} Signed invite token
+ */
+const signTeamInvite = ({ registrationId, email }, expiresAt) => {
+  return inviteTokens.sign(
+    {
+      registrationId: registrationId.toString(),
+      email
+    },
+    {
+      expiresIn: Math.max(Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000), 60)
+    }
+  );
+};
+
+/**
+ * Verify an invite token
+ *
+ * @param {String} token - Invite token from the invite link
+ * @returns {Object|null} Decoded invite, or null if forged, expired or malformed
+ */
+const verifyTeamInvite = (token) => inviteTokens.verify(token);
+
+module.exports = {
+  signTeamInvite,
+  verifyTeamInvite
+};
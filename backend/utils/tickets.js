@@ -0,0 +1,53 @@
+// Import required modules
+const QRCode = require('qrcode');
+const { createTypedToken } = require('./typedTokens');
+
+/**
+ * Ticket tokens, signed with TICKET_SECRET or a secret derived from JWT_SECRET
+ */
+const ticketTokens = createTypedToken({
+  type: 'event_ticket',
+  secretEnv: 'TICKET_SECRET',
+  secretSuffix: 'tickets'
+});
+
+/**
+ * Sign a ticket token for one attendee of a registration
+ *
+ * @param {Object} ticket - Ticket data
+ * @param {String} ticket.registrationId - Registration ID
+ * @param {String} ticket.eventId - Event ID
+ * @param {String} ticket.userId - Attendee user ID
+ * @returns {String} Signed ticket token
+ */
+const signTicket = ({ registrationId, eventId, userId }) => {
+  return ticketTokens.sign({
+    registrationId: registrationId.toString(),
+    eventId: eventId.toString(),
+    userId: userId.toString()
+  });
+};
+
+/**
+ * Verify a ticket token
+ *
+ * @param {String} token - Ticket token from QR code
+ * @returns {Object|null} Decoded ticket, or null if forged or malformed
+ */
+const verifyTicket = (token) => ticketTokens.verify(token);
+
+/**
+ * Render a ticket token as a QR code image
+ *
+ * @param {String} token - Ticket token
+ * @returns {Promise<String>} PNG data URL
+ */
+const renderTicketQR = (token) => {
+  return QRCode.toDataURL(token, { errorCorrectionLevel: 'M', margin: 2, width: 256 });
+};
+
+module.exports = {
+  signTicket,
+  verifyTicket,
+  renderTicketQR
+};
@@ -0,0 +1,54 @@
+// Import required modules
+const jwt = require('jsonwebtoken');
+
+/**
+ * Create a signer and verifier for one kind of token
+ * The typ claim and a separate secret keep each kind from being accepted as
+ * another kind or as an API access token
+ *
+ * @param {Object} options - Token options
+ * @param {String} options.type - Value of the typ claim
+ * @param {String} options.secretEnv - Environment variable holding a dedicated secret
+ * @param {String} options.secretSuffix - Appended to JWT_SECRET when secretEnv is unset
+ * @returns {Object} { sign, verify }
+ */
+const createTypedToken = ({ type, secretEnv, secretSuffix }) => {
+  const getSecret = () => process.env[secretEnv] || `${process.env.JWT_SECRET}:${secretSuffix}`;
+
+  /**
+   * Sign a token of this kind
+   *
+   * @param {Object} payload - Claims to include
+   * @param {Object} [signOptions] - jsonwebtoken sign options, e.g. expiresIn
+   * @returns {String} Signed token
+   */
+  const sign = (payload, signOptions = {}) => {
+    return jwt.sign({ typ: type, ...payload }, getSecret(), signOptions);
+  };
+
+  /**
+   * Verify a token of this kind
+   *
+   * @param {String} token - Token to verify
+   * @returns {Object|null} Decoded token, or null if forged, expired, malformed or of another kind
+   */
+  const verify = (token) => {
+    try {
+      const decoded = jwt.verify(token, getSecret());
+
+      if (decoded.typ !== type) {
+        return null;
+      }
+
+      return decoded;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  return { sign, verify };
+};
+
+module.exports = {
+  createTypedToken
+};
@@ -2,7 +2,8 @@ import { useState, useEffect, useRef } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate, useLocation, Link } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import { AuthProvider, useAuth } from './context/AuthContext';
-import { getUserRegistrations, getPendingInvitations, respondToInvitation, addTeamMembers, removeTeamMember, searchUsers, getBookmarks, removeBookmark } from './services/api';
+import { getUserRegistrations, getPendingInvitations, respondToInvitation, addTeamMembers, removeTeamMember, searchUsers, getBookmarks, removeBookmark, getRegistrationTicket } from './services/api';
+import { subscribeToUpdates } from './services/stream';
 import Navbar from './components/Navbar';
 import Login from './pages/Login';
 import Register from './pages/Register';
@@ -11,6 +12,12 @@ import EventDetail from './pages/EventDetail';
 import SocietyDashboard from './pages/SocietyDashboard';
 import CreateEvent from './pages/CreateEvent';
 import ViewRegistrations from './pages/ViewRegistrations';
+import CheckInScanner from './pages/CheckInScanner';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import Profile from './pages/Profile';
+import AdminDashboard from './pages/AdminDashboard';
 import DashboardRedirect from './components/DashboardRedirect';
 
 /**
@@ -67,6 +74,9 @@ const MyRegistrations = () => {
   const [error, setError] = useState('');
   const [actionLoading, setActionLoading] = useState(null);
   
+  // Ticket modal state
+  const [ticket, setTicket] = useState(null);
+  
   // Team management modal state
   const [managingTeam, setManagingTeam] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
@@ -96,6 +106,24 @@ const MyRegistrations = () => {
     fetchData();
   }, []);
 
+  // Refresh when an invite arrives or a registration changes elsewhere
+  useEffect(() => {
+    return subscribeToUpdates([], async ({ type, data }) => {
+      if (type !== 'notification' || data.link !== '/my-registrations') return;
+
+      try {
+        const [regResponse, invResponse] = await Promise.all([
+          getUserRegistrations(),
+          getPendingInvitations()
+        ]);
+        setRegistrations(regResponse.registrations || []);
+        setPendingInvitations(invResponse.invitations || []);
+      } catch (err) {
+        console.error(err);
+      }
+    });
+  }, []);
+
   const handleInvitationResponse = async (registrationId, action) => {
     try {
       setActionLoading(registrationId);
@@ -194,6 +222,18 @@ const MyRegistrations = () => {
     }
   };
 
+  const handleShowTicket = async (reg) => {
+    try {
+      setActionLoading(`ticket-${reg._id}`);
+      const response = await getRegistrationTicket(reg._id);
+      setTicket({ ...response.ticket, event: reg.event_id });
+    } catch (err) {
+      alert(err.message || 'Failed to load ticket');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       month: 'short',
@@ -302,8 +342,16 @@ const MyRegistrations = () => {
                       'bg-red-100 text-red-700'
                     }`}>
                       {reg.status}
+                      {reg.status === 'waitlisted' && reg.waitlist_position && ` #${reg.waitlist_position}`}
                     </span>
                   </div>
+
+                  {reg.cancelled_with_event && (
+                    <div className="bg-red-50 border border-red-200 text-red-700 text-sm px-3 py-2 rounded-lg mb-4">
+                      <span className="font-semibold">Event cancelled</span>
+                      {reg.event_id?.cancellation_reason && `: ${reg.event_id.cancellation_reason}`}
+                    </div>
+                  )}
                   
                   <div className="space-y-2 text-sm text-gray-600 mb-4">
                     <div className="flex items-center">
@@ -341,7 +389,7 @@ const MyRegistrations = () => {
                                     member.invite_status === 'declined' ? 'bg-red-100 text-red-700' :
                                     'bg-yellow-100 text-yellow-700'
                                   }`}>
-                                    {member.invite_status === 'auto_added' ? 'Leader' : member.invite_status}
+                                    {member.invite_status === 'auto_added' ? 'Leader' : member.invite_status === 'pending_registration' ? 'awaiting sign-up' : member.invite_status}
                                   </span>
                                 </div>
                               ))}
@@ -359,6 +407,15 @@ const MyRegistrations = () => {
                     >
                       View Event Details
                     </Link>
+                    {reg.status === 'confirmed' && (
+                      <button
+                        onClick={() => handleShowTicket(reg)}
+                        disabled={actionLoading === `ticket-${reg._id}`}
+                        className="block w-full text-center bg-purple-600 hover:bg-purple-700 text-white py-2 px-4 rounded-lg font-medium transition duration-200 disabled:opacity-50"
+                      >
+                        {actionLoading === `ticket-${reg._id}` ? 'Loading...' : 'Show Ticket'}
+                      </button>
+                    )}
                     {reg.mode === 'team' && reg.leader_user_id?._id === user?.id && (
                       <button
                         onClick={() => setManagingTeam(reg)}
@@ -374,6 +431,28 @@ const MyRegistrations = () => {
           </div>
         )}
 
+        {/* Ticket Modal */}
+        {ticket && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-lg max-w-sm w-full p-6 text-center">
+              <h2 className="text-xl font-bold text-gray-900">{ticket.event?.title}</h2>
+              <p className="text-sm text-gray-600 mt-1">{ticket.event?.venue}</p>
+              <img src={ticket.qr_code} alt="Ticket QR code" className="mx-auto my-4 w-64 h-64" />
+              {ticket.checked_in_at ? (
+                <p className="text-sm text-green-700 font-medium">Checked in at {formatDate(ticket.checked_in_at)}</p>
+              ) : (
+                <p className="text-sm text-gray-600">Show this code at the venue to check in</p>
+              )}
+              <button
+                onClick={() => setTicket(null)}
+                className="mt-4 w-full bg-gray-200 hover:bg-gray-300 text-gray-800 py-2 px-4 rounded-lg font-medium transition duration-200"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Team Management Modal */}
         {managingTeam && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -417,12 +496,12 @@ const MyRegistrations = () => {
                             member.invite_status === 'declined' ? 'bg-red-100 text-red-700' :
                             'bg-yellow-100 text-yellow-700'
                           }`}>
-                            {member.invite_status === 'auto_added' ? 'Leader' : member.invite_status}
+                            {member.invite_status === 'auto_added' ? 'Leader' : member.invite_status === 'pending_registration' ? 'awaiting sign-up' : member.invite_status}
                           </span>
                           {member.role !== 'leader' && (
                             <button
-                              onClick={() => handleRemoveMember(member.user_id?._id)}
-                              disabled={actionLoading === member.user_id?._id}
+                              onClick={() => handleRemoveMember(member.user_id?._id || member.email)}
+                              disabled={actionLoading === (member.user_id?._id || member.email)}
                               className="text-red-600 hover:text-red-800 disabled:opacity-50"
                               title="Remove member"
                             >
@@ -576,6 +655,13 @@ const BookmarkedEvents = () => {
                     </button>
                   </div>
                   
+                  {bookmark.event_id?.event_status === 'cancelled' && (
+                    <div className="bg-red-50 border border-red-200 text-red-700 text-sm px-3 py-2 rounded-lg mb-4">
+                      <span className="font-semibold">Cancelled</span>
+                      {bookmark.event_id.cancellation_reason && `: ${bookmark.event_id.cancellation_reason}`}
+                    </div>
+                  )}
+
                   <div className="space-y-2 text-sm text-gray-600 mb-4">
                     <div className="flex items-center">
                       <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -613,52 +699,6 @@ const BookmarkedEvents = () => {
   );
 };
 
-const Profile = () => {
-  const { user } = useAuth();
-  return (
-    <div className="min-h-screen bg-[black] py-12 px-4">
-      <div className="max-w-3xl mx-auto">
-        <h1 className="text-3xl font-bold text-white mb-6">My Profile</h1>
-        <div className="bg-[#242323] rounded-lg shadow p-8">
-          <div className="flex items-center space-x-4 mb-6">
-            <div className="w-20 h-20 bg-blue-500 rounded-full flex items-center justify-center text-white text-3xl font-bold">
-              {user?.name?.charAt(0).toUpperCase()}
-            </div>
-            <div>
-              <h2 className="text-2xl font-bold text-white">{user?.name}</h2>
-              <p className="text-white">{user?.email}</p>
-            </div>
-          </div>
-          <div className="border-t pt-6 space-y-4">
-            <div>
-              <label className="text-sm font-medium text-white">Role</label>
-              <p className="text-lg text-[#A3A0A0] capitalize">{user?.role}</p>
-            </div>
-            {user?.phone && (
-              <div>
-                <label className="text-sm font-medium text-white">Phone</label>
-                <p className="text-lg text-[#A3A0A0]">{user.phone}</p>
-              </div>
-            )}
-            {user?.branch && (
-              <div>
-                <label className="text-sm font-medium text-white">Branch</label>
-                <p className="text-lg text-[#A3A0A0]">{user.branch}</p>
-              </div>
-            )}
-            {user?.year_of_study && (
-              <div>
-                <label className="text-sm font-medium text-white">Year of Study</label>
-                <p className="text-lg text-[#A3A0A0]">{user.year_of_study}</p>
-              </div>
-            )}
-          </div>
-        </div>
-      </div>
-    </div>
-  );
-};
-
 const NotFound = () => (
   <div className="min-h-screen flex items-center justify-center bg-gray-50">
     <div className="text-center">
@@ -700,6 +740,11 @@ const AppRoutes = () => {
       {/* Public Routes - No Layout - Full Width */}
       <Route path="/login" element={<PublicRoute><div className="w-full"><Login /></div></PublicRoute>} />
       <Route path="/register" element={<PublicRoute><div className="w-full"><Register /></div></PublicRoute>} />
+      <Route path="/forgot-password" element={<PublicRoute><div className="w-full"><ForgotPassword /></div></PublicRoute>} />
+      <Route path="/reset-password" element={<PublicRoute><div className="w-full"><ResetPassword /></div></PublicRoute>} />
+      
+      {/* Email links - work whether or not the user is signed in */}
+      <Route path="/verify-email" element={<div className="w-full"><VerifyEmail /></div>} />
       
       {/* Protected Routes - With Layout */}
       <Route path="/dashboard" element={<ProtectedRoute><AuthenticatedLayout><Dashboard /></AuthenticatedLayout></ProtectedRoute>} />
@@ -711,7 +756,12 @@ const AppRoutes = () => {
       {/* Society Head Routes */}
       <Route path="/society/dashboard" element={<ProtectedRoute><AuthenticatedLayout><SocietyDashboard /></AuthenticatedLayout></ProtectedRoute>} />
       <Route path="/society/create-event" element={<ProtectedRoute><AuthenticatedLayout><CreateEvent /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/society/events/:eventId/edit" element={<ProtectedRoute><AuthenticatedLayout><CreateEvent /></AuthenticatedLayout></ProtectedRoute>} />
       <Route path="/society/events/:eventId/registrations" element={<ProtectedRoute><AuthenticatedLayout><ViewRegistrations /></AuthenticatedLayout></ProtectedRoute>} />
+      <Route path="/society/events/:eventId/check-in" element={<ProtectedRoute><AuthenticatedLayout><CheckInScanner /></AuthenticatedLayout></ProtectedRoute>} />
+
+      {/* Admin Routes */}
+      <Route path="/admin" element={<ProtectedRoute><AuthenticatedLayout><AdminDashboard /></AuthenticatedLayout></ProtectedRoute>} />
       
       {/* Default Route */}
       <Route path="/" element={<DashboardRedirect />} />
@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import { getCalendarFeed, resetCalendarFeed } from '../services/api';
+import { notifySuccess, notifyError } from '../services/notifications';
+
+/**
+ * CalendarFeed Component
+ * Shows the user's private calendar feed URL for subscribing from
+ * Google, Outlook or Apple Calendar, and lets them replace it if it leaks
+ */
+const CalendarFeed = () => {
+  const [feedUrl, setFeedUrl] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const handleShow = async () => {
+    try {
+      setBusy(true);
+      const response = await getCalendarFeed();
+      setFeedUrl(response.feed_url);
+    } catch (err) {
+      notifyError(err.message || 'Failed to load calendar feed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      notifySuccess('Feed URL copied');
+    } catch (err) {
+      console.error('Copy feed URL error:', err);
+      notifyError('Could not copy. Select the URL and copy it manually.');
+    }
+  };
+
+  /**
+   * Replace the feed URL; calendars subscribed to the old one stop updating
+   */
+  const handleReset = async () => {
+    if (!window.confirm('Calendar apps using the current URL will stop updating. Create a new URL?')) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const response = await resetCalendarFeed();
+      setFeedUrl(response.feed_url);
+      notifySuccess('New feed URL created');
+    } catch (err) {
+      notifyError(err.message || 'Failed to reset calendar feed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold text-white">Calendar Subscription</h3>
+      <p className="text-sm text-[#A3A0A0] mb-4">
+        Subscribe to this private URL in Google, Outlook or Apple Calendar to see your confirmed registrations and bookmarked events. Keep it secret: anyone with the link can see your events.
+      </p>
+
+      {feedUrl ? (
+        <div className="space-y-3">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              readOnly
+              value={feedUrl}
+              onFocus={(e) => e.target.select()}
+              className="flex-1 px-3 py-2 bg-[#1a1a1a] text-[#A3A0A0] border border-gray-700 rounded-lg text-sm"
+            />
+            <button
+              onClick={handleCopy}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition text-sm"
+            >
+              Copy
+            </button>
+          </div>
+          <button
+            onClick={handleReset}
+            disabled={busy}
+            className="text-sm text-red-400 hover:text-red-300 disabled:opacity-50"
+          >
+            {busy ? 'Resetting...' : 'Reset URL'}
+          </button>
+        </div>
+      ) : (
+        <button
+          onClick={handleShow}
+          disabled={busy}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+        >
+          {busy ? 'Loading...' : 'Show feed URL'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CalendarFeed;
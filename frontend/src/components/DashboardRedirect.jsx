@@ -33,7 +33,7 @@ const DashboardRedirect = () => {
     case 'society_head':
       return <Navigate to="/society/dashboard" replace />;
     case 'admin':
-      return <Navigate to="/society/dashboard" replace />; // Will change to /admin/dashboard in future
+      return <Navigate to="/admin" replace />;
     default:
       return <Navigate to="/dashboard" replace />;
   }
@@ -0,0 +1,70 @@
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { updateProfile } from '../services/api';
+import { notifySuccess, notifyError } from '../services/notifications';
+
+// Email categories the user can turn off, in display order
+const EMAIL_CATEGORIES = [
+  { key: 'registration_confirmations', label: 'Registration confirmations', description: 'When you register for an event' },
+  { key: 'status_updates', label: 'Registration updates', description: 'When a registration is confirmed, rejected, waitlisted or moved off the waitlist' },
+  { key: 'team_invites', label: 'Team invites', description: 'When someone invites you to join their team' },
+  { key: 'event_cancellations', label: 'Event cancellations', description: 'When an event you registered for is cancelled' },
+  { key: 'event_reminders', label: 'Event reminders', description: 'Before an event you are confirmed for starts' }
+];
+
+/**
+ * EmailPreferences Component
+ * Switches for each kind of email; changes are saved as soon as they are toggled
+ */
+const EmailPreferences = () => {
+  const { user, updateUser } = useAuth();
+  const [savingKey, setSavingKey] = useState(null);
+
+  const preferences = user?.email_preferences || {};
+
+  const handleToggle = async (key) => {
+    const enabled = preferences[key] === false;
+
+    try {
+      setSavingKey(key);
+      const response = await updateProfile({ email_preferences: { [key]: enabled } });
+      updateUser({ email_preferences: response.user.email_preferences });
+      notifySuccess(enabled ? 'Emails turned on' : 'Emails turned off');
+    } catch (err) {
+      notifyError(err.message || 'Failed to update email preferences');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold text-white">Email Notifications</h3>
+      <p className="text-sm text-[#A3A0A0] mb-4">
+        Choose which emails you receive. Notifications still appear under the bell in the navbar.
+      </p>
+
+      <ul className="space-y-3">
+        {EMAIL_CATEGORIES.map(category => (
+          <li key={category.key}>
+            <label className="flex items-start gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={preferences[category.key] !== false}
+                disabled={savingKey === category.key}
+                onChange={() => handleToggle(category.key)}
+                className="mt-1 w-4 h-4 accent-blue-600"
+              />
+              <span>
+                <span className="block text-sm font-medium text-white">{category.label}</span>
+                <span className="block text-sm text-[#A3A0A0]">{category.description}</span>
+              </span>
+            </label>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default EmailPreferences;
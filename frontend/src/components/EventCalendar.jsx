@@ -0,0 +1,373 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { getAllEvents, getUserRegistrations, getBookmarks } from '../services/api';
+import { EVENT_TYPE_BADGE_COLORS, getEventTypeBadgeColor } from '../utils/eventTypes';
+
+const VIEW_MODES = ['month', 'week', 'day'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// The events API returns at most this many events per request
+const PAGE_SIZE = 100;
+
+// Events shown in a month cell before collapsing into "+N more"
+const MONTH_CELL_LIMIT = 3;
+
+// Registrations that still hold or await a seat
+const ACTIVE_REGISTRATION_STATUSES = ['pending', 'confirmed', 'waitlisted'];
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const isSameDay = (a, b) => startOfDay(a).getTime() === startOfDay(b).getTime();
+
+/**
+ * Get the first and last visible day for a view, in local time
+ *
+ * @param {string} mode - month, week or day
+ * @param {Date} cursor - Any date inside the period
+ * @returns {Object} { start, end } where end is the start of the day after the range
+ */
+const getVisibleRange = (mode, cursor) => {
+  const day = startOfDay(cursor);
+
+  if (mode === 'day') {
+    return { start: day, end: addDays(day, 1) };
+  }
+
+  if (mode === 'week') {
+    const start = addDays(day, -day.getDay());
+    return { start, end: addDays(start, 7) };
+  }
+
+  // Month grid runs from the Sunday before the 1st to the Saturday after the last day
+  const first = new Date(day.getFullYear(), day.getMonth(), 1);
+  const last = new Date(day.getFullYear(), day.getMonth() + 1, 0);
+  const start = addDays(first, -first.getDay());
+  const end = addDays(last, 7 - last.getDay());
+  return { start, end };
+};
+
+/**
+ * Check whether an event takes place at any time during a day
+ */
+const occursOnDay = (event, day) => {
+  const dayStart = startOfDay(day);
+  const dayEnd = addDays(dayStart, 1);
+  return new Date(event.start_datetime) < dayEnd && new Date(event.end_datetime) > dayStart;
+};
+
+/**
+ * Check whether two events overlap in time
+ */
+const overlaps = (a, b) => {
+  return new Date(a.start_datetime) < new Date(b.end_datetime) && new Date(b.start_datetime) < new Date(a.end_datetime);
+};
+
+const formatTime = (dateString) => new Date(dateString).toLocaleTimeString('en-US', {
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+/**
+ * EventCalendar Component
+ * Month, week and day views of events, colour-coded by event type
+ * Events the user registered for or bookmarked are highlighted, and
+ * events that clash with a registration are flagged
+ */
+const EventCalendar = () => {
+  const [mode, setMode] = useState('month');
+  const [cursor, setCursor] = useState(() => new Date());
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [registeredIds, setRegisteredIds] = useState(() => new Set());
+  const [bookmarkedIds, setBookmarkedIds] = useState(() => new Set());
+
+  const { start, end } = useMemo(() => getVisibleRange(mode, cursor), [mode, cursor]);
+
+  // Load the user's registrations and bookmarks once for the overlay
+  useEffect(() => {
+    const fetchOverlay = async () => {
+      try {
+        const [registrationsResponse, bookmarksResponse] = await Promise.all([
+          getUserRegistrations({ limit: 100 }),
+          getBookmarks()
+        ]);
+
+        setRegisteredIds(new Set(
+          (registrationsResponse.registrations || [])
+            .filter(reg => reg.event_id && ACTIVE_REGISTRATION_STATUSES.includes(reg.status))
+            .map(reg => reg.event_id._id)
+        ));
+        setBookmarkedIds(new Set(
+          (bookmarksResponse.bookmarks || [])
+            .filter(bookmark => bookmark.event_id)
+            .map(bookmark => bookmark.event_id._id)
+        ));
+      } catch (err) {
+        console.error('Fetch calendar overlay error:', err);
+      }
+    };
+
+    fetchOverlay();
+  }, []);
+
+  // Load every event overlapping the visible range, a page at a time
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchRange = async () => {
+      try {
+        setLoading(true);
+        setError('');
+
+        const loaded = [];
+        let total = Infinity;
+
+        while (loaded.length < total) {
+          const response = await getAllEvents({
+            from: start.toISOString(),
+            to: end.toISOString(),
+            skip: loaded.length,
+            limit: PAGE_SIZE
+          });
+          const page = response.events || [];
+          loaded.push(...page);
+          total = page.length === 0 ? loaded.length : response.total;
+        }
+
+        if (!cancelled) {
+          setEvents(loaded);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load events');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchRange();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [start, end]);
+
+  const registeredEvents = useMemo(
+    () => events.filter(event => registeredIds.has(event._id)),
+    [events, registeredIds]
+  );
+
+  /**
+   * Whether an event overlaps one the user is registered for
+   */
+  const clashesWithRegistration = (event) => {
+    return !registeredIds.has(event._id) && registeredEvents.some(other => overlaps(event, other));
+  };
+
+  const eventsOnDay = (day) => events.filter(event => occursOnDay(event, day));
+
+  const handleStep = (direction) => {
+    if (mode === 'month') {
+      setCursor(prev => new Date(prev.getFullYear(), prev.getMonth() + direction, 1));
+    } else {
+      setCursor(prev => addDays(prev, direction * (mode === 'week' ? 7 : 1)));
+    }
+  };
+
+  const openDay = (day) => {
+    setCursor(day);
+    setMode('day');
+  };
+
+  const title = mode === 'month'
+    ? cursor.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+    : mode === 'week'
+      ? `${start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${addDays(end, -1).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+      : cursor.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+
+  /**
+   * Compact event chip for month cells
+   */
+  const renderChip = (event) => (
+    <Link
+      key={event._id}
+      to={`/events/${event._id}`}
+      title={`${formatTime(event.start_datetime)} ${event.title}`}
+      className={`block truncate px-2 py-0.5 rounded text-xs font-medium ${getEventTypeBadgeColor(event.event_type)} ${
+        registeredIds.has(event._id) ? 'ring-2 ring-green-500' : ''
+      }`}
+    >
+      {registeredIds.has(event._id) && '✓ '}
+      {bookmarkedIds.has(event._id) && '★ '}
+      {event.title}
+    </Link>
+  );
+
+  /**
+   * Event card with times and markers for week and day views
+   */
+  const renderCard = (event) => (
+    <Link
+      key={event._id}
+      to={`/events/${event._id}`}
+      className={`block px-3 py-2 rounded-lg text-sm ${getEventTypeBadgeColor(event.event_type)} ${
+        registeredIds.has(event._id) ? 'ring-2 ring-green-500' : ''
+      }`}
+    >
+      <p className="font-semibold">{event.title}</p>
+      <p className="text-xs">
+        {formatTime(event.start_datetime)} – {formatTime(event.end_datetime)} · {event.venue}
+      </p>
+      <div className="flex flex-wrap gap-1 mt-1 text-xs font-semibold">
+        {registeredIds.has(event._id) && <span>✓ Registered</span>}
+        {bookmarkedIds.has(event._id) && <span>★ Bookmarked</span>}
+        {clashesWithRegistration(event) && <span className="text-red-700">⚠ Clashes with your registration</span>}
+      </div>
+    </Link>
+  );
+
+  const renderMonth = () => {
+    const days = [];
+    for (let day = start; day < end; day = addDays(day, 1)) {
+      days.push(day);
+    }
+
+    return (
+      <div className="grid grid-cols-7 gap-px bg-gray-700 rounded-lg overflow-hidden">
+        {WEEKDAYS.map(weekday => (
+          <div key={weekday} className="bg-[#241F1F] text-center text-xs font-semibold text-gray-400 py-2">
+            {weekday}
+          </div>
+        ))}
+        {days.map(day => {
+          const dayEvents = eventsOnDay(day);
+          const inMonth = day.getMonth() === cursor.getMonth();
+
+          return (
+            <div key={day.toISOString()} className={`min-h-28 p-1 space-y-1 ${inMonth ? 'bg-[#1a1a1a]' : 'bg-[black]'}`}>
+              <button
+                onClick={() => openDay(day)}
+                className={`text-xs font-semibold px-1.5 py-0.5 rounded-full ${
+                  isSameDay(day, new Date()) ? 'bg-blue-600 text-white' : inMonth ? 'text-white' : 'text-gray-600'
+                }`}
+              >
+                {day.getDate()}
+              </button>
+              {dayEvents.slice(0, MONTH_CELL_LIMIT).map(renderChip)}
+              {dayEvents.length > MONTH_CELL_LIMIT && (
+                <button onClick={() => openDay(day)} className="text-xs text-blue-400 hover:text-blue-300">
+                  +{dayEvents.length - MONTH_CELL_LIMIT} more
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  const renderWeek = () => {
+    const days = [];
+    for (let day = start; day < end; day = addDays(day, 1)) {
+      days.push(day);
+    }
+
+    return (
+      <div className="grid grid-cols-1 md:grid-cols-7 gap-2">
+        {days.map(day => (
+          <div key={day.toISOString()} className="bg-[#1a1a1a] rounded-lg p-2 space-y-2 min-h-40">
+            <button
+              onClick={() => openDay(day)}
+              className={`w-full text-left text-sm font-semibold ${isSameDay(day, new Date()) ? 'text-blue-400' : 'text-white'}`}
+            >
+              {WEEKDAYS[day.getDay()]} {day.getDate()}
+            </button>
+            {eventsOnDay(day).map(renderCard)}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const renderDay = () => {
+    const dayEvents = eventsOnDay(cursor);
+
+    if (dayEvents.length === 0) {
+      return <p className="text-center text-gray-400 py-12">No events on this day</p>;
+    }
+
+    return <div className="space-y-3">{dayEvents.map(renderCard)}</div>;
+  };
+
+  return (
+    <div className="bg-[#241F1F] rounded-lg shadow-md p-4 space-y-4">
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => handleStep(-1)}
+            aria-label="Previous"
+            className="px-3 py-1.5 bg-gray-800 text-white rounded-lg hover:bg-gray-700"
+          >
+            ‹
+          </button>
+          <button
+            onClick={() => setCursor(new Date())}
+            className="px-3 py-1.5 bg-gray-800 text-white rounded-lg hover:bg-gray-700 text-sm"
+          >
+            Today
+          </button>
+          <button
+            onClick={() => handleStep(1)}
+            aria-label="Next"
+            className="px-3 py-1.5 bg-gray-800 text-white rounded-lg hover:bg-gray-700"
+          >
+            ›
+          </button>
+          <h3 className="ml-2 text-lg font-semibold text-white">{title}</h3>
+        </div>
+        <div className="flex rounded-lg overflow-hidden border border-gray-600">
+          {VIEW_MODES.map(viewMode => (
+            <button
+              key={viewMode}
+              onClick={() => setMode(viewMode)}
+              className={`px-4 py-1.5 text-sm capitalize ${
+                mode === viewMode ? 'bg-blue-600 text-white' : 'bg-[black] text-gray-300 hover:bg-gray-800'
+              }`}
+            >
+              {viewMode}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Legend */}
+      <div className="flex flex-wrap gap-2 text-xs">
+        {Object.keys(EVENT_TYPE_BADGE_COLORS).map(type => (
+          <span key={type} className={`px-2 py-0.5 rounded-full font-semibold capitalize ${getEventTypeBadgeColor(type)}`}>
+            {type}
+          </span>
+        ))}
+        <span className="px-2 py-0.5 text-gray-300">✓ Registered · ★ Bookmarked</span>
+      </div>
+
+      {error ? (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+      ) : (
+        <div className={loading ? 'opacity-50 pointer-events-none' : ''}>
+          {mode === 'month' && renderMonth()}
+          {mode === 'week' && renderWeek()}
+          {mode === 'day' && renderDay()}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventCalendar;
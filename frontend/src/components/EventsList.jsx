@@ -1,18 +1,39 @@
 import { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
-import { getAllEvents, bookmarkEvent, removeBookmark, checkBookmark } from '../services/api';
+import { Link, useSearchParams } from 'react-router-dom';
+import { getAllEvents, getSocieties, bookmarkEvent, removeBookmark, checkBookmark } from '../services/api';
+import { getEventTypeBadgeColor } from '../utils/eventTypes';
+
+// Query string keys that filter the event list
+const FILTER_KEYS = ['q', 'event_type', 'from', 'to', 'registration_open', 'registration_mode', 'society_id'];
+
+/**
+ * Convert a YYYY-MM-DD date input value to an ISO timestamp in local time
+ *
+ * @param {string} value - Date input value
+ * @param {boolean} endOfDay - Use the last moment of the day instead of midnight
+ * @returns {string} ISO timestamp
+ */
+const toLocalIso = (value, endOfDay) => new Date(`${value}T${endOfDay ? '23:59:59' : '00:00:00'}`).toISOString();
 
 /**
  * EventsList Component
- * Displays events in a responsive grid with filtering options
+ * Displays events in a responsive grid with search and filtering options
+ * Filters live in the URL query string so searches can be shared
  */
 const EventsList = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
   const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-  const [selectedFilter, setSelectedFilter] = useState('all');
+  const [searchText, setSearchText] = useState(searchParams.get('q') || '');
+  const [societies, setSocieties] = useState([]);
   const [bookmarkedEvents, setBookmarkedEvents] = useState(new Set());
 
+  const selectedFilter = searchParams.get('event_type') || 'all';
+  const urlQuery = searchParams.get('q') || '';
+  const queryString = searchParams.toString();
+
   const eventTypes = [
     { value: 'all', label: 'All Events' },
     { value: 'workshop', label: 'Workshop' },
@@ -24,27 +45,101 @@ const EventsList = () => {
   ];
 
   /**
-   * Fetch events from API
+   * Set or clear one filter in the URL
    */
-  const fetchEvents = async (filter = 'all') => {
-    setLoading(true);
-    setError('');
-
-    try {
-      const filters = filter !== 'all' ? { event_type: filter } : {};
-      const response = await getAllEvents(filters);
-      setEvents(response.events || []);
-    } catch (err) {
-      setError(err.message || 'Failed to load events');
-      setEvents([]);
-    } finally {
-      setLoading(false);
-    }
+  const updateFilter = (key, value) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+      return next;
+    }, { replace: true });
   };
 
+  const clearFilters = () => {
+    setSearchText('');
+    setSearchParams({}, { replace: true });
+  };
+
+  /**
+   * Fetch events from API whenever the URL filters change
+   */
   useEffect(() => {
-    fetchEvents(selectedFilter);
-  }, [selectedFilter]);
+    const fetchEvents = async () => {
+      setLoading(true);
+      setError('');
+
+      try {
+        const params = new URLSearchParams(queryString);
+        const filters = {};
+
+        FILTER_KEYS.forEach(key => {
+          if (params.get(key)) filters[key] = params.get(key);
+        });
+        if (filters.from) filters.from = toLocalIso(filters.from, false);
+        if (filters.to) filters.to = toLocalIso(filters.to, true);
+
+        const response = await getAllEvents(filters);
+        setEvents(response.events || []);
+        setTotal(response.total || 0);
+      } catch (err) {
+        setError(err.message || 'Failed to load events');
+        setEvents([]);
+        setTotal(0);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEvents();
+  }, [queryString]);
+
+  /**
+   * Keep the search box in step with the URL (back/forward navigation)
+   */
+  useEffect(() => {
+    setSearchText(urlQuery);
+  }, [urlQuery]);
+
+  /**
+   * Apply typed keywords after a short pause
+   */
+  useEffect(() => {
+    if (searchText.trim() === urlQuery) return;
+
+    const timer = setTimeout(() => {
+      setSearchParams(prev => {
+        const next = new URLSearchParams(prev);
+        if (searchText.trim()) {
+          next.set('q', searchText.trim());
+        } else {
+          next.delete('q');
+        }
+        return next;
+      }, { replace: true });
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [searchText, urlQuery, setSearchParams]);
+
+  /**
+   * Load societies for the society filter
+   */
+  useEffect(() => {
+    const fetchSocieties = async () => {
+      try {
+        const response = await getSocieties({ limit: 100 });
+        setSocieties(response.societies || []);
+      } catch (err) {
+        console.error('Fetch societies error:', err);
+      }
+    };
+
+    fetchSocieties();
+  }, []);
 
   /**
    * Format date for display
@@ -58,52 +153,26 @@ const EventsList = () => {
     });
   };
 
-  /**
-   * Get badge color based on event type
-   */
-  const getEventTypeBadgeColor = (type) => {
-    const colors = {
-      workshop: 'bg-blue-100 text-blue-800',
-      seminar: 'bg-green-100 text-green-800',
-      competition: 'bg-red-100 text-red-800',
-      cultural: 'bg-purple-100 text-purple-800',
-      sports: 'bg-yellow-100 text-yellow-800',
-      hackathon: 'bg-indigo-100 text-indigo-800',
-      orientation: 'bg-pink-100 text-pink-800'
-    };
-    return colors[type] || 'bg-gray-100 text-gray-800';
-  };
-
-  if (loading) {
-    return (
-      <div className="flex justify-center items-center py-20">
-        <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-b-4 border-blue-500"></div>
-      </div>
-    );
-  }
-
-  if (error) {
-    return (
-      <div className="text-center py-20">
-        <div className="bg-red-50 border border-red-200 text-red-700 px-6 py-4 rounded-lg inline-block">
-          <svg className="w-6 h-6 inline-block mr-2" fill="currentColor" viewBox="0 0 20 20">
-            <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
-          </svg>
-          {error}
-        </div>
-      </div>
-    );
-  }
+  const hasFilters = FILTER_KEYS.some(key => searchParams.get(key));
+  const filterInputClassName = 'w-full px-3 py-2 bg-[black] border border-gray-600 text-white rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
 
   return (
     <div className="space-y-8">
-      {/* Filter Buttons */}
-      <div className="bg-[#241F1F] rounded-lg shadow-md p-4">
+      {/* Search and Filters */}
+      <div className="bg-[#241F1F] rounded-lg shadow-md p-4 space-y-4">
+        <input
+          type="search"
+          value={searchText}
+          onChange={(e) => setSearchText(e.target.value)}
+          placeholder="Search by title, description or venue..."
+          className={filterInputClassName}
+        />
+
         <div className="flex flex-wrap gap-3">
           {eventTypes.map((type) => (
             <button
               key={type.value}
-              onClick={() => setSelectedFilter(type.value)}
+              onClick={() => updateFilter('event_type', type.value === 'all' ? '' : type.value)}
               className={`px-4 py-2 rounded-lg font-medium transition duration-200 ${
                 selectedFilter === type.value
                   ? 'bg-blue-600 text-white shadow-md'
@@ -114,110 +183,201 @@ const EventsList = () => {
             </button>
           ))}
         </div>
-      </div>
 
-      {/* Events Count */}
-      <div className="text-white">
-        <p className="text-lg font-medium">
-          {events.length === 0 ? 'No events found' : `${events.length} event${events.length !== 1 ? 's' : ''} found`}
-        </p>
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-3 items-end">
+          <div>
+            <label htmlFor="filter-from" className="block text-sm text-gray-300 mb-1">From</label>
+            <input
+              id="filter-from"
+              type="date"
+              value={searchParams.get('from') || ''}
+              onChange={(e) => updateFilter('from', e.target.value)}
+              className={filterInputClassName}
+            />
+          </div>
+          <div>
+            <label htmlFor="filter-to" className="block text-sm text-gray-300 mb-1">To</label>
+            <input
+              id="filter-to"
+              type="date"
+              value={searchParams.get('to') || ''}
+              onChange={(e) => updateFilter('to', e.target.value)}
+              className={filterInputClassName}
+            />
+          </div>
+          <div>
+            <label htmlFor="filter-mode" className="block text-sm text-gray-300 mb-1">Participation</label>
+            <select
+              id="filter-mode"
+              value={searchParams.get('registration_mode') || ''}
+              onChange={(e) => updateFilter('registration_mode', e.target.value)}
+              className={filterInputClassName}
+            >
+              <option value="">Individual or team</option>
+              <option value="individual">Individual</option>
+              <option value="team">Team</option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="filter-society" className="block text-sm text-gray-300 mb-1">Society</label>
+            <select
+              id="filter-society"
+              value={searchParams.get('society_id') || ''}
+              onChange={(e) => updateFilter('society_id', e.target.value)}
+              className={filterInputClassName}
+            >
+              <option value="">All societies</option>
+              {societies.map(society => (
+                <option key={society._id} value={society._id}>{society.name}</option>
+              ))}
+            </select>
+          </div>
+          <label className="flex items-center space-x-2 text-white py-2">
+            <input
+              type="checkbox"
+              checked={searchParams.get('registration_open') === 'true'}
+              onChange={(e) => updateFilter('registration_open', e.target.checked ? 'true' : '')}
+              className="h-4 w-4"
+            />
+            <span>Registration open now</span>
+          </label>
+        </div>
+
+        {hasFilters && (
+          <button onClick={clearFilters} className="text-sm text-blue-300 hover:text-blue-200">
+            Clear all filters
+          </button>
+        )}
       </div>
 
-      {/* Events Grid */}
-      {events.length > 0 ? (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {events.map((event) => (
-            <Link
-              key={event._id}
-              to={`/events/${event._id}`}
-              className="group"
-            >
-              <div className="bg-white rounded-xl shadow-lg overflow-hidden transition duration-300 transform hover:scale-105 hover:shadow-2xl">
-                {/* Event Image */}
-                <div className="relative h-48 bg-gradient-to-br from-blue-500 to-purple-600 overflow-hidden">
-                  {event.poster_url ? (
-                    <img
-                      src={event.poster_url}
-                      alt={event.title}
-                      className="w-full h-full object-cover"
-                    />
-                  ) : (
-                    <div className="flex items-center justify-center h-full">
-                      <svg className="w-20 h-20 text-white opacity-50" fill="currentColor" viewBox="0 0 20 20">
-                        <path fillRule="evenodd" d="M4 3a2 2 0 00-2 2v10a2 2 0 002 2h12a2 2 0 002-2V5a2 2 0 00-2-2H4zm12 12H4l4-8 3 6 2-4 3 6z" clipRule="evenodd" />
-                      </svg>
-                    </div>
-                  )}
-                  {/* Event Type Badge */}
-                  <div className="absolute top-3 right-3">
-                    <span className={`px-3 py-1 rounded-full text-xs font-semibold ${getEventTypeBadgeColor(event.event_type)}`}>
-                      {event.event_type}
-                    </span>
-                  </div>
-                </div>
-
-                {/* Event Details */}
-                <div className="p-5">
-                  {/* Title */}
-                  <h3 className="text-xl font-bold text-gray-900 mb-2 group-hover:text-blue-600 transition duration-200 line-clamp-2">
-                    {event.title}
-                  </h3>
-
-                  {/* Description */}
-                  <p className="text-gray-600 text-sm mb-4 line-clamp-2">
-                    {event.description}
-                  </p>
-
-                  {/* Event Info */}
-                  <div className="space-y-2">
-                    {/* Date */}
-                    <div className="flex items-center text-sm text-gray-700">
-                      <svg className="w-5 h-5 mr-2 text-blue-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
-                      </svg>
-                      {formatDate(event.start_datetime)}
-                    </div>
+      {loading ? (
+        <div className="flex justify-center items-center py-20">
+          <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-b-4 border-blue-500"></div>
+        </div>
+      ) : error ? (
+        <div className="text-center py-20">
+          <div className="bg-red-50 border border-red-200 text-red-700 px-6 py-4 rounded-lg inline-block">
+            <svg className="w-6 h-6 inline-block mr-2" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+            </svg>
+            {error}
+          </div>
+        </div>
+      ) : (
+        <>
+          {/* Events Count */}
+          <div className="text-white">
+            <p className="text-lg font-medium">
+              {total === 0 ? 'No events found' : `${total} event${total !== 1 ? 's' : ''} found`}
+            </p>
+          </div>
 
-                    {/* Venue */}
-                    <div className="flex items-center text-sm text-gray-700">
-                      <svg className="w-5 h-5 mr-2 text-green-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
-                      </svg>
-                      {event.venue}
+          {/* Events Grid */}
+          {events.length > 0 ? (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {events.map((event) => (
+                <Link
+                  key={event._id}
+                  to={`/events/${event._id}`}
+                  className="group"
+                >
+                  <div className="bg-white rounded-xl shadow-lg overflow-hidden transition duration-300 transform hover:scale-105 hover:shadow-2xl">
+                    {/* Event Image */}
+                    <div className="relative h-48 bg-gradient-to-br from-blue-500 to-purple-600 overflow-hidden">
+                      {event.poster_url ? (
+                        <img
+                          src={event.poster_thumbnail_url || event.poster_url}
+                          alt={event.title}
+                          className="w-full h-full object-cover"
+                        />
+                      ) : (
+                        <div className="flex items-center justify-center h-full">
+                          <svg className="w-20 h-20 text-white opacity-50" fill="currentColor" viewBox="0 0 20 20">
+                            <path fillRule="evenodd" d="M4 3a2 2 0 00-2 2v10a2 2 0 002 2h12a2 2 0 002-2V5a2 2 0 00-2-2H4zm12 12H4l4-8 3 6 2-4 3 6z" clipRule="evenodd" />
+                          </svg>
+                        </div>
+                      )}
+                      {/* Event Type Badge */}
+                      <div className="absolute top-3 right-3">
+                        <span className={`px-3 py-1 rounded-full text-xs font-semibold ${getEventTypeBadgeColor(event.event_type)}`}>
+                          {event.event_type}
+                        </span>
+                      </div>
                     </div>
 
-                    {/* Society */}
-                    {event.society_id && (
-                      <div className="flex items-center text-sm text-gray-700">
-                        <svg className="w-5 h-5 mr-2 text-purple-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
-                        </svg>
-                        {event.society_id.name}
+                    {/* Event Details */}
+                    <div className="p-5">
+                      {/* Title */}
+                      <h3 className="text-xl font-bold text-gray-900 mb-2 group-hover:text-blue-600 transition duration-200 line-clamp-2">
+                        {event.title}
+                      </h3>
+
+                      {/* Description */}
+                      <p className="text-gray-600 text-sm mb-4 line-clamp-2">
+                        {event.description}
+                      </p>
+
+                      {/* Event Info */}
+                      <div className="space-y-2">
+                        {/* Date */}
+                        <div className="flex items-center text-sm text-gray-700">
+                          <svg className="w-5 h-5 mr-2 text-blue-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                          </svg>
+                          {formatDate(event.start_datetime)}
+                        </div>
+
+                        {/* Venue */}
+                        <div className="flex items-center text-sm text-gray-700">
+                          <svg className="w-5 h-5 mr-2 text-green-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
+                          </svg>
+                          {event.venue}
+                        </div>
+
+                        {/* Society */}
+                        {event.society_id && (
+                          <div className="flex items-center text-sm text-gray-700">
+                            <svg className="w-5 h-5 mr-2 text-purple-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
+                            </svg>
+                            {event.society_id.name}
+                          </div>
+                        )}
                       </div>
-                    )}
-                  </div>
 
-                  {/* Register Button */}
-                  <div className="mt-4 pt-4 border-t border-gray-200">
-                    <button className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 text-white py-2 px-4 rounded-lg font-semibold
-                                     group-hover:from-blue-700 group-hover:to-indigo-700 transition duration-200">
-                      View Details →
-                    </button>
+                      {/* Register Button */}
+                      <div className="mt-4 pt-4 border-t border-gray-200">
+                        <button className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 text-white py-2 px-4 rounded-lg font-semibold
+                                         group-hover:from-blue-700 group-hover:to-indigo-700 transition duration-200">
+                          View Details →
+                        </button>
+                      </div>
+                    </div>
                   </div>
-                </div>
-              </div>
-            </Link>
-          ))}
-        </div>
-      ) : (
-        <div className="text-center py-20">
-          <svg className="w-24 h-24 mx-auto text-gray-300 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M20 13V6a2 2 0 00-2-2H6a2 2 0 00-2 2v7m16 0v5a2 2 0 01-2 2H6a2 2 0 01-2-2v-5m16 0h-2.586a1 1 0 00-.707.293l-2.414 2.414a1 1 0 01-.707.293h-3.172a1 1 0 01-.707-.293l-2.414-2.414A1 1 0 006.586 13H4" />
-          </svg>
-          <p className="text-xl text-gray-500">No events available at the moment</p>
-          <p className="text-gray-400 mt-2">Check back later for upcoming events!</p>
-        </div>
+                </Link>
+              ))}
+            </div>
+          ) : (
+            <div className="text-center py-20">
+              <svg className="w-24 h-24 mx-auto text-gray-300 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M20 13V6a2 2 0 00-2-2H6a2 2 0 00-2 2v7m16 0v5a2 2 0 01-2 2H6a2 2 0 01-2-2v-5m16 0h-2.586a1 1 0 00-.707.293l-2.414 2.414a1 1 0 01-.707.293h-3.172a1 1 0 01-.707-.293l-2.414-2.414A1 1 0 006.586 13H4" />
+              </svg>
+              {hasFilters ? (
+                <>
+                  <p className="text-xl text-gray-500">No events match your search</p>
+                  <p className="text-gray-400 mt-2">Try different keywords or clear some filters</p>
+                </>
+              ) : (
+                <>
+                  <p className="text-xl text-gray-500">No events available at the moment</p>
+                  <p className="text-gray-400 mt-2">Check back later for upcoming events!</p>
+                </>
+              )}
+            </div>
+          )}
+        </>
       )}
     </div>
   );
@@ -21,7 +21,8 @@ const FormBuilder = ({ formFields, setFormFields }) => {
     { value: 'select', label: 'Dropdown (Select)' },
     { value: 'multi_select', label: 'Multiple Select' },
     { value: 'date', label: 'Date' },
-    { value: 'url', label: 'URL' }
+    { value: 'url', label: 'URL' },
+    { value: 'file', label: 'File Upload' }
   ];
 
   /**
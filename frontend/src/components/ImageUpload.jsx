@@ -0,0 +1,62 @@
+import { useState } from 'react';
+import { uploadImage } from '../services/api';
+
+/**
+ * ImageUpload Component
+ * Uploads a poster, logo or avatar and reports the resized image URLs
+ *
+ * @param {Object} props
+ * @param {string} props.kind - Image kind (event_poster, society_logo, user_avatar)
+ * @param {string} [props.value] - Current image URL for preview
+ * @param {Function} props.onUploaded - Called with { url, thumbnail_url } after upload
+ * @param {boolean} [props.disabled] - Disable the file input
+ */
+const ImageUpload = ({ kind, value, onUploaded, disabled = false }) => {
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      setUploading(true);
+      setError('');
+      const response = await uploadImage(file, kind);
+      onUploaded({
+        url: response.image.url,
+        thumbnail_url: response.image.thumbnail_url
+      });
+    } catch (err) {
+      setError(err.message || 'Image upload failed');
+    } finally {
+      setUploading(false);
+      e.target.value = '';
+    }
+  };
+
+  return (
+    <div className="flex items-center space-x-4">
+      {value && (
+        <img
+          src={value}
+          alt="Preview"
+          className={`object-cover border border-gray-200 ${kind === 'event_poster' ? 'w-32 h-20 rounded-lg' : 'w-16 h-16 rounded-full'}`}
+        />
+      )}
+      <div className="flex-1">
+        <input
+          type="file"
+          accept="image/jpeg,image/png,image/webp,image/gif"
+          onChange={handleFileChange}
+          disabled={disabled || uploading}
+          className="w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+        />
+        {uploading && <p className="mt-1 text-sm text-gray-500">Uploading...</p>}
+        {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default ImageUpload;
@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import NotificationBell from './NotificationBell';
 
 /**
  * Navbar Component
@@ -27,8 +28,8 @@ const Navbar = () => {
    * Handle logout
    */
   
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     setIsMobileMenuOpen(false);
     navigate('/login');
   };
@@ -84,6 +85,15 @@ const Navbar = () => {
                     </Link>
                   </>
                 )}
+
+                {user && user.role === 'admin' && (
+                  <Link
+                    to="/admin"
+                    className="hover:text-blue-300 transition duration-200 font-medium"
+                  >
+                    Admin
+                  </Link>
+                )}
                 
                 {/* Role-based navigation for students */}
                 {user && user.role === 'student' && (
@@ -150,21 +160,24 @@ const Navbar = () => {
             )}
           </div>
 
-          {/* Mobile menu button */}
-          <button
-            onClick={toggleMobileMenu}
-            className="md:hidden p-2 rounded-lg hover:bg-blue-800 transition duration-200"
-          >
-            {isMobileMenuOpen ? (
-              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
-              </svg>
-            ) : (
-              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 6h16M4 12h16M4 18h16" />
-              </svg>
-            )}
-          </button>
+          {/* Notifications and mobile menu button */}
+          <div className="flex items-center space-x-2 md:ml-4">
+            {isAuthenticated && <NotificationBell />}
+            <button
+              onClick={toggleMobileMenu}
+              className="md:hidden p-2 rounded-lg hover:bg-blue-800 transition duration-200"
+            >
+              {isMobileMenuOpen ? (
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              ) : (
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 6h16M4 12h16M4 18h16" />
+                </svg>
+              )}
+            </button>
+          </div>
         </div>
 
         {/* Mobile Navigation */}
@@ -202,6 +215,16 @@ const Navbar = () => {
                     </Link>
                   </>
                 )}
+
+                {user && user.role === 'admin' && (
+                  <Link
+                    to="/admin"
+                    onClick={closeMobileMenu}
+                    className="block px-4 py-2 hover:bg-blue-800 rounded-lg transition duration-200"
+                  >
+                    Admin
+                  </Link>
+                )}
                 
                 {/* Role-based navigation for students */}
                 {user && user.role === 'student' && (
@@ -0,0 +1,180 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getNotifications, markNotificationRead, markAllNotificationsRead } from '../services/api';
+import { notifyError } from '../services/notifications';
+import { subscribeToUpdates } from '../services/stream';
+
+// New notifications arrive over the real-time stream; polling catches
+// anything missed while the stream was reconnecting
+const POLL_INTERVAL_MS = 5 * 60000;
+
+// Notifications shown in the dropdown
+const DROPDOWN_LIMIT = 10;
+
+/**
+ * Describe how long ago a notification arrived
+ */
+const timeAgo = (dateString) => {
+  const minutes = Math.floor((Date.now() - new Date(dateString).getTime()) / 60000);
+
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+/**
+ * NotificationBell Component
+ * Bell icon with an unread badge that opens the latest notifications
+ */
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const dropdownRef = useRef(null);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const response = await getNotifications({ limit: DROPDOWN_LIMIT });
+      setNotifications(response.notifications || []);
+      setUnreadCount(response.unread_count || 0);
+    } catch (err) {
+      console.error('Fetch notifications error:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+    const timer = setInterval(fetchNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [fetchNotifications]);
+
+  /**
+   * Show notifications as soon as they are created
+   */
+  useEffect(() => {
+    return subscribeToUpdates([], ({ type, data }) => {
+      if (type !== 'notification') return;
+
+      setNotifications(prev => [data, ...prev.filter(n => n._id !== data._id)].slice(0, DROPDOWN_LIMIT));
+      setUnreadCount(prev => prev + 1);
+    });
+  }, []);
+
+  /**
+   * Close dropdown when clicking outside
+   */
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleToggle = () => {
+    if (!isOpen) {
+      fetchNotifications();
+    }
+    setIsOpen(!isOpen);
+  };
+
+  /**
+   * Mark a notification read and open what it refers to
+   */
+  const handleOpen = async (notification) => {
+    setIsOpen(false);
+
+    if (!notification.read_at) {
+      setNotifications(prev => prev.map(n => (
+        n._id === notification._id ? { ...n, read_at: new Date().toISOString() } : n
+      )));
+      setUnreadCount(prev => Math.max(prev - 1, 0));
+
+      try {
+        await markNotificationRead(notification._id);
+      } catch (err) {
+        console.error('Mark notification read error:', err);
+      }
+    }
+
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead();
+      const now = new Date().toISOString();
+      setNotifications(prev => prev.map(n => ({ ...n, read_at: n.read_at || now })));
+      setUnreadCount(0);
+    } catch (err) {
+      notifyError(err.message || 'Failed to mark notifications as read');
+    }
+  };
+
+  return (
+    <div className="relative" ref={dropdownRef}>
+      <button
+        onClick={handleToggle}
+        aria-label={`Notifications${unreadCount > 0 ? ` (${unreadCount} unread)` : ''}`}
+        className="relative p-2 rounded-full hover:bg-white/10 transition duration-200"
+      >
+        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-5 h-5 px-1 bg-red-600 text-white text-xs font-bold rounded-full flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 max-w-[calc(100vw-2rem)] bg-white text-gray-900 rounded-lg shadow-xl overflow-hidden z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b">
+            <h3 className="font-semibold">Notifications</h3>
+            {unreadCount > 0 && (
+              <button onClick={handleMarkAllRead} className="text-sm text-blue-600 hover:text-blue-800">
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-gray-500 text-center">You're all caught up</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y">
+              {notifications.map(notification => (
+                <li key={notification._id}>
+                  <button
+                    onClick={() => handleOpen(notification)}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${notification.read_at ? '' : 'bg-blue-50'}`}
+                  >
+                    <div className="flex items-start gap-2">
+                      {!notification.read_at && <span className="mt-1.5 w-2 h-2 bg-blue-600 rounded-full flex-shrink-0" />}
+                      <div className="min-w-0">
+                        <p className="text-sm font-semibold truncate">{notification.title}</p>
+                        {notification.message && (
+                          <p className="text-sm text-gray-600 line-clamp-2">{notification.message}</p>
+                        )}
+                        <p className="text-xs text-gray-400 mt-1">{timeAgo(notification.created_at)}</p>
+                      </div>
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
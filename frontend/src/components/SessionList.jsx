@@ -0,0 +1,130 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { getSessions, revokeSession, logoutAllSessions } from '../services/api';
+import { notifySuccess, notifyError } from '../services/notifications';
+
+/**
+ * SessionList Component
+ * Shows the devices the user is signed in on and lets them sign out
+ * one device or all of them
+ */
+const SessionList = () => {
+  const navigate = useNavigate();
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const response = await getSessions();
+        setSessions(response.sessions || []);
+      } catch (err) {
+        console.error('Fetch sessions error:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSessions();
+  }, []);
+
+  /**
+   * Sign out a single device; signing out this device ends the local session too
+   */
+  const handleRevoke = async (session) => {
+    try {
+      setBusyId(session._id);
+      await revokeSession(session._id);
+
+      if (session.current) {
+        await logout();
+        navigate('/login');
+        return;
+      }
+
+      setSessions(prev => prev.filter(s => s._id !== session._id));
+      notifySuccess('Device signed out');
+    } catch (err) {
+      notifyError(err.message || 'Failed to sign out device');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Sign out every device, including this one
+   */
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out of all devices, including this one?')) {
+      return;
+    }
+
+    try {
+      setBusyId('all');
+      await logoutAllSessions();
+      await logout();
+      navigate('/login');
+    } catch (err) {
+      notifyError(err.message || 'Failed to sign out all devices');
+      setBusyId(null);
+    }
+  };
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white">Signed-in Devices</h3>
+        <button
+          onClick={handleLogoutAll}
+          disabled={busyId !== null}
+          className="text-sm text-red-400 hover:text-red-300 disabled:opacity-50"
+        >
+          Log out everywhere
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-[#A3A0A0] text-sm">Loading sessions...</p>
+      ) : sessions.length === 0 ? (
+        <p className="text-[#A3A0A0] text-sm">No active sessions</p>
+      ) : (
+        <ul className="space-y-3">
+          {sessions.map(session => (
+            <li key={session._id} className="flex items-center justify-between bg-[#1a1a1a] rounded-lg px-4 py-3">
+              <div>
+                <p className="text-white font-medium">
+                  {session.device}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-0.5 bg-green-100 text-green-700 rounded-full text-xs">This device</span>
+                  )}
+                </p>
+                <p className="text-xs text-[#A3A0A0]">
+                  Last active {formatDate(session.last_seen_at)}{session.ip ? ` · ${session.ip}` : ''}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRevoke(session)}
+                disabled={busyId !== null}
+                className="text-sm text-gray-300 hover:text-white disabled:opacity-50"
+              >
+                {busyId === session._id ? 'Signing out...' : 'Sign out'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SessionList;
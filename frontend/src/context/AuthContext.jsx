@@ -1,5 +1,5 @@
 import { createContext, useContext, useReducer, useEffect } from 'react';
-import { loginUser, registerUser, getMe } from '../services/api';
+import { loginUser, registerUser, getMe, logoutUser, storeTokens, clearTokens } from '../services/api';
 
 /**
  * Authentication Context
@@ -19,6 +19,7 @@ const AUTH_ACTIONS = {
   LOAD_USER_START: 'LOAD_USER_START',
   LOAD_USER_SUCCESS: 'LOAD_USER_SUCCESS',
   LOAD_USER_FAILURE: 'LOAD_USER_FAILURE',
+  UPDATE_USER: 'UPDATE_USER',
   CLEAR_ERROR: 'CLEAR_ERROR'
 };
 
@@ -76,6 +77,12 @@ const authReducer = (state, action) => {
         isAuthenticated: true
       };
     
+    case AUTH_ACTIONS.UPDATE_USER:
+      return {
+        ...state,
+        user: { ...state.user, ...action.payload }
+      };
+    
     case AUTH_ACTIONS.LOGIN_FAILURE:
     case AUTH_ACTIONS.REGISTER_FAILURE:
     case AUTH_ACTIONS.LOAD_USER_FAILURE:
@@ -140,7 +147,7 @@ export const AuthProvider = ({ children }) => {
         });
       } catch (error) {
         console.error('Failed to load user:', error);
-        localStorage.removeItem('campusEventToken');
+        clearTokens();
         dispatch({
           type: AUTH_ACTIONS.LOAD_USER_FAILURE,
           payload: 'Session expired. Please login again.'
@@ -160,9 +167,10 @@ export const AuthProvider = ({ children }) => {
    * @param {string} phone - User's phone number (optional)
    * @param {number} year_of_study - Year of study (optional)
    * @param {string} branch - Academic branch (optional)
+   * @param {string} invite_token - Token from a team invite email link (optional)
    * @returns {Promise<Object>} Registration response
    */
-  const register = async (name, email, password, phone, year_of_study, branch) => {
+  const register = async (name, email, password, phone, year_of_study, branch, invite_token) => {
     try {
       dispatch({ type: AUTH_ACTIONS.REGISTER_START });
       
@@ -170,6 +178,7 @@ export const AuthProvider = ({ children }) => {
       if (phone) userData.phone = phone;
       if (year_of_study) userData.year_of_study = year_of_study;
       if (branch) userData.branch = branch;
+      if (invite_token) userData.invite_token = invite_token;
       
       const response = await registerUser(userData);
       
@@ -191,7 +200,7 @@ export const AuthProvider = ({ children }) => {
 
   /**
    * Login user with email and password
-   * Stores JWT token in localStorage
+   * Stores the access and refresh tokens in localStorage
    * 
    * @param {string} email - User's email address
    * @param {string} password - User's password
@@ -203,8 +212,8 @@ export const AuthProvider = ({ children }) => {
       
       const response = await loginUser({ email, password });
       
-      // Store token in localStorage
-      localStorage.setItem('campusEventToken', response.token);
+      // Store tokens in localStorage
+      storeTokens(response);
       
       dispatch({
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
@@ -227,13 +236,33 @@ export const AuthProvider = ({ children }) => {
 
   /**
    * Logout user
-   * Clears token from localStorage and resets state
+   * Ends the session on the server, clears tokens from localStorage and resets state
    */
-  const logout = () => {
-    localStorage.removeItem('campusEventToken');
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('campusEventRefreshToken');
+
+    if (refreshToken) {
+      try {
+        await logoutUser(refreshToken);
+      } catch (error) {
+        // Signing out locally still works if the server cannot be reached
+        console.error('Logout error:', error.message);
+      }
+    }
+
+    clearTokens();
     dispatch({ type: AUTH_ACTIONS.LOGOUT });
   };
 
+  /**
+   * Merge changed profile fields into the current user
+   * 
+   * @param {Object} changes - Updated user fields
+   */
+  const updateUser = (changes) => {
+    dispatch({ type: AUTH_ACTIONS.UPDATE_USER, payload: changes });
+  };
+
   /**
    * Clear error message from state
    */
@@ -251,6 +280,7 @@ export const AuthProvider = ({ children }) => {
     register,
     login,
     logout,
+    updateUser,
     clearError
   };
 
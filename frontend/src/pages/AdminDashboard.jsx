@@ -0,0 +1,747 @@
+import { Fragment, useEffect, useState, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import {
+  getAdminStats,
+  getAdminUsers,
+  updateUserStatus,
+  updateUserRole,
+  getUserRoleHistory,
+  getSocieties,
+  setSocietyApproval,
+  getAdminEvents,
+  updateEventStatus,
+  getAuditLogs
+} from '../services/api';
+import { notifySuccess, notifyError } from '../services/notifications';
+
+const PAGE_SIZE = 20;
+
+const TABS = [
+  { id: 'users', label: 'Users' },
+  { id: 'societies', label: 'Societies' },
+  { id: 'events', label: 'Events' },
+  { id: 'audit', label: 'Audit Log' }
+];
+
+const ACTION_LABELS = {
+  'user.role_change': 'Changed role of',
+  'user.activate': 'Activated',
+  'user.deactivate': 'Deactivated',
+  'user.profile_update': 'Updated profile of',
+  'user.password_change': 'Changed password of',
+  'user.password_reset': 'Reset password of',
+  'user.logout_all': 'Signed out all devices of',
+  'society.approve': 'Approved society',
+  'society.reject': 'Rejected society',
+  'society.update': 'Updated society',
+  'society.deactivate': 'Deactivated society',
+  'society.transfer': 'Transferred headship of society',
+  'event.update': 'Updated event',
+  'event.cancel': 'Cancelled event',
+  'event.restore': 'Restored event',
+  'registration.status_change': 'Changed status of registration',
+  'registration.cancel': 'Cancelled registration',
+  'registration.member_remove': 'Removed a member from registration'
+};
+
+/**
+ * Format a changed value for the audit log
+ *
+ * @param {*} value - Logged value
+ * @returns {string} Short text
+ */
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return 'none';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const inputClassName = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+const thClassName = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+/**
+ * Format date for display
+ *
+ * @param {string} dateString - ISO date
+ * @returns {string} Readable date and time
+ */
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Ask the admin for a reason
+ *
+ * @param {string} message - Prompt text
+ * @param {boolean} [required=false] - Label the reason as required
+ * @returns {string|null|undefined} Reason, undefined if left blank, null if cancelled
+ */
+const askReason = (message, required = false) => {
+  const reason = window.prompt(`${message}\nReason (${required ? 'required' : 'optional'}):`);
+  if (reason === null) return null;
+  return reason.trim() || undefined;
+};
+
+/**
+ * Pagination controls for the admin tables
+ */
+const Pagination = ({ skip, total, onChange }) => {
+  if (total <= PAGE_SIZE) return null;
+
+  return (
+    <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+      <span>{skip + 1}-{Math.min(skip + PAGE_SIZE, total)} of {total}</span>
+      <div className="space-x-2">
+        <button
+          onClick={() => onChange(Math.max(skip - PAGE_SIZE, 0))}
+          disabled={skip === 0}
+          className="px-3 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+        >
+          Previous
+        </button>
+        <button
+          onClick={() => onChange(skip + PAGE_SIZE)}
+          disabled={skip + PAGE_SIZE >= total}
+          className="px-3 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Users tab: search, activate/deactivate, change role and view role history
+ */
+const UsersPanel = ({ currentUserId, onChanged }) => {
+  const [filters, setFilters] = useState({ search: '', role: '', is_active: '' });
+  const [query, setQuery] = useState({ search: '', role: '', is_active: '', skip: 0 });
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [history, setHistory] = useState({ userId: null, entries: [] });
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await getAdminUsers({ ...query, limit: PAGE_SIZE });
+      setUsers(response.users || []);
+      setTotal(response.total || 0);
+    } catch (err) {
+      notifyError(err.message || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setQuery({ ...filters, skip: 0 });
+  };
+
+  const handleToggleActive = async (target) => {
+    const reason = askReason(`${target.is_active ? 'Deactivate' : 'Activate'} ${target.email}?`);
+    if (reason === null) return;
+
+    try {
+      setBusyId(target._id);
+      const response = await updateUserStatus(target._id, !target.is_active, reason);
+      notifySuccess(response.message);
+      setUsers(prev => prev.map(u => (u._id === target._id ? { ...u, is_active: response.user.is_active } : u)));
+      onChanged();
+    } catch (err) {
+      notifyError(err.message || 'Failed to update user');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRoleChange = async (target, role) => {
+    const reason = askReason(`Change ${target.email} from ${target.role} to ${role}?`);
+    if (reason === null) return;
+
+    try {
+      setBusyId(target._id);
+      const response = await updateUserRole(target._id, role, reason);
+      notifySuccess(response.message);
+      setUsers(prev => prev.map(u => (u._id === target._id ? { ...u, role: response.user.role } : u)));
+      if (history.userId === target._id) setHistory({ userId: null, entries: [] });
+      onChanged();
+    } catch (err) {
+      notifyError(err.message || 'Failed to change role');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleToggleHistory = async (userId) => {
+    if (history.userId === userId) {
+      setHistory({ userId: null, entries: [] });
+      return;
+    }
+
+    try {
+      const response = await getUserRoleHistory(userId);
+      setHistory({ userId, entries: response.role_history || [] });
+    } catch (err) {
+      notifyError(err.message || 'Failed to load role history');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden">
+      <form onSubmit={handleSearch} className="p-6 border-b border-gray-200 flex flex-col md:flex-row gap-4">
+        <input
+          type="text"
+          value={filters.search}
+          onChange={(e) => setFilters(prev => ({ ...prev, search: e.target.value }))}
+          placeholder="Search by name or email..."
+          className={inputClassName}
+        />
+        <select
+          value={filters.role}
+          onChange={(e) => setFilters(prev => ({ ...prev, role: e.target.value }))}
+          className={`${inputClassName} md:w-48`}
+        >
+          <option value="">All roles</option>
+          <option value="student">Student</option>
+          <option value="society_head">Society head</option>
+          <option value="admin">Admin</option>
+        </select>
+        <select
+          value={filters.is_active}
+          onChange={(e) => setFilters(prev => ({ ...prev, is_active: e.target.value }))}
+          className={`${inputClassName} md:w-48`}
+        >
+          <option value="">Any status</option>
+          <option value="true">Active</option>
+          <option value="false">Deactivated</option>
+        </select>
+        <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg font-medium transition duration-200">
+          Search
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="p-12 text-center text-gray-500">Loading users...</div>
+      ) : users.length === 0 ? (
+        <div className="p-12 text-center text-gray-600">No users found</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className={thClassName}>User</th>
+                <th className={thClassName}>Role</th>
+                <th className={thClassName}>Status</th>
+                <th className={thClassName}>Joined</th>
+                <th className={thClassName}>Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {users.map(u => (
+                <Fragment key={u._id}>
+                  <tr>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">{u.name}</div>
+                      <div className="text-sm text-gray-500">{u.email}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <select
+                        value={u.role}
+                        onChange={(e) => handleRoleChange(u, e.target.value)}
+                        disabled={busyId === u._id || u._id === currentUserId}
+                        className="px-2 py-1 border border-gray-300 rounded-lg text-sm disabled:opacity-50"
+                      >
+                        <option value="student">Student</option>
+                        <option value="society_head">Society head</option>
+                        <option value="admin">Admin</option>
+                      </select>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {u.is_active ? (
+                        <span className="px-3 py-1 bg-green-100 text-green-700 rounded-full text-sm font-medium">Active</span>
+                      ) : (
+                        <span className="px-3 py-1 bg-red-100 text-red-700 rounded-full text-sm font-medium">Deactivated</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(u.created_at)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm space-x-3">
+                      {u._id !== currentUserId && (
+                        <button
+                          onClick={() => handleToggleActive(u)}
+                          disabled={busyId === u._id}
+                          className={`font-medium disabled:opacity-50 ${u.is_active ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'}`}
+                        >
+                          {u.is_active ? 'Deactivate' : 'Activate'}
+                        </button>
+                      )}
+                      <button onClick={() => handleToggleHistory(u._id)} className="text-blue-600 hover:text-blue-800 font-medium">
+                        {history.userId === u._id ? 'Hide history' : 'Role history'}
+                      </button>
+                    </td>
+                  </tr>
+                  {history.userId === u._id && (
+                    <tr>
+                      <td colSpan="5" className="px-6 py-4 bg-gray-50 text-sm text-gray-700">
+                        {history.entries.length === 0 ? (
+                          <p>No role changes recorded.</p>
+                        ) : (
+                          <ul className="space-y-1">
+                            {history.entries.map(entry => (
+                              <li key={entry._id}>
+                                {formatDate(entry.changed_at)}: {entry.from_role || 'none'} &rarr; {entry.to_role}
+                                {entry.changed_by && ` by ${entry.changed_by.name}`}
+                                {entry.reason && ` (${entry.reason})`}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <Pagination skip={query.skip} total={total} onChange={(skip) => setQuery(prev => ({ ...prev, skip }))} />
+    </div>
+  );
+};
+
+/**
+ * Societies tab: review pending societies and approve or reject them
+ */
+const SocietiesPanel = ({ onChanged }) => {
+  const [approvalStatus, setApprovalStatus] = useState('pending');
+  const [skip, setSkip] = useState(0);
+  const [societies, setSocieties] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchSocieties = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await getSocieties({ approval_status: approvalStatus, skip, limit: PAGE_SIZE });
+      setSocieties(response.societies || []);
+      setTotal(response.total || 0);
+    } catch (err) {
+      notifyError(err.message || 'Failed to load societies');
+    } finally {
+      setLoading(false);
+    }
+  }, [approvalStatus, skip]);
+
+  useEffect(() => {
+    fetchSocieties();
+  }, [fetchSocieties]);
+
+  const handleApproval = async (society, action) => {
+    const reason = askReason(`${action === 'approve' ? 'Approve' : 'Reject'} ${society.name}?`);
+    if (reason === null) return;
+
+    try {
+      setBusyId(society._id);
+      const response = await setSocietyApproval(society._id, action, reason);
+      notifySuccess(response.message);
+      await fetchSocieties();
+      onChanged();
+    } catch (err) {
+      notifyError(err.message || 'Failed to update society');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden">
+      <div className="p-6 border-b border-gray-200">
+        <select
+          value={approvalStatus}
+          onChange={(e) => { setApprovalStatus(e.target.value); setSkip(0); }}
+          className={`${inputClassName} md:w-64`}
+        >
+          <option value="pending">Pending approval</option>
+          <option value="approved">Approved</option>
+          <option value="rejected">Rejected</option>
+          <option value="">All</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="p-12 text-center text-gray-500">Loading societies...</div>
+      ) : societies.length === 0 ? (
+        <div className="p-12 text-center text-gray-600">No societies found</div>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {societies.map(society => (
+            <li key={society._id} className="px-6 py-4 flex items-center justify-between">
+              <div>
+                <p className="font-medium text-gray-900">{society.name}</p>
+                <p className="text-sm text-gray-500">
+                  Head: {society.head_id?.name} ({society.head_id?.email}) &middot; <span className="capitalize">{society.approval_status}</span>
+                </p>
+              </div>
+              <div className="space-x-3 text-sm">
+                {society.approval_status !== 'approved' && (
+                  <button
+                    onClick={() => handleApproval(society, 'approve')}
+                    disabled={busyId === society._id}
+                    className="text-green-600 hover:text-green-800 font-medium disabled:opacity-50"
+                  >
+                    Approve
+                  </button>
+                )}
+                {society.approval_status !== 'rejected' && (
+                  <button
+                    onClick={() => handleApproval(society, 'reject')}
+                    disabled={busyId === society._id}
+                    className="text-red-600 hover:text-red-800 font-medium disabled:opacity-50"
+                  >
+                    Reject
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <Pagination skip={skip} total={total} onChange={setSkip} />
+    </div>
+  );
+};
+
+/**
+ * Events tab: find any event and force-cancel or restore it
+ */
+const EventsPanel = ({ onChanged }) => {
+  const [filters, setFilters] = useState({ search: '', event_status: '' });
+  const [query, setQuery] = useState({ search: '', event_status: '', skip: 0 });
+  const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchEvents = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await getAdminEvents({ ...query, limit: PAGE_SIZE });
+      setEvents(response.events || []);
+      setTotal(response.total || 0);
+    } catch (err) {
+      notifyError(err.message || 'Failed to load events');
+    } finally {
+      setLoading(false);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setQuery({ ...filters, skip: 0 });
+  };
+
+  const handleStatusChange = async (event, action) => {
+    const reason = askReason(action === 'cancel'
+      ? `Cancel "${event.title}"? All registrations will be cancelled and attendees notified.`
+      : `Restore "${event.title}"? Registrations cancelled with it will be restored.`, action === 'cancel');
+    if (reason === null) return;
+
+    if (action === 'cancel' && !reason) {
+      notifyError('A reason is required to cancel an event');
+      return;
+    }
+
+    try {
+      setBusyId(event._id);
+      const response = await updateEventStatus(event._id, action, reason);
+      notifySuccess(response.message);
+      await fetchEvents();
+      onChanged();
+    } catch (err) {
+      notifyError(err.message || 'Failed to update event');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden">
+      <form onSubmit={handleSearch} className="p-6 border-b border-gray-200 flex flex-col md:flex-row gap-4">
+        <input
+          type="text"
+          value={filters.search}
+          onChange={(e) => setFilters(prev => ({ ...prev, search: e.target.value }))}
+          placeholder="Search by title..."
+          className={inputClassName}
+        />
+        <select
+          value={filters.event_status}
+          onChange={(e) => setFilters(prev => ({ ...prev, event_status: e.target.value }))}
+          className={`${inputClassName} md:w-48`}
+        >
+          <option value="">All statuses</option>
+          <option value="draft">Draft</option>
+          <option value="published">Published</option>
+          <option value="ongoing">Ongoing</option>
+          <option value="completed">Completed</option>
+          <option value="cancelled">Cancelled</option>
+        </select>
+        <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg font-medium transition duration-200">
+          Search
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="p-12 text-center text-gray-500">Loading events...</div>
+      ) : events.length === 0 ? (
+        <div className="p-12 text-center text-gray-600">No events found</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className={thClassName}>Event</th>
+                <th className={thClassName}>Society</th>
+                <th className={thClassName}>Date</th>
+                <th className={thClassName}>Status</th>
+                <th className={thClassName}>Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {events.map(event => (
+                <tr key={event._id}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <Link to={`/events/${event._id}`} className="text-sm font-medium text-gray-900 hover:text-blue-600">{event.title}</Link>
+                    <div className="text-sm text-gray-500">{event.organizer_id?.email}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{event.society_id?.name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(event.start_datetime)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm capitalize text-gray-700">{event.event_status}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    {event.event_status === 'cancelled' ? (
+                      <button
+                        onClick={() => handleStatusChange(event, 'restore')}
+                        disabled={busyId === event._id}
+                        className="text-green-600 hover:text-green-800 font-medium disabled:opacity-50"
+                      >
+                        Restore
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => handleStatusChange(event, 'cancel')}
+                        disabled={busyId === event._id}
+                        className="text-red-600 hover:text-red-800 font-medium disabled:opacity-50"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <Pagination skip={query.skip} total={total} onChange={(skip) => setQuery(prev => ({ ...prev, skip }))} />
+    </div>
+  );
+};
+
+/**
+ * Audit log tab: sensitive actions across the platform, newest first
+ */
+const AuditLogPanel = () => {
+  const [filters, setFilters] = useState({ action: '', target_type: '', from: '', to: '' });
+  const [skip, setSkip] = useState(0);
+  const [logs, setLogs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchLogs = async () => {
+      try {
+        setLoading(true);
+        const response = await getAuditLogs({
+          action: filters.action,
+          target_type: filters.target_type,
+          from: filters.from && new Date(`${filters.from}T00:00:00`).toISOString(),
+          to: filters.to && new Date(`${filters.to}T23:59:59`).toISOString(),
+          skip,
+          limit: PAGE_SIZE
+        });
+        setLogs(response.logs || []);
+        setTotal(response.total || 0);
+      } catch (err) {
+        notifyError(err.message || 'Failed to load audit log');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLogs();
+  }, [filters, skip]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setSkip(0);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden">
+      <div className="p-6 border-b border-gray-200 grid grid-cols-1 md:grid-cols-4 gap-4">
+        <select name="action" value={filters.action} onChange={handleFilterChange} className={inputClassName}>
+          <option value="">All actions</option>
+          {Object.keys(ACTION_LABELS).map(action => (
+            <option key={action} value={action}>{action}</option>
+          ))}
+        </select>
+        <select name="target_type" value={filters.target_type} onChange={handleFilterChange} className={inputClassName}>
+          <option value="">All records</option>
+          <option value="User">Users</option>
+          <option value="Society">Societies</option>
+          <option value="Event">Events</option>
+          <option value="Registration">Registrations</option>
+        </select>
+        <input type="date" name="from" value={filters.from} onChange={handleFilterChange} className={inputClassName} />
+        <input type="date" name="to" value={filters.to} onChange={handleFilterChange} className={inputClassName} />
+      </div>
+
+      {loading ? (
+        <div className="p-12 text-center text-gray-500">Loading audit log...</div>
+      ) : logs.length === 0 ? (
+        <div className="p-12 text-center text-gray-600">No matching entries</div>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {logs.map(entry => (
+            <li key={entry._id} className="px-6 py-4 text-sm">
+              <p className="text-gray-900">
+                <span className="font-medium">{entry.actor_id?.name || 'Unknown user'}</span>{' '}
+                {(ACTION_LABELS[entry.action] || entry.action).toLowerCase()}{' '}
+                <span className="font-medium">
+                  {entry.target_id?.title || entry.target_id?.name || `${entry.target_type} ${entry.target_id?._id || entry.target_id}`}
+                </span>
+              </p>
+              {entry.after && Object.keys(entry.after).map(field => (
+                <p key={field} className="text-gray-600">
+                  {field}: {formatValue(entry.before?.[field])} &rarr; {formatValue(entry.after[field])}
+                </p>
+              ))}
+              <p className="text-gray-500">
+                {formatDate(entry.created_at)}
+                {entry.ip && ` · ${entry.ip}`}
+                {entry.reason && ` · ${entry.reason}`}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <Pagination skip={skip} total={total} onChange={setSkip} />
+    </div>
+  );
+};
+
+/**
+ * AdminDashboard Page
+ * Platform overview and management of users, societies and events for admins
+ */
+const AdminDashboard = () => {
+  const navigate = useNavigate();
+  const { user, isAuthenticated } = useAuth();
+  const [activeTab, setActiveTab] = useState('users');
+  const [stats, setStats] = useState(null);
+
+  // Authorization check
+  useEffect(() => {
+    if (isAuthenticated && user && user.role !== 'admin') {
+      navigate('/dashboard');
+    }
+  }, [isAuthenticated, user, navigate]);
+
+  const fetchStats = useCallback(async () => {
+    try {
+      const response = await getAdminStats();
+      setStats(response.stats);
+    } catch (err) {
+      console.error('Fetch admin stats error:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStats();
+  }, [fetchStats]);
+
+  const statCards = stats ? [
+    { label: 'Users', value: stats.users.total, detail: `${stats.users.inactive} deactivated` },
+    { label: 'Pending Societies', value: stats.societies.by_approval_status.pending || 0, detail: `${stats.societies.total} total` },
+    { label: 'Live Events', value: (stats.events.by_event_status.published || 0) + (stats.events.by_event_status.ongoing || 0), detail: `${stats.events.total} total` },
+    { label: 'Registrations', value: stats.registrations.total, detail: `${stats.registrations.by_status.confirmed || 0} confirmed` }
+  ] : [];
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-4xl font-bold text-gray-900 mb-2">Admin Console</h1>
+          <p className="text-gray-600">Manage users, societies and events across the platform</p>
+        </div>
+
+        {/* Statistics Cards */}
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+          {statCards.map(card => (
+            <div key={card.label} className="bg-white rounded-lg shadow p-6">
+              <p className="text-sm font-medium text-gray-600">{card.label}</p>
+              <p className="text-3xl font-bold text-gray-900">{card.value}</p>
+              <p className="text-sm text-gray-500 mt-1">{card.detail}</p>
+            </div>
+          ))}
+        </div>
+
+        {/* Tabs */}
+        <div className="flex space-x-2 mb-6">
+          {TABS.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`px-4 py-2 rounded-lg font-medium transition duration-200 ${
+                activeTab === tab.id ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {activeTab === 'users' && <UsersPanel currentUserId={user?.id} onChanged={fetchStats} />}
+        {activeTab === 'societies' && <SocietiesPanel onChanged={fetchStats} />}
+        {activeTab === 'events' && <EventsPanel onChanged={fetchStats} />}
+        {activeTab === 'audit' && <AuditLogPanel />}
+      </div>
+    </div>
+  );
+};
+
+export default AdminDashboard;
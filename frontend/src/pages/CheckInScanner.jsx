@@ -0,0 +1,277 @@
+import { useEffect, useRef, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { getEventById, checkInAttendee } from '../services/api';
+
+/**
+ * CheckInScanner Page
+ * Organizers scan attendee ticket QR codes on event day
+ * Uses the browser's BarcodeDetector when available; ticket tokens can
+ * also be pasted or typed by a handheld scanner
+ */
+const CheckInScanner = () => {
+  const { eventId } = useParams();
+
+  // State management
+  const [event, setEvent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [manualToken, setManualToken] = useState('');
+  const [processing, setProcessing] = useState(false);
+  const [cameraActive, setCameraActive] = useState(false);
+  const [scans, setScans] = useState([]);
+
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const scanTimerRef = useRef(null);
+  const lastScanRef = useRef({ token: '', at: 0 });
+  const processingRef = useRef(false);
+
+  const cameraSupported = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+  /**
+   * Fetch event details on mount
+   */
+  useEffect(() => {
+    const fetchEvent = async () => {
+      try {
+        setLoading(true);
+        const response = await getEventById(eventId);
+        setEvent(response.event);
+      } catch (err) {
+        console.error('Fetch event error:', err);
+        setError(err.message || 'Failed to load event details.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (eventId) {
+      fetchEvent();
+    }
+  }, [eventId]);
+
+  /**
+   * Stop camera and scan loop
+   */
+  const stopCamera = () => {
+    if (scanTimerRef.current) {
+      clearInterval(scanTimerRef.current);
+      scanTimerRef.current = null;
+    }
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+    setCameraActive(false);
+  };
+
+  // Release camera when leaving the page
+  useEffect(() => stopCamera, []);
+
+  /**
+   * Submit a ticket token and record the outcome
+   */
+  const submitToken = async (token) => {
+    const trimmed = token.trim();
+    if (!trimmed || processingRef.current) return;
+
+    processingRef.current = true;
+    setProcessing(true);
+
+    try {
+      const response = await checkInAttendee(eventId, trimmed);
+      setScans(prev => [{
+        type: 'success',
+        message: response.message,
+        attendee: response.attendee,
+        detail: response.team_name ? `${response.team_name} (${response.checked_in_count}/${response.attendee_count} checked in)` : '',
+        at: new Date()
+      }, ...prev]);
+    } catch (err) {
+      const duplicate = err.response?.status === 409;
+      setScans(prev => [{
+        type: duplicate ? 'duplicate' : 'error',
+        message: err.message || 'Check-in failed',
+        attendee: err.response?.data?.attendee,
+        detail: '',
+        at: new Date()
+      }, ...prev]);
+    } finally {
+      processingRef.current = false;
+      setProcessing(false);
+    }
+  };
+
+  /**
+   * Start camera and poll frames for QR codes
+   */
+  const startCamera = async () => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'environment' }
+      });
+      streamRef.current = stream;
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+      setCameraActive(true);
+
+      const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+      scanTimerRef.current = setInterval(async () => {
+        if (!videoRef.current || processingRef.current) return;
+
+        try {
+          const codes = await detector.detect(videoRef.current);
+          if (codes.length === 0) return;
+
+          const token = codes[0].rawValue;
+          const now = Date.now();
+
+          // Ignore the same code held in front of the camera
+          if (token === lastScanRef.current.token && now - lastScanRef.current.at < 3000) return;
+          lastScanRef.current = { token, at: now };
+
+          submitToken(token);
+        } catch (detectErr) {
+          console.error('QR detect error:', detectErr);
+        }
+      }, 500);
+    } catch (err) {
+      console.error('Camera error:', err);
+      alert('Unable to access camera. Enter ticket codes manually instead.');
+      stopCamera();
+    }
+  };
+
+  const handleManualSubmit = async (e) => {
+    e.preventDefault();
+    await submitToken(manualToken);
+    setManualToken('');
+  };
+
+  const resultStyles = {
+    success: 'bg-green-50 border-green-200 text-green-800',
+    duplicate: 'bg-yellow-50 border-yellow-200 text-yellow-800',
+    error: 'bg-red-50 border-red-200 text-red-800'
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-b-4 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-12 px-4">
+        <div className="max-w-3xl mx-auto">
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+            {error}
+          </div>
+          <Link to="/society/dashboard" className="mt-4 inline-block text-blue-600 hover:text-blue-800">
+            ← Back to Dashboard
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-3xl mx-auto">
+        {/* Back Button */}
+        <div className="mb-4">
+          <Link
+            to={`/society/events/${eventId}/registrations`}
+            className="inline-flex items-center space-x-2 text-blue-600 hover:text-blue-800 transition duration-200"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+            </svg>
+            <span>Back to Registrations</span>
+          </Link>
+        </div>
+
+        {/* Header */}
+        <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+          <h1 className="text-3xl font-bold text-gray-900 mb-1">Check-in</h1>
+          <p className="text-gray-600">{event?.title}</p>
+        </div>
+
+        {/* Scanner */}
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          {cameraSupported && (
+            <div className="mb-6">
+              <video
+                ref={videoRef}
+                className={`w-full rounded-lg bg-black ${cameraActive ? '' : 'hidden'}`}
+                muted
+                playsInline
+              />
+              <button
+                onClick={cameraActive ? stopCamera : startCamera}
+                className={`mt-3 w-full py-2 px-4 rounded-lg font-medium text-white transition duration-200 ${
+                  cameraActive ? 'bg-gray-600 hover:bg-gray-700' : 'bg-blue-600 hover:bg-blue-700'
+                }`}
+              >
+                {cameraActive ? 'Stop Camera' : 'Start Camera Scanner'}
+              </button>
+            </div>
+          )}
+
+          <form onSubmit={handleManualSubmit}>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {cameraSupported ? 'Or enter ticket code' : 'Ticket code (scan with a handheld scanner or paste)'}
+            </label>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={manualToken}
+                onChange={(e) => setManualToken(e.target.value)}
+                autoFocus
+                placeholder="Ticket code..."
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <button
+                type="submit"
+                disabled={processing || !manualToken.trim()}
+                className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg font-medium transition duration-200 disabled:opacity-50"
+              >
+                {processing ? 'Checking...' : 'Check In'}
+              </button>
+            </div>
+          </form>
+        </div>
+
+        {/* Scan Results */}
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-xl font-semibold text-gray-900">Recent Scans ({scans.length})</h2>
+          </div>
+          {scans.length === 0 ? (
+            <p className="p-6 text-center text-gray-500">No tickets scanned yet</p>
+          ) : (
+            <div className="p-4 space-y-2">
+              {scans.map((scan, idx) => (
+                <div key={idx} className={`border rounded-lg px-4 py-3 ${resultStyles[scan.type]}`}>
+                  <div className="flex justify-between">
+                    <span className="font-medium">{scan.message}</span>
+                    <span className="text-sm">{scan.at.toLocaleTimeString()}</span>
+                  </div>
+                  {scan.attendee && (
+                    <p className="text-sm mt-1">{scan.attendee.name} ({scan.attendee.email})</p>
+                  )}
+                  {scan.detail && <p className="text-sm mt-1">{scan.detail}</p>}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CheckInScanner;
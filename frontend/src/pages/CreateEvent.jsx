@@ -1,17 +1,33 @@
 import { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { createEvent, getAllEvents } from '../services/api';
+import { createEvent, updateEvent, getEventById, getAllEvents, getMySocieties } from '../services/api';
 import FormBuilder from '../components/FormBuilder';
+import ImageUpload from '../components/ImageUpload';
+
+/**
+ * Convert an ISO date string to the value format of a datetime-local input
+ * @param {string} value - ISO date string
+ * @returns {string} Local date and time as YYYY-MM-DDTHH:mm
+ */
+const toDateTimeLocal = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
 
 /**
  * CreateEvent Page
  * Multi-step form for society heads to create new events
+ * Also used to edit an existing event when mounted with an :eventId route param
  * Step 1: Event Details
  * Step 2: Registration Form Builder
  */
 const CreateEvent = () => {
   const navigate = useNavigate();
+  const { eventId } = useParams();
+  const isEditMode = Boolean(eventId);
   const { user, isAuthenticated } = useAuth();
   
   // Authorization check
@@ -36,6 +52,7 @@ const CreateEvent = () => {
     end_datetime: '',
     venue: '',
     poster_url: '',
+    poster_thumbnail_url: '',
     registration_mode: 'individual',
     min_team_size: 2,
     max_team_size: 5,
@@ -48,6 +65,81 @@ const CreateEvent = () => {
   // Form fields state
   const [formFields, setFormFields] = useState([]);
 
+  // Societies the current user heads (approved and active only)
+  const [societies, setSocieties] = useState([]);
+
+  /**
+   * Fetch societies the user can create events for
+   */
+  useEffect(() => {
+    const fetchSocieties = async () => {
+      try {
+        const response = await getMySocieties();
+        setSocieties((response.societies || []).filter(
+          s => s.is_active && s.approval_status === 'approved'
+        ));
+      } catch (err) {
+        console.error('Fetch societies error:', err);
+      }
+    };
+
+    if (isAuthenticated) {
+      fetchSocieties();
+    }
+  }, [isAuthenticated]);
+
+  /**
+   * Load the event being edited into the form
+   */
+  useEffect(() => {
+    const fetchEvent = async () => {
+      try {
+        setLoading(true);
+        const response = await getEventById(eventId);
+        const event = response.event;
+
+        setEventDetails({
+          title: event.title,
+          description: event.description,
+          event_type: event.event_type,
+          start_datetime: toDateTimeLocal(event.start_datetime),
+          end_datetime: toDateTimeLocal(event.end_datetime),
+          venue: event.venue,
+          poster_url: event.poster_url || '',
+          poster_thumbnail_url: event.poster_thumbnail_url || '',
+          registration_mode: event.registration_mode,
+          min_team_size: event.min_team_size,
+          max_team_size: event.max_team_size,
+          max_teams: event.max_teams || '',
+          registration_start_datetime: toDateTimeLocal(event.registration_start_datetime),
+          registration_end_datetime: toDateTimeLocal(event.registration_end_datetime),
+          society_id: event.society_id?._id || event.society_id || ''
+        });
+
+        // field_id is kept so answers already collected stay linked to their field
+        setFormFields([...(event.form_fields || [])]
+          .sort((a, b) => a.order_index - b.order_index)
+          .map(field => ({
+            id: field.field_id,
+            field_id: field.field_id,
+            label: field.label,
+            type: field.field_type,
+            required: field.is_required,
+            options: field.options || [],
+            error: ''
+          })));
+      } catch (err) {
+        setError(err.message || 'Failed to load event');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (isEditMode) {
+      fetchEvent();
+    }
+  }, [eventId, isEditMode]);
+
   // Validation errors
   const [validationErrors, setValidationErrors] = useState({});
 
@@ -141,7 +233,9 @@ const CreateEvent = () => {
     const { name, value } = e.target;
     setEventDetails(prev => ({
       ...prev,
-      [name]: value
+      [name]: value,
+      // A pasted poster URL has no generated thumbnail
+      ...(name === 'poster_url' && { poster_thumbnail_url: '' })
     }));
     // Clear validation error for this field
     if (validationErrors[name]) {
@@ -191,6 +285,7 @@ const CreateEvent = () => {
         ...eventDetails,
         event_status: 'published', // Set status to published instead of draft
         form_fields: formFields.map((field, index) => ({
+          ...(field.field_id && { field_id: field.field_id }),
           label: field.label,
           field_type: field.type, // Backend expects 'field_type' not 'type'
           is_required: field.required, // Backend expects 'is_required' not 'required'
@@ -201,6 +296,7 @@ const CreateEvent = () => {
 
       // Remove empty optional fields
       if (!eventData.poster_url) delete eventData.poster_url;
+      if (!eventData.poster_thumbnail_url) delete eventData.poster_thumbnail_url;
       if (!eventData.max_teams) delete eventData.max_teams;
       if (!eventData.society_id) delete eventData.society_id;
       if (eventData.registration_mode === 'individual') {
@@ -209,23 +305,38 @@ const CreateEvent = () => {
         delete eventData.max_teams;
       }
 
+      if (isEditMode) {
+        // Status, type and society are not changed from this form
+        delete eventData.event_status;
+        delete eventData.event_type;
+        delete eventData.society_id;
+        // Clearing the field removes the capacity limit
+        if (eventData.registration_mode === 'team' && !eventDetails.max_teams) {
+          eventData.max_teams = null;
+        }
+      }
+
       console.log('Submitting event data:', JSON.stringify(eventData, null, 2));
 
-      // Call API to create event
-      const response = await createEvent(eventData);
-      
-      setSuccess('Event created successfully!');
+      // Call API to create or update the event
+      if (isEditMode) {
+        await updateEvent(eventId, eventData);
+        setSuccess('Event updated successfully!');
+      } else {
+        await createEvent(eventData);
+        setSuccess('Event created successfully!');
+      }
       
       // Redirect to society dashboard after 2 seconds
       setTimeout(() => {
         navigate('/society/dashboard');
       }, 2000);
     } catch (err) {
-      console.error('Create event error:', err);
+      console.error('Save event error:', err);
       console.error('Error response:', err.response?.data);
       
       // Extract detailed error message
-      let errorMsg = 'Failed to create event. Please try again.';
+      let errorMsg = `Failed to ${isEditMode ? 'update' : 'create'} event. Please try again.`;
       if (err.response?.data?.details) {
         errorMsg = err.response.data.details.join(', ');
       } else if (err.response?.data?.message) {
@@ -256,8 +367,12 @@ const CreateEvent = () => {
       <div className="max-w-4xl mx-auto">
         {/* Header */}
         <div className="text-center mb-8">
-          <h1 className="text-4xl font-bold text-gray-900 mb-2">Create New Event</h1>
-          <p className="text-gray-600">Fill in the details to create an event for your society</p>
+          <h1 className="text-4xl font-bold text-gray-900 mb-2">{isEditMode ? 'Edit Event' : 'Create New Event'}</h1>
+          <p className="text-gray-600">
+            {isEditMode
+              ? 'Update the event details and registration form'
+              : 'Fill in the details to create an event for your society'}
+          </p>
         </div>
 
         {/* Progress Indicator */}
@@ -357,6 +472,7 @@ const CreateEvent = () => {
                     name="event_type"
                     value={eventDetails.event_type}
                     onChange={handleInputChange}
+                    disabled={isEditMode}
                     className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent capitalize"
                   >
                     {eventTypes.map(type => (
@@ -419,11 +535,43 @@ const CreateEvent = () => {
                   )}
                 </div>
 
-                {/* Poster URL */}
+                {/* Organizing Society */}
+                {!isEditMode && societies.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Organizing Society (Optional)
+                    </label>
+                    <select
+                      name="society_id"
+                      value={eventDetails.society_id}
+                      onChange={handleInputChange}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      <option value="">No society</option>
+                      {societies.map(society => (
+                        <option key={society._id} value={society._id}>
+                          {society.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {/* Poster */}
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Poster URL (Optional)
+                    Poster (Optional)
                   </label>
+                  <ImageUpload
+                    kind="event_poster"
+                    value={eventDetails.poster_thumbnail_url || eventDetails.poster_url}
+                    onUploaded={({ url, thumbnail_url }) => setEventDetails(prev => ({
+                      ...prev,
+                      poster_url: url,
+                      poster_thumbnail_url: thumbnail_url
+                    }))}
+                  />
+                  <p className="mt-2 mb-1 text-xs text-gray-500">Or paste an image URL</p>
                   <input
                     type="url"
                     name="poster_url"
@@ -598,14 +746,14 @@ const CreateEvent = () => {
                     {loading ? (
                       <>
                         <div className="animate-spin rounded-full h-5 w-5 border-t-2 border-b-2 border-white"></div>
-                        <span>Creating...</span>
+                        <span>{isEditMode ? 'Saving...' : 'Creating...'}</span>
                       </>
                     ) : (
                       <>
                         <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7" />
                         </svg>
-                        <span>Create Event</span>
+                        <span>{isEditMode ? 'Save Changes' : 'Create Event'}</span>
                       </>
                     )}
                   </button>
@@ -1,6 +1,7 @@
 import { useAuth } from '../context/AuthContext';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import EventsList from '../components/EventsList';
+import EventCalendar from '../components/EventCalendar';
 
 /**
  * Dashboard Component
@@ -8,6 +9,23 @@ import EventsList from '../components/EventsList';
  */
 const Dashboard = () => {
   const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const showCalendar = searchParams.get('view') === 'calendar';
+
+  /**
+   * Switch between the card list and the calendar, keeping other URL params
+   */
+  const setView = (view) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      if (view === 'calendar') {
+        next.set('view', 'calendar');
+      } else {
+        next.delete('view');
+      }
+      return next;
+    }, { replace: true });
+  };
 
   return (
     <div className="min-h-screen bg-[black]">
@@ -76,12 +94,27 @@ const Dashboard = () => {
 
       {/* Events Section */}
       <div className="max-w-7xl mx-auto px-4 pb-12">
-        <div className="mb-8">
-          <h2 className="text-3xl font-bold text-white mb-2">Upcoming Events</h2>
-          <p className="text-white">Browse and register for campus events</p>
+        <div className="mb-8 flex flex-wrap items-end justify-between gap-4">
+          <div>
+            <h2 className="text-3xl font-bold text-white mb-2">Upcoming Events</h2>
+            <p className="text-white">Browse and register for campus events</p>
+          </div>
+          <div className="flex rounded-lg overflow-hidden border border-gray-600">
+            {[{ value: 'list', label: 'List' }, { value: 'calendar', label: 'Calendar' }].map(option => (
+              <button
+                key={option.value}
+                onClick={() => setView(option.value)}
+                className={`px-4 py-2 text-sm font-medium ${
+                  (option.value === 'calendar') === showCalendar ? 'bg-blue-600 text-white' : 'bg-[black] text-gray-300 hover:bg-gray-800'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
         </div>
 
-        <EventsList />
+        {showCalendar ? <EventCalendar /> : <EventsList />}
       </div>
     </div>
   );
@@ -1,7 +1,8 @@
 import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { getEventById, registerForEvent, searchUsers, getUserRegistrations, bookmarkEvent, removeBookmark, checkBookmark } from '../services/api';
+import { getEventById, registerForEvent, searchUsers, getUserRegistrations, bookmarkEvent, removeBookmark, checkBookmark, uploadFormFile, downloadEventCalendar, getSocietyCalendarUrl } from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import { subscribeToUpdates } from '../services/stream';
 
 /**
  * EventDetail Page Component
@@ -18,9 +19,12 @@ const EventDetail = () => {
   const [isAlreadyRegistered, setIsAlreadyRegistered] = useState(false);
   const [isBookmarked, setIsBookmarked] = useState(false);
   const [bookmarkLoading, setBookmarkLoading] = useState(false);
+  const [calendarLoading, setCalendarLoading] = useState(false);
   const [formAnswers, setFormAnswers] = useState({});
   const [teamName, setTeamName] = useState(''); // For team registrations
-  const [teamMembers, setTeamMembers] = useState([]); // Array of {_id, name, email}
+  const [teamMembers, setTeamMembers] = useState([]); // Array of {_id, name, email}; no _id for email invites
+  const [inviteName, setInviteName] = useState('');
+  const [inviteEmail, setInviteEmail] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [showDropdown, setShowDropdown] = useState(false);
@@ -29,6 +33,9 @@ const EventDetail = () => {
   const [isRegistering, setIsRegistering] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
   const [registrationError, setRegistrationError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({}); // Per-field errors from server validation
+  const [uploadedFiles, setUploadedFiles] = useState({}); // fieldId -> uploaded file metadata
+  const [uploadingField, setUploadingField] = useState(null);
 
   /**
    * Fetch event details
@@ -81,6 +88,29 @@ const EventDetail = () => {
     fetchEvent();
   }, [eventId]);
 
+  /**
+   * Keep seat counts and event details current while the page is open
+   * Form answers are left alone so an edit never clears what the user typed
+   */
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    return subscribeToUpdates([eventId], async ({ type, data }) => {
+      if (String(data.event_id) !== eventId) return;
+
+      if (type === 'seats') {
+        setEvent(prev => prev && { ...prev, seats_taken: data.seats_taken, max_teams: data.max_teams });
+      } else if (type === 'event_update') {
+        try {
+          const response = await getEventById(eventId);
+          setEvent(response.event);
+        } catch (err) {
+          console.error('Refresh event error:', err);
+        }
+      }
+    });
+  }, [eventId, isAuthenticated]);
+
   /**
    * Handle form answer change
    */
@@ -89,6 +119,37 @@ const EventDetail = () => {
       ...prev,
       [fieldId]: value
     }));
+    setFieldErrors(prev => ({ ...prev, [fieldId]: undefined }));
+  };
+
+  /**
+   * Upload a file answer; the returned upload ID becomes the answer value
+   */
+  const handleFileChange = async (fieldId, file) => {
+    if (!file) return;
+
+    try {
+      setUploadingField(fieldId);
+      const response = await uploadFormFile(eventId, fieldId, file);
+      setUploadedFiles(prev => ({ ...prev, [fieldId]: response.upload }));
+      handleAnswerChange(fieldId, response.upload._id);
+    } catch (err) {
+      handleAnswerChange(fieldId, '');
+      setFieldErrors(prev => ({ ...prev, [fieldId]: err.message || 'File upload failed' }));
+    } finally {
+      setUploadingField(null);
+    }
+  };
+
+  /**
+   * Toggle an option of a multi_select answer
+   */
+  const handleMultiSelectToggle = (fieldId, option) => {
+    const selected = formAnswers[fieldId] || [];
+    handleAnswerChange(
+      fieldId,
+      selected.includes(option) ? selected.filter(o => o !== option) : [...selected, option]
+    );
   };
 
   /**
@@ -148,6 +209,28 @@ const EventDetail = () => {
     }
   };
 
+  /**
+   * Download the event as an .ics file for Google, Outlook or Apple Calendar
+   */
+  const handleCalendarDownload = async () => {
+    setCalendarLoading(true);
+    try {
+      const blob = await downloadEventCalendar(eventId);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${event.title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'event'}.ics`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      alert(err.message || 'Failed to download calendar file');
+    } finally {
+      setCalendarLoading(false);
+    }
+  };
+
   /**
    * Close dropdown when clicking outside
    */
@@ -178,6 +261,34 @@ const EventDetail = () => {
     setRegistrationError('');
   };
 
+  /**
+   * Invite someone without an account by email
+   * They are sent a sign-up link and join the team once registered
+   */
+  const addEmailInvite = () => {
+    const email = inviteEmail.trim().toLowerCase();
+
+    if (!/^\S+@\S+\.\S+$/.test(email)) {
+      setRegistrationError('Enter a valid email address to invite');
+      return;
+    }
+
+    if (teamMembers.length >= (event?.max_team_size - 1)) {
+      setRegistrationError(`Maximum ${event?.max_team_size} team members allowed (including you)`);
+      return;
+    }
+
+    if (teamMembers.some(m => m.email?.toLowerCase() === email)) {
+      setRegistrationError('This person is already on your team');
+      return;
+    }
+
+    setTeamMembers([...teamMembers, { name: inviteName.trim(), email }]);
+    setInviteName('');
+    setInviteEmail('');
+    setRegistrationError('');
+  };
+
   /**
    * Remove team member
    */
@@ -213,7 +324,9 @@ const EventDetail = () => {
     }
 
     for (const field of event.form_fields) {
-      if (field.is_required && !formAnswers[field.field_id]?.trim()) {
+      const answer = formAnswers[field.field_id];
+      const isEmpty = Array.isArray(answer) ? answer.length === 0 : !answer?.trim();
+      if (field.is_required && isEmpty) {
         setRegistrationError(`Please fill in the required field: ${field.label}`);
         return false;
       }
@@ -239,6 +352,7 @@ const EventDetail = () => {
 
     setIsRegistering(true);
     setRegistrationError('');
+    setFieldErrors({});
 
     try {
       // Convert form answers to API format
@@ -256,7 +370,7 @@ const EventDetail = () => {
       // Add team data for team events
       if (event.registration_mode === 'team') {
         registrationData.team_name = teamName;
-        // Send only user IDs
+        // Members are matched by email; unknown emails are sent a sign-up invite
         registrationData.team_members_info = teamMembers.map(m => ({
           _id: m._id,
           name: m.name,
@@ -264,14 +378,30 @@ const EventDetail = () => {
         }));
       }
 
-      await registerForEvent(registrationData);
+      const response = await registerForEvent(registrationData);
 
-      setSuccessMessage('Successfully registered for the event!');
+      if (response.registration?.status === 'waitlisted') {
+        setSuccessMessage(`Event is full. You are #${response.registration.waitlist_position} on the waitlist.`);
+      } else {
+        setSuccessMessage('Successfully registered for the event!');
+      }
       setTimeout(() => {
         navigate('/my-registrations');
       }, 2000);
     } catch (err) {
       setRegistrationError(err.message || 'Failed to register for event');
+      
+      // Show server-side form answer errors next to their fields
+      const answerErrors = err.response?.data?.errors;
+      if (Array.isArray(answerErrors)) {
+        const errorsByField = {};
+        answerErrors.forEach(answerError => {
+          if (answerError.field_id) {
+            errorsByField[answerError.field_id] = answerError.message;
+          }
+        });
+        setFieldErrors(errorsByField);
+      }
     } finally {
       setIsRegistering(false);
     }
@@ -318,6 +448,8 @@ const EventDetail = () => {
 
   if (!event) return null;
 
+  const isCancelled = event.event_status === 'cancelled';
+
   return (
     <div className="min-h-screen bg-gray-50 py-8">
       <div className="max-w-5xl mx-auto px-4">
@@ -356,6 +488,23 @@ const EventDetail = () => {
           </div>
 
           <div className="p-8">
+            {/* Cancellation Banner */}
+            {isCancelled && (
+              <div className="bg-red-50 border border-red-200 text-red-800 px-6 py-4 rounded-lg mb-6 flex items-start">
+                <svg className="w-6 h-6 mr-3 mt-0.5 flex-shrink-0 text-red-500" fill="currentColor" viewBox="0 0 20 20">
+                  <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+                </svg>
+                <div>
+                  <p className="font-bold">This event has been cancelled</p>
+                  {event.cancellation_reason && <p className="mt-1">Reason: {event.cancellation_reason}</p>}
+                  <p className="text-sm text-red-700 mt-1">
+                    {event.cancelled_at && `Cancelled on ${formatDateTime(event.cancelled_at)}. `}
+                    All registrations for this event have been cancelled.
+                  </p>
+                </div>
+              </div>
+            )}
+
             {/* Event Title */}
             <h1 className="text-4xl font-bold text-gray-900 mb-4">{event.title}</h1>
 
@@ -400,14 +549,21 @@ const EventDetail = () => {
                   <div>
                     <p className="text-sm text-gray-500">Organized By</p>
                     <p className="font-semibold text-gray-900">{event.society_id.name}</p>
+                    <a
+                      href={getSocietyCalendarUrl(event.society_id._id).replace(/^https?:/, 'webcal:')}
+                      title="Opens your calendar app; you can also copy this link into it"
+                      className="text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      Subscribe to society calendar
+                    </a>
                   </div>
                 </div>
               )}
             </div>
 
-            {/* Bookmark Button */}
-            {isAuthenticated && (
-              <div className="mb-6">
+            {/* Bookmark and Calendar Buttons */}
+            <div className="mb-6 flex flex-wrap gap-3">
+              {isAuthenticated && (
                 <button
                   onClick={handleBookmarkToggle}
                   disabled={bookmarkLoading}
@@ -422,8 +578,18 @@ const EventDetail = () => {
                   </svg>
                   <span>{isBookmarked ? 'Remove Bookmark' : 'Bookmark Event'}</span>
                 </button>
-              </div>
-            )}
+              )}
+              <button
+                onClick={handleCalendarDownload}
+                disabled={calendarLoading}
+                className="flex items-center space-x-2 px-6 py-3 rounded-lg font-semibold transition duration-200 bg-gray-200 hover:bg-gray-300 text-gray-800 disabled:opacity-50"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                </svg>
+                <span>{calendarLoading ? 'Preparing...' : 'Add to Calendar'}</span>
+              </button>
+            </div>
 
             {/* Description */}
             <div className="mb-8">
@@ -441,6 +607,9 @@ const EventDetail = () => {
                   <p>Team Size: <span className="font-semibold">{event.min_team_size} - {event.max_team_size} members</span></p>
                 )}
                 {event.max_teams && <p>Max Capacity: <span className="font-semibold">{event.max_teams} teams</span></p>}
+                {event.max_teams && event.seats_taken != null && (
+                  <p>Seats Taken: <span className="font-semibold">{event.seats_taken} of {event.max_teams}</span></p>
+                )}
               </div>
             </div>
 
@@ -465,7 +634,7 @@ const EventDetail = () => {
             )}
 
             {/* Already Registered Message */}
-            {isAuthenticated && isAlreadyRegistered && (
+            {isAuthenticated && isAlreadyRegistered && !isCancelled && (
               <div className="border-t border-gray-200 pt-8">
                 <div className="bg-green-50 border border-green-200 rounded-lg p-6 text-center">
                   <svg className="w-16 h-16 mx-auto text-green-500 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -484,7 +653,7 @@ const EventDetail = () => {
             )}
 
             {/* Registration Form */}
-            {isAuthenticated && !successMessage && !isAlreadyRegistered && (
+            {isAuthenticated && !successMessage && !isAlreadyRegistered && !isCancelled && (
               <div className="border-t border-gray-200 pt-8">
                 <h2 className="text-2xl font-bold text-gray-900 mb-6">Register for This Event</h2>
 
@@ -524,8 +693,11 @@ const EventDetail = () => {
                             {teamMembers.map((member, index) => (
                               <div key={index} className="flex items-center justify-between bg-white p-3 rounded border border-gray-200">
                                 <div className="flex-1">
-                                  <p className="font-medium text-gray-900">{member.name}</p>
-                                  <p className="text-sm text-gray-600">{member.email}</p>
+                                  <p className="font-medium text-gray-900">{member.name || member.email}</p>
+                                  <p className="text-sm text-gray-600">
+                                    {member.email}
+                                    {!member._id && <span className="ml-2 text-xs text-amber-700">Invite by email</span>}
+                                  </p>
                                 </div>
                                 <button
                                   type="button"
@@ -578,13 +750,43 @@ const EventDetail = () => {
                               )}
                               {showDropdown && searchQuery.length >= 2 && searchResults.length === 0 && !isSearching && (
                                 <div className="absolute z-10 w-full mt-1 bg-white border border-gray-300 rounded-lg shadow-lg px-4 py-3 text-gray-500 text-sm">
-                                  No users found. Only registered users can be added to teams.
+                                  No users found. Invite them by email below.
                                 </div>
                               )}
                             </div>
                             {searchQuery.length < 2 && (
                               <p className="text-xs text-gray-500">Type at least 2 characters to search for registered users</p>
                             )}
+
+                            <p className="text-sm font-medium text-gray-700 pt-2">Not on Campus Event Hub yet? Invite by email</p>
+                            <div className="flex flex-col sm:flex-row gap-2">
+                              <input
+                                type="text"
+                                value={inviteName}
+                                onChange={(e) => setInviteName(e.target.value)}
+                                placeholder="Name (optional)"
+                                maxLength={100}
+                                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                                disabled={isRegistering}
+                              />
+                              <input
+                                type="email"
+                                value={inviteEmail}
+                                onChange={(e) => setInviteEmail(e.target.value)}
+                                placeholder="Email address"
+                                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                                disabled={isRegistering}
+                              />
+                              <button
+                                type="button"
+                                onClick={addEmailInvite}
+                                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition duration-200 disabled:opacity-50"
+                                disabled={isRegistering || !inviteEmail.trim()}
+                              >
+                                Invite
+                              </button>
+                            </div>
+                            <p className="text-xs text-gray-500">They'll get a sign-up link and join your team once they register</p>
                           </div>
                         )}
                       </div>
@@ -621,9 +823,39 @@ const EventDetail = () => {
                               <option key={idx} value={option}>{option}</option>
                             ))}
                           </select>
+                        ) : field.field_type === 'file' ? (
+                          <div>
+                            <input
+                              type="file"
+                              onChange={(e) => handleFileChange(field.field_id, e.target.files[0])}
+                              className="w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+                              disabled={isRegistering || uploadingField === field.field_id}
+                            />
+                            {uploadingField === field.field_id && (
+                              <p className="mt-1 text-sm text-gray-500">Uploading...</p>
+                            )}
+                            {uploadedFiles[field.field_id] && uploadingField !== field.field_id && (
+                              <p className="mt-1 text-sm text-green-700">Uploaded: {uploadedFiles[field.field_id].original_name}</p>
+                            )}
+                          </div>
+                        ) : field.field_type === 'multi_select' ? (
+                          <div className="space-y-2">
+                            {field.options?.map((option, idx) => (
+                              <label key={idx} className="flex items-center space-x-2 text-sm text-gray-700">
+                                <input
+                                  type="checkbox"
+                                  checked={(formAnswers[field.field_id] || []).includes(option)}
+                                  onChange={() => handleMultiSelectToggle(field.field_id, option)}
+                                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                  disabled={isRegistering}
+                                />
+                                <span>{option}</span>
+                              </label>
+                            ))}
+                          </div>
                         ) : (
                           <input
-                            type={field.field_type === 'email' ? 'email' : field.field_type === 'number' ? 'number' : field.field_type === 'date' ? 'date' : 'text'}
+                            type={{ email: 'email', number: 'number', date: 'date', phone: 'tel', url: 'url' }[field.field_type] || 'text'}
                             value={formAnswers[field.field_id] || ''}
                             onChange={(e) => handleAnswerChange(field.field_id, e.target.value)}
                             required={field.is_required}
@@ -631,6 +863,9 @@ const EventDetail = () => {
                             disabled={isRegistering}
                           />
                         )}
+                        {fieldErrors[field.field_id] && (
+                          <p className="mt-1 text-sm text-red-600">{fieldErrors[field.field_id]}</p>
+                        )}
                       </div>
                     ))
                   ) : (
@@ -640,7 +875,7 @@ const EventDetail = () => {
                   {/* Submit Button */}
                   <button
                     type="submit"
-                    disabled={isRegistering}
+                    disabled={isRegistering || uploadingField !== null}
                     className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 text-white py-3 px-6 rounded-lg font-semibold
                              hover:from-blue-700 hover:to-indigo-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2
                              disabled:opacity-50 disabled:cursor-not-allowed transition duration-200 transform hover:scale-[1.02]"
@@ -661,7 +896,7 @@ const EventDetail = () => {
               </div>
             )}
 
-            {!isAuthenticated && !successMessage && (
+            {!isAuthenticated && !successMessage && !isCancelled && (
               <div className="border-t border-gray-200 pt-8 text-center">
                 <p className="text-gray-600 mb-4">Please sign in to register for this event</p>
                 <button
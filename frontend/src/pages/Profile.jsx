@@ -0,0 +1,328 @@
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { updateProfile, changePassword, resendVerificationEmail } from '../services/api';
+import { notifySuccess, notifyError } from '../services/notifications';
+import ImageUpload from '../components/ImageUpload';
+import SessionList from '../components/SessionList';
+import CalendarFeed from '../components/CalendarFeed';
+import EmailPreferences from '../components/EmailPreferences';
+
+const BRANCHES = [
+  { value: 'CSE', label: 'Computer Science' },
+  { value: 'ECE', label: 'Electronics & Communication' },
+  { value: 'ME', label: 'Mechanical Engineering' },
+  { value: 'CE', label: 'Civil Engineering' },
+  { value: 'IT', label: 'Information Technology' },
+  { value: 'Other', label: 'Other' }
+];
+
+const inputClassName = 'w-full px-4 py-2 bg-[black] border border-gray-600 text-white rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+/**
+ * Build the edit form state from the current user
+ *
+ * @param {Object} user - Current user
+ * @returns {Object} Form values
+ */
+const toFormData = (user) => ({
+  name: user?.name || '',
+  phone: user?.phone || '',
+  year_of_study: user?.year_of_study ? String(user.year_of_study) : '',
+  branch: user?.branch || ''
+});
+
+/**
+ * Profile Page Component
+ * Shows and edits the current user's profile, avatar and password
+ */
+const Profile = () => {
+  const { user, updateUser } = useAuth();
+  const [sendingVerification, setSendingVerification] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [formData, setFormData] = useState(() => toFormData(user));
+  const [saving, setSaving] = useState(false);
+  const [passwordData, setPasswordData] = useState({
+    current_password: '',
+    new_password: '',
+    confirm_password: ''
+  });
+  const [changingPassword, setChangingPassword] = useState(false);
+
+  const handleResendVerification = async () => {
+    try {
+      setSendingVerification(true);
+      const response = await resendVerificationEmail();
+      notifySuccess(response.message);
+    } catch (err) {
+      notifyError(err.message || 'Failed to send verification email');
+    } finally {
+      setSendingVerification(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleEdit = () => {
+    setFormData(toFormData(user));
+    setEditing(true);
+  };
+
+  /**
+   * Save profile changes; empty optional fields are cleared on the server
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    if (formData.name.trim().length < 2) {
+      notifyError('Name must be at least 2 characters');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await updateProfile({
+        name: formData.name.trim(),
+        phone: formData.phone.trim(),
+        year_of_study: formData.year_of_study ? parseInt(formData.year_of_study) : null,
+        branch: formData.branch
+      });
+      updateUser(response.user);
+      setEditing(false);
+      notifySuccess('Profile updated');
+    } catch (err) {
+      notifyError(err.response?.data?.errors?.[0]?.msg || err.message || 'Failed to update profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * The upload endpoint already saves avatars to the profile
+   */
+  const handleAvatarUploaded = ({ url, thumbnail_url }) => {
+    updateUser({ photo_url: url, photo_thumbnail_url: thumbnail_url });
+    notifySuccess('Profile photo updated');
+  };
+
+  const handlePasswordChange = (e) => {
+    const { name, value } = e.target;
+    setPasswordData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+
+    if (passwordData.new_password.length < 6) {
+      notifyError('Password must be at least 6 characters');
+      return;
+    }
+
+    if (passwordData.new_password !== passwordData.confirm_password) {
+      notifyError('Passwords do not match');
+      return;
+    }
+
+    try {
+      setChangingPassword(true);
+      const response = await changePassword(passwordData.current_password, passwordData.new_password);
+      setPasswordData({ current_password: '', new_password: '', confirm_password: '' });
+      notifySuccess(response.message);
+    } catch (err) {
+      notifyError(err.response?.data?.errors?.[0]?.msg || err.message || 'Failed to change password');
+    } finally {
+      setChangingPassword(false);
+    }
+  };
+
+  const branchLabel = BRANCHES.find(b => b.value === user?.branch)?.label || user?.branch;
+  const avatarUrl = user?.photo_thumbnail_url || user?.photo_url;
+
+  return (
+    <div className="min-h-screen bg-[black] py-12 px-4">
+      <div className="max-w-3xl mx-auto">
+        <h1 className="text-3xl font-bold text-white mb-6">My Profile</h1>
+        {user && user.email_verified === false && (
+          <div className="bg-yellow-100 border border-yellow-300 text-yellow-800 px-4 py-3 rounded-lg mb-6 flex items-center justify-between">
+            <span className="text-sm">Your email address is not verified yet. Check your inbox for the verification link.</span>
+            <button
+              onClick={handleResendVerification}
+              disabled={sendingVerification}
+              className="ml-4 text-sm font-medium text-yellow-900 underline disabled:opacity-50"
+            >
+              {sendingVerification ? 'Sending...' : 'Resend email'}
+            </button>
+          </div>
+        )}
+        <div className="bg-[#242323] rounded-lg shadow p-8">
+          <div className="flex items-center justify-between mb-6">
+            <div className="flex items-center space-x-4">
+              {avatarUrl ? (
+                <img src={avatarUrl} alt={user?.name} className="w-20 h-20 rounded-full object-cover" />
+              ) : (
+                <div className="w-20 h-20 bg-blue-500 rounded-full flex items-center justify-center text-white text-3xl font-bold">
+                  {user?.name?.charAt(0).toUpperCase()}
+                </div>
+              )}
+              <div>
+                <h2 className="text-2xl font-bold text-white">{user?.name}</h2>
+                <p className="text-white">{user?.email}</p>
+              </div>
+            </div>
+            {!editing && (
+              <button
+                onClick={handleEdit}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+              >
+                Edit Profile
+              </button>
+            )}
+          </div>
+
+          {editing ? (
+            <form onSubmit={handleSave} className="border-t pt-6 space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-white mb-2">Profile Photo</label>
+                <ImageUpload kind="user_avatar" value={avatarUrl} onUploaded={handleAvatarUploaded} disabled={saving} />
+              </div>
+              <div>
+                <label htmlFor="name" className="block text-sm font-medium text-white mb-2">Full Name</label>
+                <input id="name" name="name" type="text" value={formData.name} onChange={handleChange} className={inputClassName} />
+              </div>
+              <div>
+                <label htmlFor="phone" className="block text-sm font-medium text-white mb-2">Phone</label>
+                <input id="phone" name="phone" type="tel" value={formData.phone} onChange={handleChange} className={inputClassName} />
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="year_of_study" className="block text-sm font-medium text-white mb-2">Year of Study</label>
+                  <select id="year_of_study" name="year_of_study" value={formData.year_of_study} onChange={handleChange} className={inputClassName}>
+                    <option value="">Not set</option>
+                    <option value="1">1st Year</option>
+                    <option value="2">2nd Year</option>
+                    <option value="3">3rd Year</option>
+                    <option value="4">4th Year</option>
+                    <option value="5">5th Year</option>
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="branch" className="block text-sm font-medium text-white mb-2">Branch</label>
+                  <select id="branch" name="branch" value={formData.branch} onChange={handleChange} className={inputClassName}>
+                    <option value="">Not set</option>
+                    {BRANCHES.map(b => (
+                      <option key={b.value} value={b.value}>{b.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="flex justify-end space-x-3 pt-2">
+                <button
+                  type="button"
+                  onClick={() => setEditing(false)}
+                  disabled={saving}
+                  className="px-4 py-2 border border-gray-600 text-white rounded-lg hover:bg-gray-800 transition disabled:opacity-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Save Changes'}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="border-t pt-6 space-y-4">
+              <div>
+                <label className="text-sm font-medium text-white">Role</label>
+                <p className="text-lg text-[#A3A0A0] capitalize">{user?.role}</p>
+              </div>
+              {user?.phone && (
+                <div>
+                  <label className="text-sm font-medium text-white">Phone</label>
+                  <p className="text-lg text-[#A3A0A0]">{user.phone}</p>
+                </div>
+              )}
+              {user?.branch && (
+                <div>
+                  <label className="text-sm font-medium text-white">Branch</label>
+                  <p className="text-lg text-[#A3A0A0]">{branchLabel}</p>
+                </div>
+              )}
+              {user?.year_of_study && (
+                <div>
+                  <label className="text-sm font-medium text-white">Year of Study</label>
+                  <p className="text-lg text-[#A3A0A0]">{user.year_of_study}</p>
+                </div>
+              )}
+            </div>
+          )}
+
+          <form onSubmit={handlePasswordSubmit} className="border-t mt-6 pt-6 space-y-4">
+            <h3 className="text-lg font-semibold text-white">Change Password</h3>
+            <p className="text-sm text-[#A3A0A0]">Other devices will be signed out.</p>
+            <input
+              name="current_password"
+              type="password"
+              placeholder="Current password"
+              autoComplete="current-password"
+              value={passwordData.current_password}
+              onChange={handlePasswordChange}
+              required
+              className={inputClassName}
+            />
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <input
+                name="new_password"
+                type="password"
+                placeholder="New password"
+                autoComplete="new-password"
+                value={passwordData.new_password}
+                onChange={handlePasswordChange}
+                required
+                className={inputClassName}
+              />
+              <input
+                name="confirm_password"
+                type="password"
+                placeholder="Confirm new password"
+                autoComplete="new-password"
+                value={passwordData.confirm_password}
+                onChange={handlePasswordChange}
+                required
+                className={inputClassName}
+              />
+            </div>
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={changingPassword}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+              >
+                {changingPassword ? 'Changing...' : 'Change Password'}
+              </button>
+            </div>
+          </form>
+
+          <div className="border-t mt-6 pt-6">
+            <EmailPreferences />
+          </div>
+
+          <div className="border-t mt-6 pt-6">
+            <CalendarFeed />
+          </div>
+
+          <div className="border-t mt-6 pt-6">
+            <SessionList />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
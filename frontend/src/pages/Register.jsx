@@ -1,13 +1,18 @@
-import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { getEmailInvite } from '../services/api';
 
 /**
  * Register Page Component
  * Allows new users to create an account
+ * Opened from a team invite email (?token=...), it shows the invite and
+ * the new account joins the team once created
  */
 const Register = () => {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('token') || '';
   const { register, clearError } = useAuth();
   
   const [formData, setFormData] = useState({
@@ -23,6 +28,29 @@ const Register = () => {
   const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
+  const [invite, setInvite] = useState(null);
+  const [inviteError, setInviteError] = useState('');
+
+  // Load the team invite and pre-fill the invited name and email
+  useEffect(() => {
+    if (!inviteToken) return;
+
+    const fetchInvite = async () => {
+      try {
+        const response = await getEmailInvite(inviteToken);
+        setInvite(response.invite);
+        setFormData(prev => ({
+          ...prev,
+          name: prev.name || response.invite.name || '',
+          email: prev.email || response.invite.email
+        }));
+      } catch (err) {
+        setInviteError(err.message || 'This invite link is invalid or has expired');
+      }
+    };
+
+    fetchInvite();
+  }, [inviteToken]);
 
   /**
    * Handle input change
@@ -100,16 +128,21 @@ const Register = () => {
     setIsLoading(true);
 
     try {
-      await register(
+      const response = await register(
         formData.name,
         formData.email,
         formData.password,
         formData.phone || null,
         formData.year_of_study ? parseInt(formData.year_of_study) : null,
-        formData.branch || null
+        formData.branch || null,
+        invite ? inviteToken : null
       );
       
-      setSuccessMessage('Registration successful! Redirecting to login...');
+      // Invites are only attached when the invited address signed up through its link;
+      // otherwise they follow once the email is verified
+      setSuccessMessage(response.team_invites > 0
+        ? `Registration successful! Log in to accept your invite to ${invite?.team_name || 'your team'}. Redirecting...`
+        : 'Registration successful! Redirecting to login...');
       
       // Redirect to login after 2 seconds
       setTimeout(() => {
@@ -132,6 +165,21 @@ const Register = () => {
           <p className="text-gray-600">Create your account and start exploring events</p>
         </div>
 
+        {/* Team Invite */}
+        {invite && (
+          <div className="bg-blue-50 border border-blue-200 text-blue-800 px-4 py-3 rounded-lg mb-6 text-sm">
+            <span className="font-semibold">{invite.leader_name}</span> invited you to join team{' '}
+            <span className="font-semibold">{invite.team_name}</span> for{' '}
+            <span className="font-semibold">{invite.event?.title}</span>.
+            Sign up with {invite.email} and accept the invite from your registrations.
+          </div>
+        )}
+        {inviteError && (
+          <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg mb-6 text-sm">
+            {inviteError}. You can still create an account below.
+          </div>
+        )}
+
         {/* Registration Form Card */}
         <div className="bg-white rounded-2xl shadow-xl p-8">
           <form onSubmit={handleSubmit} className="space-y-6">
@@ -67,7 +67,6 @@ const SocietyDashboard = () => {
    * Calculate dashboard statistics
    */
   const calculateStats = (eventsList) => {
-    const now = new Date();
     const newStats = {
       total: eventsList.length,
       upcoming: 0,
@@ -75,15 +74,13 @@ const SocietyDashboard = () => {
       draft: 0
     };
 
+    // Statuses are kept up to date by the server's lifecycle scheduler
     eventsList.forEach(event => {
-      const startDate = new Date(event.start_datetime);
-      const endDate = new Date(event.end_datetime);
-
       if (event.event_status === 'draft') {
         newStats.draft++;
-      } else if (endDate < now) {
+      } else if (event.event_status === 'completed') {
         newStats.completed++;
-      } else if (startDate > now) {
+      } else if (event.event_status === 'published') {
         newStats.upcoming++;
       }
     });
@@ -99,18 +96,16 @@ const SocietyDashboard = () => {
 
     // Filter by status
     if (statusFilter !== 'all') {
-      const now = new Date();
       filtered = filtered.filter(event => {
-        const startDate = new Date(event.start_datetime);
-        const endDate = new Date(event.end_datetime);
-
         switch (statusFilter) {
           case 'draft':
             return event.event_status === 'draft';
           case 'upcoming':
-            return startDate > now && event.event_status !== 'draft';
+            return event.event_status === 'published';
+          case 'ongoing':
+            return event.event_status === 'ongoing';
           case 'completed':
-            return endDate < now;
+            return event.event_status === 'completed';
           default:
             return true;
         }
@@ -132,18 +127,26 @@ const SocietyDashboard = () => {
    * Handle event cancellation
    */
   const handleCancelEvent = async (eventId, eventTitle) => {
-    if (!window.confirm(`Are you sure you want to cancel "${eventTitle}"?`)) {
+    const reason = window.prompt(
+      `Cancel "${eventTitle}"?\nAll registrations will be cancelled and attendees notified.\nReason (required):`
+    );
+    if (reason === null) {
+      return;
+    }
+
+    if (!reason.trim()) {
+      alert('Please give a reason for cancelling the event.');
       return;
     }
 
     try {
-      await deleteEvent(eventId);
+      await deleteEvent(eventId, reason.trim());
       // Refresh events list
       setEvents(prevEvents => prevEvents.filter(e => e._id !== eventId));
       alert('Event cancelled successfully');
     } catch (err) {
       console.error('Cancel event error:', err);
-      alert('Failed to cancel event. Please try again.');
+      alert(err.message || 'Failed to cancel event. Please try again.');
     }
   };
 
@@ -151,15 +154,13 @@ const SocietyDashboard = () => {
    * Get status badge color
    */
   const getStatusBadge = (event) => {
-    const now = new Date();
-    const startDate = new Date(event.start_datetime);
-    const endDate = new Date(event.end_datetime);
-
     if (event.event_status === 'draft') {
       return <span className="px-3 py-1 bg-gray-200 text-gray-700 rounded-full text-sm font-medium">Draft</span>;
-    } else if (endDate < now) {
+    } else if (event.event_status === 'cancelled') {
+      return <span className="px-3 py-1 bg-red-100 text-red-700 rounded-full text-sm font-medium">Cancelled</span>;
+    } else if (event.event_status === 'completed') {
       return <span className="px-3 py-1 bg-green-100 text-green-700 rounded-full text-sm font-medium">Completed</span>;
-    } else if (startDate <= now && endDate >= now) {
+    } else if (event.event_status === 'ongoing') {
       return <span className="px-3 py-1 bg-blue-100 text-blue-700 rounded-full text-sm font-medium">Ongoing</span>;
     } else {
       return <span className="px-3 py-1 bg-yellow-100 text-yellow-700 rounded-full text-sm font-medium">Upcoming</span>;
@@ -292,6 +293,7 @@ const SocietyDashboard = () => {
                 <option value="all">All Events</option>
                 <option value="draft">Draft</option>
                 <option value="upcoming">Upcoming</option>
+                <option value="ongoing">Ongoing</option>
                 <option value="completed">Completed</option>
               </select>
             </div>
@@ -371,6 +373,17 @@ const SocietyDashboard = () => {
                               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
                             </svg>
                           </Link>
+                          {event.event_status !== 'cancelled' && event.event_status !== 'completed' && (
+                            <Link
+                              to={`/society/events/${event._id}/edit`}
+                              className="text-yellow-600 hover:text-yellow-800"
+                              title="Edit Event"
+                            >
+                              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                              </svg>
+                            </Link>
+                          )}
                           <Link
                             to={`/society/events/${event._id}/registrations`}
                             className="text-green-600 hover:text-green-800"
@@ -0,0 +1,78 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { verifyEmail } from '../services/api';
+
+/**
+ * VerifyEmail Page Component
+ * Confirms an email address using the token from a verification email link
+ */
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+
+  // Tokens are single-use, so guard against the effect running twice in StrictMode
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await verifyEmail(token);
+        setStatus('success');
+        setMessage(response.team_invites > 0
+          ? `${response.message}. You have ${response.team_invites} team invite${response.team_invites !== 1 ? 's' : ''} waiting in My Registrations.`
+          : response.message);
+      } catch (err) {
+        setStatus('error');
+        setMessage(err.message || 'Verification failed. Please request a new link.');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center px-4 py-12">
+      <div className="max-w-md w-full">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <h1 className="text-4xl font-bold text-gray-900 mb-2">Email Verification</h1>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-xl p-8 text-center">
+          {status === 'verifying' && (
+            <div className="flex items-center justify-center space-x-3 text-gray-600">
+              <div className="animate-spin rounded-full h-6 w-6 border-t-2 border-b-2 border-blue-600"></div>
+              <span>Verifying your email...</span>
+            </div>
+          )}
+
+          {status === 'success' && (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg text-sm">
+              {message}
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+              {message}
+            </div>
+          )}
+
+          <div className="mt-6">
+            <Link to="/" className="text-blue-600 hover:text-blue-700 font-medium">
+              Continue to Campus Event Hub →
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -1,6 +1,7 @@
 import { useEffect, useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { getEventById, getUserRegistrations } from '../services/api';
+import { getEventById, getUserRegistrations, updateRegistrationStatus, exportRegistrations, downloadUpload } from '../services/api';
+import { subscribeToUpdates } from '../services/stream';
 
 /**
  * ViewRegistrations Page
@@ -18,6 +19,8 @@ const ViewRegistrations = () => {
   const [statusFilter, setStatusFilter] = useState('all');
   const [searchTerm, setSearchTerm] = useState('');
   const [expandedRows, setExpandedRows] = useState(new Set());
+  const [updatingId, setUpdatingId] = useState(null);
+  const [exporting, setExporting] = useState(null);
 
   /**
    * Fetch event and registrations on mount
@@ -62,6 +65,35 @@ const ViewRegistrations = () => {
     }
   }, [eventId]);
 
+  /**
+   * Reload registrations when teams register or seats change elsewhere
+   * Bursts of updates are collapsed into a single reload
+   */
+  useEffect(() => {
+    let refreshTimer = null;
+
+    const refreshRegistrations = async () => {
+      try {
+        const registrationsResponse = await getUserRegistrations({ event_id: eventId });
+        setRegistrations(registrationsResponse.registrations || []);
+      } catch (err) {
+        console.error('Refresh registrations error:', err);
+      }
+    };
+
+    const unsubscribe = subscribeToUpdates([eventId], ({ type, data }) => {
+      if (!['registration', 'seats'].includes(type) || String(data.event_id) !== eventId) return;
+
+      clearTimeout(refreshTimer);
+      refreshTimer = setTimeout(refreshRegistrations, 1000);
+    });
+
+    return () => {
+      clearTimeout(refreshTimer);
+      unsubscribe();
+    };
+  }, [eventId]);
+
   /**
    * Filter registrations based on status and search term
    */
@@ -76,7 +108,7 @@ const ViewRegistrations = () => {
     // Filter by search term
     if (searchTerm) {
       filtered = filtered.filter(reg => {
-        const userName = reg.user?.name?.toLowerCase() || '';
+        const userName = reg.leader_user_id?.name?.toLowerCase() || '';
         const teamName = reg.team_name?.toLowerCase() || '';
         const search = searchTerm.toLowerCase();
         return userName.includes(search) || teamName.includes(search);
@@ -99,6 +131,86 @@ const ViewRegistrations = () => {
     setExpandedRows(newExpanded);
   };
 
+  /**
+   * Change registration status (approve, reject, waitlist)
+   */
+  const handleStatusChange = async (registrationId, status) => {
+    let reason;
+    if (status === 'rejected') {
+      reason = window.prompt('Reason for rejection (optional):');
+      if (reason === null) return;
+    }
+
+    try {
+      setUpdatingId(registrationId);
+      const response = await updateRegistrationStatus(registrationId, status, reason || undefined);
+      setRegistrations(prev =>
+        prev.map(reg => (reg._id === registrationId ? response.registration : reg))
+      );
+    } catch (err) {
+      console.error('Update registration status error:', err);
+      alert(err.response?.data?.message || 'Failed to update registration status');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  /**
+   * Save a downloaded blob to the user's device
+   */
+  const saveBlob = (blob, filename) => {
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  /**
+   * Download registrations as CSV or XLSX
+   * Applies the current status filter
+   */
+  const handleExport = async (format) => {
+    try {
+      setExporting(format);
+      const blob = await exportRegistrations(eventId, format, {
+        status: statusFilter !== 'all' ? statusFilter : undefined
+      });
+      saveBlob(blob, `${(event?.title || 'event').replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-registrations.${format}`);
+    } catch (err) {
+      console.error('Export registrations error:', err);
+      alert('Failed to export registrations');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  /**
+   * Download a file answer
+   */
+  const handleDownloadFile = async (file) => {
+    try {
+      const blob = await downloadUpload(file._id);
+      saveBlob(blob, file.original_name);
+    } catch (err) {
+      console.error('Download file error:', err);
+      alert('Failed to download file');
+    }
+  };
+
+  /**
+   * Format answer value based on which field is set
+   */
+  const formatAnswer = (answer) => {
+    if (answer.value_list) return answer.value_list.join(', ');
+    if (answer.value_date) return new Date(answer.value_date).toLocaleDateString();
+    if (answer.value_number !== undefined && answer.value_number !== null) return answer.value_number;
+    return answer.value_text;
+  };
+
   /**
    * Get status badge
    */
@@ -107,6 +219,7 @@ const ViewRegistrations = () => {
       pending: 'bg-yellow-100 text-yellow-700',
       confirmed: 'bg-green-100 text-green-700',
       waitlisted: 'bg-blue-100 text-blue-700',
+      rejected: 'bg-gray-200 text-gray-700',
       cancelled: 'bg-red-100 text-red-700'
     };
     
@@ -198,11 +311,17 @@ const ViewRegistrations = () => {
                   </span>
                 </div>
               </div>
-              <div className="mt-4 md:mt-0">
+              <div className="mt-4 md:mt-0 flex items-center gap-4">
                 <div className="text-center bg-blue-50 rounded-lg p-4">
                   <p className="text-sm font-medium text-gray-600">Total Registrations</p>
                   <p className="text-4xl font-bold text-blue-600">{registrations.length}</p>
                 </div>
+                <Link
+                  to={`/society/events/${eventId}/check-in`}
+                  className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white text-sm rounded-lg font-medium transition duration-200"
+                >
+                  Check-in Scanner
+                </Link>
               </div>
             </div>
           </div>
@@ -223,6 +342,7 @@ const ViewRegistrations = () => {
                 <option value="pending">Pending</option>
                 <option value="confirmed">Confirmed</option>
                 <option value="waitlisted">Waitlisted</option>
+                <option value="rejected">Rejected</option>
                 <option value="cancelled">Cancelled</option>
               </select>
             </div>
@@ -243,8 +363,26 @@ const ViewRegistrations = () => {
 
         {/* Registrations List */}
         <div className="bg-white rounded-lg shadow overflow-hidden">
-          <div className="px-6 py-4 border-b border-gray-200">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
             <h2 className="text-xl font-semibold text-gray-900">Registrations ({filteredRegistrations.length})</h2>
+            {registrations.length > 0 && (
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => handleExport('csv')}
+                  disabled={exporting !== null}
+                  className="px-4 py-2 border border-gray-300 hover:bg-gray-100 text-gray-700 text-sm rounded-lg transition duration-200 disabled:opacity-50"
+                >
+                  {exporting === 'csv' ? 'Exporting...' : 'Export CSV'}
+                </button>
+                <button
+                  onClick={() => handleExport('xlsx')}
+                  disabled={exporting !== null}
+                  className="px-4 py-2 border border-gray-300 hover:bg-gray-100 text-gray-700 text-sm rounded-lg transition duration-200 disabled:opacity-50"
+                >
+                  {exporting === 'xlsx' ? 'Exporting...' : 'Export Excel'}
+                </button>
+              </div>
+            )}
           </div>
 
           {filteredRegistrations.length === 0 ? (
@@ -258,11 +396,11 @@ const ViewRegistrations = () => {
           ) : (
             <div className="divide-y divide-gray-200">
               {filteredRegistrations.map((registration) => (
-                <div key={registration.id} className="hover:bg-gray-50 transition duration-150">
+                <div key={registration._id} className="hover:bg-gray-50 transition duration-150">
                   {/* Main Row */}
                   <div
                     className="px-6 py-4 cursor-pointer"
-                    onClick={() => toggleRowExpansion(registration.id)}
+                    onClick={() => toggleRowExpansion(registration._id)}
                   >
                     <div className="flex items-center justify-between">
                       <div className="flex-1">
@@ -271,11 +409,11 @@ const ViewRegistrations = () => {
                           <div>
                             <div className="flex items-center space-x-3">
                               <div className="w-10 h-10 bg-blue-500 rounded-full flex items-center justify-center text-white font-semibold">
-                                {registration.user?.name?.charAt(0).toUpperCase()}
+                                {registration.leader_user_id?.name?.charAt(0).toUpperCase()}
                               </div>
                               <div>
-                                <p className="text-sm font-medium text-gray-900">{registration.user?.name}</p>
-                                <p className="text-sm text-gray-500">{registration.user?.email}</p>
+                                <p className="text-sm font-medium text-gray-900">{registration.leader_user_id?.name}</p>
+                                <p className="text-sm text-gray-500">{registration.leader_user_id?.email}</p>
                               </div>
                             </div>
                           </div>
@@ -291,7 +429,7 @@ const ViewRegistrations = () => {
                               <div>
                                 <p className="text-sm font-medium text-gray-900">{registration.team_name || 'Unnamed Team'}</p>
                                 <p className="text-sm text-gray-500">
-                                  Leader: {registration.user?.name} • {registration.team_members?.length || 0} members
+                                  Leader: {registration.leader_user_id?.name} • {registration.members?.length || 0} members
                                 </p>
                               </div>
                             </div>
@@ -306,7 +444,7 @@ const ViewRegistrations = () => {
                         {getStatusBadge(registration.status)}
                         <svg
                           className={`w-5 h-5 text-gray-400 transition-transform ${
-                            expandedRows.has(registration.id) ? 'transform rotate-180' : ''
+                            expandedRows.has(registration._id) ? 'transform rotate-180' : ''
                           }`}
                           fill="none"
                           stroke="currentColor"
@@ -319,21 +457,21 @@ const ViewRegistrations = () => {
                   </div>
 
                   {/* Expanded Details */}
-                  {expandedRows.has(registration.id) && (
+                  {expandedRows.has(registration._id) && (
                     <div className="px-6 pb-4 bg-gray-50">
                       <div className="border-t pt-4 space-y-4">
                         {/* Team Members (for team events) */}
-                        {event?.registration_mode === 'team' && registration.team_members && (
+                        {event?.registration_mode === 'team' && registration.members?.length > 0 && (
                           <div>
                             <h4 className="text-sm font-medium text-gray-900 mb-2">Team Members</h4>
                             <div className="space-y-2">
-                              {registration.team_members.map((member, idx) => (
+                              {registration.members.map((member, idx) => (
                                 <div key={idx} className="flex items-center space-x-2 text-sm">
                                   <div className="w-6 h-6 bg-gray-300 rounded-full flex items-center justify-center text-gray-700 text-xs">
-                                    {member.name?.charAt(0).toUpperCase()}
+                                    {(member.user_id?.name || member.name || member.email)?.charAt(0).toUpperCase()}
                                   </div>
-                                  <span className="text-gray-900">{member.name}</span>
-                                  <span className="text-gray-500">({member.email})</span>
+                                  <span className="text-gray-900">{member.user_id?.name || member.name || member.email}</span>
+                                  <span className="text-gray-500">({member.user_id?.email || member.email})</span>
                                   <span className={`text-xs px-2 py-1 rounded ${
                                     member.invite_status === 'accepted'
                                       ? 'bg-green-100 text-green-700'
@@ -341,7 +479,7 @@ const ViewRegistrations = () => {
                                       ? 'bg-red-100 text-red-700'
                                       : 'bg-yellow-100 text-yellow-700'
                                   }`}>
-                                    {member.invite_status}
+                                    {member.invite_status === 'pending_registration' ? 'awaiting sign-up' : member.invite_status}
                                   </span>
                                 </div>
                               ))}
@@ -350,14 +488,26 @@ const ViewRegistrations = () => {
                         )}
 
                         {/* Form Answers */}
-                        {registration.form_answers && registration.form_answers.length > 0 && (
+                        {registration.answers && registration.answers.length > 0 && (
                           <div>
                             <h4 className="text-sm font-medium text-gray-900 mb-2">Form Answers</h4>
                             <div className="space-y-2">
-                              {registration.form_answers.map((answer, idx) => (
+                              {registration.answers.map((answer, idx) => (
                                 <div key={idx} className="text-sm">
-                                  <span className="font-medium text-gray-700">{answer.question}: </span>
-                                  <span className="text-gray-900">{answer.answer}</span>
+                                  <span className="font-medium text-gray-700">{answer.field_label}: </span>
+                                  {answer.value_file ? (
+                                    <button
+                                      onClick={(e) => {
+                                        e.stopPropagation();
+                                        handleDownloadFile(answer.value_file);
+                                      }}
+                                      className="text-blue-600 hover:text-blue-800 underline"
+                                    >
+                                      {answer.value_file.original_name || 'Download file'}
+                                    </button>
+                                  ) : (
+                                    <span className="text-gray-900">{formatAnswer(answer)}</span>
+                                  )}
                                 </div>
                               ))}
                             </div>
@@ -365,28 +515,42 @@ const ViewRegistrations = () => {
                         )}
 
                         {/* Action Buttons */}
-                        <div className="flex space-x-2 pt-2">
-                          <button
-                            className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white text-sm rounded-lg transition duration-200"
-                            onClick={(e) => {
-                              e.stopPropagation();
-                              // Handle approve
-                              alert('Approve functionality to be implemented');
-                            }}
-                          >
-                            Approve
-                          </button>
-                          <button
-                            className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white text-sm rounded-lg transition duration-200"
-                            onClick={(e) => {
-                              e.stopPropagation();
-                              // Handle reject
-                              alert('Reject functionality to be implemented');
-                            }}
-                          >
-                            Reject
-                          </button>
-                        </div>
+                        {['pending', 'waitlisted'].includes(registration.status) && (
+                          <div className="flex space-x-2 pt-2">
+                            <button
+                              className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white text-sm rounded-lg transition duration-200 disabled:opacity-50"
+                              disabled={updatingId === registration._id}
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                handleStatusChange(registration._id, 'confirmed');
+                              }}
+                            >
+                              Approve
+                            </button>
+                            {registration.status === 'pending' && (
+                              <button
+                                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded-lg transition duration-200 disabled:opacity-50"
+                                disabled={updatingId === registration._id}
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  handleStatusChange(registration._id, 'waitlisted');
+                                }}
+                              >
+                                Waitlist
+                              </button>
+                            )}
+                            <button
+                              className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white text-sm rounded-lg transition duration-200 disabled:opacity-50"
+                              disabled={updatingId === registration._id}
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                handleStatusChange(registration._id, 'rejected');
+                              }}
+                            >
+                              Reject
+                            </button>
+                          </div>
+                        )}
                       </div>
                     </div>
                   )}
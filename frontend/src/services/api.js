@@ -6,7 +6,7 @@ import axios from 'axios';
  * Timeout: 10 seconds
  */
 // In production, API is on same domain. In dev, use localhost backend
-const API_BASE_URL = import.meta.env.VITE_API_URL || 
+export const API_BASE_URL = import.meta.env.VITE_API_URL || 
   (import.meta.env.PROD ? '/api' : 'http://localhost:5000/api');
 console.log('API Base URL:', API_BASE_URL);
 
@@ -37,26 +37,99 @@ api.interceptors.request.use(
   }
 );
 
+// Auth endpoints answer 401 for bad credentials, not expired sessions
+const NO_REFRESH_URLS = ['/auth/login', '/auth/refresh', '/auth/logout'];
+
+// Shared by concurrent requests so the refresh token is only used once
+let refreshPromise = null;
+
+/**
+ * Store the tokens returned by login or refresh
+ * 
+ * @param {Object} data - Response with token and refresh_token
+ */
+export const storeTokens = (data) => {
+  localStorage.setItem('campusEventToken', data.token);
+  localStorage.setItem('campusEventRefreshToken', data.refresh_token);
+};
+
+/**
+ * Remove stored tokens
+ */
+export const clearTokens = () => {
+  localStorage.removeItem('campusEventToken');
+  localStorage.removeItem('campusEventRefreshToken');
+};
+
+/**
+ * Get a new access token using the stored refresh token
+ * Uses plain axios so this request does not pass through the interceptors
+ * 
+ * @returns {Promise<string>} New access token
+ */
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem('campusEventRefreshToken');
+
+  if (!refreshToken) {
+    throw new Error('No refresh token');
+  }
+
+  try {
+    const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refresh_token: refreshToken });
+    storeTokens(response.data);
+    return response.data.token;
+  } catch (error) {
+    // Another tab may have rotated the token first; use the one it stored
+    const latest = localStorage.getItem('campusEventRefreshToken');
+    if (latest && latest !== refreshToken) {
+      return localStorage.getItem('campusEventToken');
+    }
+    throw error;
+  }
+};
+
 /**
  * Response interceptor
  * Handles common error responses
+ * Expired access tokens are refreshed silently and the request is retried once
  */
 api.interceptors.response.use(
   (response) => {
     // Return only the data portion of the response
     return response.data;
   },
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retried &&
+      !NO_REFRESH_URLS.includes(originalRequest.url)
+    ) {
+      originalRequest._retried = true;
+
+      try {
+        if (!refreshPromise) {
+          refreshPromise = refreshAccessToken().finally(() => {
+            refreshPromise = null;
+          });
+        }
+        const token = await refreshPromise;
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        // Session is over - clear tokens and redirect to login
+        console.error('Session refresh failed:', refreshError.message);
+        clearTokens();
+        window.location.href = '/login';
+      }
+    }
+
     // Handle specific error cases
     if (error.response) {
       // Server responded with error status
-      const { status, data } = error.response;
-      
-      if (status === 401) {
-        // Unauthorized - clear token and redirect to login
-        localStorage.removeItem('campusEventToken');
-        window.location.href = '/login';
-      }
+      const { data } = error.response;
       
       // Attach error message to error object
       error.message = data.message || 'An error occurred';
@@ -86,6 +159,7 @@ api.interceptors.response.use(
  * @param {string} [userData.phone] - User's phone number
  * @param {number} [userData.year_of_study] - Year of study (1-5)
  * @param {string} [userData.branch] - Academic branch
+ * @param {string} [userData.invite_token] - Token from a team invite email link
  * @returns {Promise<Object>} Registration response with user data
  */
 export const registerUser = async (userData) => {
@@ -132,6 +206,44 @@ export const getMe = async () => {
   }
 };
 
+/**
+ * Update the current user's profile
+ * Requires authentication
+ *
+ * @param {Object} profileData - Fields to change (name, phone, year_of_study, branch, email_preferences)
+ * @returns {Promise<Object>} Updated user profile
+ */
+export const updateProfile = async (profileData) => {
+  try {
+    const response = await api.put('/auth/me', profileData);
+    return response;
+  } catch (error) {
+    console.error('Update profile API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Change the current user's password
+ * Requires authentication; other devices are signed out
+ *
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @returns {Promise<Object>} Confirmation message
+ */
+export const changePassword = async (currentPassword, newPassword) => {
+  try {
+    const response = await api.post('/auth/change-password', {
+      current_password: currentPassword,
+      new_password: newPassword
+    });
+    return response;
+  } catch (error) {
+    console.error('Change password API error:', error.message);
+    throw error;
+  }
+};
+
 /**
  * Search users by name or email
  * Requires authentication
@@ -149,6 +261,133 @@ export const searchUsers = async (query) => {
   }
 };
 
+/**
+ * Sign out the current device
+ * 
+ * @param {string} refreshToken - Refresh token of the session to end
+ * @returns {Promise<Object>} Confirmation message
+ */
+export const logoutUser = async (refreshToken) => {
+  try {
+    const response = await api.post('/auth/logout', { refresh_token: refreshToken });
+    return response;
+  } catch (error) {
+    console.error('Logout API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Sign out every device, including this one
+ * 
+ * @returns {Promise<Object>} Number of sessions revoked
+ */
+export const logoutAllSessions = async () => {
+  try {
+    const response = await api.post('/auth/logout-all');
+    return response;
+  } catch (error) {
+    console.error('Logout all API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Get the current user's active sessions
+ * 
+ * @returns {Promise<Object>} Sessions with device, IP and last seen time
+ */
+export const getSessions = async () => {
+  try {
+    const response = await api.get('/auth/sessions');
+    return response;
+  } catch (error) {
+    console.error('Get sessions API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Sign out one of the current user's sessions
+ * 
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} Confirmation message
+ */
+export const revokeSession = async (sessionId) => {
+  try {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return response;
+  } catch (error) {
+    console.error('Revoke session API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Request a password reset email
+ * 
+ * @param {string} email - Account email
+ * @returns {Promise<Object>} Generic confirmation message
+ */
+export const forgotPassword = async (email) => {
+  try {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response;
+  } catch (error) {
+    console.error('Forgot password API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Set a new password using the token from a reset email
+ * 
+ * @param {string} token - Reset token
+ * @param {string} password - New password
+ * @returns {Promise<Object>} Reset confirmation
+ */
+export const resetPassword = async (token, password) => {
+  try {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response;
+  } catch (error) {
+    console.error('Reset password API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Confirm an email address using the token from a verification email
+ * 
+ * @param {string} token - Verification token
+ * @returns {Promise<Object>} Verification confirmation
+ */
+export const verifyEmail = async (token) => {
+  try {
+    const response = await api.post('/auth/verify-email', { token });
+    return response;
+  } catch (error) {
+    console.error('Verify email API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Send a new verification email to the current user
+ * Requires authentication
+ * 
+ * @returns {Promise<Object>} Confirmation message
+ */
+export const resendVerificationEmail = async () => {
+  try {
+    const response = await api.post('/auth/resend-verification');
+    return response;
+  } catch (error) {
+    console.error('Resend verification API error:', error.message);
+    throw error;
+  }
+};
+
 // =====================
 // Events APIs
 // =====================
@@ -235,14 +474,16 @@ export const updateEvent = async (eventId, eventData) => {
 
 /**
  * Delete (cancel) an event
+ * Active registrations are cancelled too and their teams notified
  * Requires authentication (organizer or admin)
  * 
  * @param {string} eventId - Event ID
+ * @param {string} reason - Reason shown to attendees
  * @returns {Promise<Object>} Deletion confirmation
  */
-export const deleteEvent = async (eventId) => {
+export const deleteEvent = async (eventId, reason) => {
   try {
-    const response = await api.delete(`/events/${eventId}`);
+    const response = await api.delete(`/events/${eventId}`, { data: { reason } });
     return response;
   } catch (error) {
     console.error('Delete event API error:', error.message);
@@ -334,6 +575,22 @@ export const getUserRegistrations = async (filters = {}) => {
   }
 };
 
+/**
+ * Get the team invite behind a sign-up link sent to someone without an account
+ * 
+ * @param {string} token - Invite token from the email link
+ * @returns {Promise<Object>} Invite with email, name, team_name, leader_name and event
+ */
+export const getEmailInvite = async (token) => {
+  try {
+    const response = await api.get(`/registrations/email-invites/${token}`);
+    return response;
+  } catch (error) {
+    console.error('Get email invite API error:', error.message);
+    throw error;
+  }
+};
+
 /**
  * Get single registration by ID
  * Requires authentication
@@ -414,13 +671,13 @@ export const addTeamMembers = async (registrationId, membersToAdd) => {
  * Requires authentication
  * 
  * @param {string} registrationId - Registration ID
- * @param {string} memberId - Member user ID to remove
+ * @param {string} memberId - Member user ID to remove, or email for an email invite
  * @returns {Promise<Object>} Updated registration
  */
 export const removeTeamMember = async (registrationId, memberId) => {
   try {
     const response = await api.delete(
-      `/registrations/${registrationId}/members/${memberId}`
+      `/registrations/${registrationId}/members/${encodeURIComponent(memberId)}`
     );
     return response;
   } catch (error) {
@@ -544,12 +801,13 @@ export const cancelRegistration = async (registrationId) => {
  * Requires authentication (organizer or admin)
  * 
  * @param {string} registrationId - Registration ID
- * @param {string} status - New status (pending, confirmed, waitlisted, cancelled)
+ * @param {string} status - New status (pending, confirmed, waitlisted, rejected, cancelled)
+ * @param {string} [reason] - Optional reason recorded in status history
  * @returns {Promise<Object>} Updated registration
  */
-export const updateRegistrationStatus = async (registrationId, status) => {
+export const updateRegistrationStatus = async (registrationId, status, reason) => {
   try {
-    const response = await api.put(`/registrations/${registrationId}`, { status });
+    const response = await api.put(`/registrations/${registrationId}`, { status, reason });
     return response;
   } catch (error) {
     console.error('Update registration status API error:', error.message);
@@ -557,4 +815,625 @@ export const updateRegistrationStatus = async (registrationId, status) => {
   }
 };
 
+/**
+ * Export an event's registrations as a spreadsheet file
+ * Requires authentication (organizer or admin)
+ * 
+ * @param {string} eventId - Event ID
+ * @param {string} [format='csv'] - Export format (csv or xlsx)
+ * @param {Object} [filters={}] - Optional filters (status)
+ * @returns {Promise<Blob>} Export file contents
+ */
+export const exportRegistrations = async (eventId, format = 'csv', filters = {}) => {
+  try {
+    const params = new URLSearchParams({ event_id: eventId, format });
+    
+    if (filters.status) {
+      params.append('status', filters.status);
+    }
+    
+    const response = await api.get(`/registrations/export?${params.toString()}`, {
+      responseType: 'blob',
+      timeout: 60000
+    });
+    return response;
+  } catch (error) {
+    console.error('Export registrations API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Get current user's ticket for a confirmed registration
+ * Requires authentication
+ * 
+ * @param {string} registrationId - Registration ID
+ * @returns {Promise<Object>} Ticket token and QR code data URL
+ */
+export const getRegistrationTicket = async (registrationId) => {
+  try {
+    const response = await api.get(`/registrations/${registrationId}/ticket`);
+    return response;
+  } catch (error) {
+    console.error('Get registration ticket API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Check in an attendee by ticket token
+ * Requires authentication (organizer or admin)
+ * 
+ * @param {string} eventId - Event ID
+ * @param {string} ticketToken - Token read from the ticket QR code
+ * @returns {Promise<Object>} Check-in result with attendee details
+ */
+export const checkInAttendee = async (eventId, ticketToken) => {
+  try {
+    const response = await api.post(`/events/${eventId}/check-in`, { ticket_token: ticketToken });
+    return response;
+  } catch (error) {
+    console.error('Check-in API error:', error.message);
+    throw error;
+  }
+};
+
+// =====================
+// Uploads APIs
+// =====================
+
+/**
+ * Upload a file answer for an event form field
+ * Requires authentication
+ * 
+ * @param {string} eventId - Event ID
+ * @param {string} fieldId - Form field ID
+ * @param {File} file - File selected by the user
+ * @returns {Promise<Object>} Upload metadata (use upload._id as the answer value)
+ */
+export const uploadFormFile = async (eventId, fieldId, file) => {
+  try {
+    const formData = new FormData();
+    formData.append('event_id', eventId);
+    formData.append('field_id', fieldId);
+    formData.append('file', file);
+
+    const response = await api.post('/uploads/form-file', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 60000
+    });
+    return response;
+  } catch (error) {
+    console.error('Upload form file API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Upload a poster, logo or avatar image
+ * Requires authentication; avatars are applied to the current user
+ * 
+ * @param {File} file - Image file
+ * @param {string} kind - Image kind (event_poster, society_logo, user_avatar)
+ * @returns {Promise<Object>} Image with full-size url and thumbnail_url
+ */
+export const uploadImage = async (file, kind) => {
+  try {
+    const formData = new FormData();
+    formData.append('kind', kind);
+    formData.append('file', file);
+
+    const response = await api.post('/uploads/images', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 60000
+    });
+    return response;
+  } catch (error) {
+    console.error('Upload image API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Download an uploaded form file
+ * Requires authentication (uploader, organizer or admin)
+ * 
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Blob>} File contents
+ */
+export const downloadUpload = async (uploadId) => {
+  try {
+    const response = await api.get(`/uploads/${uploadId}`, {
+      responseType: 'blob',
+      timeout: 60000
+    });
+    return response;
+  } catch (error) {
+    console.error('Download upload API error:', error.message);
+    throw error;
+  }
+};
+
+// =====================
+// Societies APIs
+// =====================
+
+/**
+ * Get all societies with optional filters
+ *
+ * @param {Object} [filters={}] - Filter parameters
+ * @param {string} [filters.search] - Name search
+ * @param {string} [filters.approval_status] - Approval status filter (admin only)
+ * @param {number} [filters.skip] - Pagination skip
+ * @param {number} [filters.limit] - Pagination limit
+ * @returns {Promise<Object>} Societies list with pagination info
+ */
+export const getSocieties = async (filters = {}) => {
+  try {
+    const params = new URLSearchParams();
+
+    Object.keys(filters).forEach(key => {
+      if (filters[key]) {
+        params.append(key, filters[key]);
+      }
+    });
+
+    const response = await api.get(`/societies?${params.toString()}`);
+    return response;
+  } catch (error) {
+    console.error('Get societies API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Get single society by ID
+ *
+ * @param {string} societyId - Society ID
+ * @returns {Promise<Object>} Society details
+ */
+export const getSocietyById = async (societyId) => {
+  try {
+    const response = await api.get(`/societies/${societyId}`);
+    return response;
+  } catch (error) {
+    console.error('Get society API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Get societies headed by current user
+ * Requires authentication
+ *
+ * @returns {Promise<Object>} User's societies
+ */
+export const getMySocieties = async () => {
+  try {
+    const response = await api.get('/societies/my-societies');
+    return response;
+  } catch (error) {
+    console.error('Get my societies API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Create a new society
+ * Requires authentication (society_head or admin)
+ *
+ * @param {Object} societyData - Society data
+ * @returns {Promise<Object>} Created society
+ */
+export const createSociety = async (societyData) => {
+  try {
+    const response = await api.post('/societies', societyData);
+    return response;
+  } catch (error) {
+    console.error('Create society API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Update an existing society
+ * Requires authentication (society head or admin)
+ *
+ * @param {string} societyId - Society ID
+ * @param {Object} societyData - Updated society data
+ * @returns {Promise<Object>} Updated society
+ */
+export const updateSociety = async (societyId, societyData) => {
+  try {
+    const response = await api.put(`/societies/${societyId}`, societyData);
+    return response;
+  } catch (error) {
+    console.error('Update society API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Deactivate a society
+ * Requires authentication (society head or admin)
+ *
+ * @param {string} societyId - Society ID
+ * @returns {Promise<Object>} Deactivation confirmation
+ */
+export const deactivateSociety = async (societyId) => {
+  try {
+    const response = await api.delete(`/societies/${societyId}`);
+    return response;
+  } catch (error) {
+    console.error('Deactivate society API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Approve or reject a society
+ * Requires authentication (admin)
+ *
+ * @param {string} societyId - Society ID
+ * @param {string} action - 'approve' or 'reject'
+ * @param {string} [reason] - Reason recorded with the admin action
+ * @returns {Promise<Object>} Updated society
+ */
+export const setSocietyApproval = async (societyId, action, reason) => {
+  try {
+    const response = await api.put(`/societies/${societyId}/approval`, { action, reason });
+    return response;
+  } catch (error) {
+    console.error('Society approval API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Transfer society headship to another user
+ * Requires authentication (society head or admin)
+ *
+ * @param {string} societyId - Society ID
+ * @param {string} newHeadId - User ID of the new head
+ * @returns {Promise<Object>} Updated society
+ */
+export const transferSociety = async (societyId, newHeadId) => {
+  try {
+    const response = await api.put(`/societies/${societyId}/transfer`, { new_head_id: newHeadId });
+    return response;
+  } catch (error) {
+    console.error('Transfer society API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Get events organized by a society
+ *
+ * @param {string} societyId - Society ID
+ * @returns {Promise<Object>} Society's events
+ */
+export const getSocietyEvents = async (societyId) => {
+  try {
+    const response = await api.get(`/societies/${societyId}/events`);
+    return response;
+  } catch (error) {
+    console.error('Get society events API error:', error.message);
+    throw error;
+  }
+};
+
+// =====================
+// Admin APIs
+// =====================
+
+/**
+ * Change a user's role (admin only)
+ *
+ * @param {string} userId - User ID
+ * @param {string} role - New role (student, society_head, admin)
+ * @param {string} [reason] - Reason recorded in the role history
+ * @returns {Promise<Object>} Updated user
+ */
+export const updateUserRole = async (userId, role, reason) => {
+  try {
+    const response = await api.put(`/admin/users/${userId}/role`, { role, reason });
+    return response;
+  } catch (error) {
+    console.error('Update user role API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Get a user's role change history (admin only)
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} User and role history, newest first
+ */
+export const getUserRoleHistory = async (userId) => {
+  try {
+    const response = await api.get(`/admin/users/${userId}/role-history`);
+    return response;
+  } catch (error) {
+    console.error('Get role history API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Build a query string from filters, skipping empty values
+ *
+ * @param {Object} filters - Query parameters
+ * @returns {string} Encoded query string
+ */
+const toQueryString = (filters) => {
+  const params = new URLSearchParams();
+
+  Object.keys(filters).forEach(key => {
+    if (filters[key] !== undefined && filters[key] !== null && filters[key] !== '') {
+      params.append(key, filters[key]);
+    }
+  });
+
+  return params.toString();
+};
+
+/**
+ * Get platform-wide counts of users, societies, events and registrations (admin only)
+ *
+ * @returns {Promise<Object>} Stats grouped by role and status
+ */
+export const getAdminStats = async () => {
+  try {
+    const response = await api.get('/admin/stats');
+    return response;
+  } catch (error) {
+    console.error('Get admin stats API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Search users (admin only)
+ *
+ * @param {Object} [filters={}] - Filter parameters
+ * @param {string} [filters.search] - Name or email
+ * @param {string} [filters.role] - Role filter
+ * @param {boolean} [filters.is_active] - Active status filter
+ * @param {number} [filters.skip] - Pagination skip
+ * @param {number} [filters.limit] - Pagination limit
+ * @returns {Promise<Object>} Users list with pagination info
+ */
+export const getAdminUsers = async (filters = {}) => {
+  try {
+    const response = await api.get(`/admin/users?${toQueryString(filters)}`);
+    return response;
+  } catch (error) {
+    console.error('Get admin users API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Activate or deactivate a user (admin only)
+ *
+ * @param {string} userId - User ID
+ * @param {boolean} isActive - New active status
+ * @param {string} [reason] - Reason recorded with the admin action
+ * @returns {Promise<Object>} Updated user
+ */
+export const updateUserStatus = async (userId, isActive, reason) => {
+  try {
+    const response = await api.put(`/admin/users/${userId}/status`, { is_active: isActive, reason });
+    return response;
+  } catch (error) {
+    console.error('Update user status API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Search all events, including drafts and cancelled events (admin only)
+ *
+ * @param {Object} [filters={}] - Filter parameters
+ * @param {string} [filters.search] - Title
+ * @param {string} [filters.event_status] - Status filter
+ * @param {number} [filters.skip] - Pagination skip
+ * @param {number} [filters.limit] - Pagination limit
+ * @returns {Promise<Object>} Events list with pagination info
+ */
+export const getAdminEvents = async (filters = {}) => {
+  try {
+    const response = await api.get(`/admin/events?${toQueryString(filters)}`);
+    return response;
+  } catch (error) {
+    console.error('Get admin events API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Force-cancel an event or undo a cancellation (admin only)
+ *
+ * @param {string} eventId - Event ID
+ * @param {string} action - 'cancel' or 'restore'
+ * @param {string} [reason] - Reason recorded with the admin action
+ * @returns {Promise<Object>} Updated event status
+ */
+export const updateEventStatus = async (eventId, action, reason) => {
+  try {
+    const response = await api.put(`/admin/events/${eventId}/status`, { action, reason });
+    return response;
+  } catch (error) {
+    console.error('Update event status API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Search the audit log, newest first (admin only)
+ *
+ * @param {Object} [filters={}] - Filter parameters
+ * @param {string} [filters.action] - Action name, e.g. event.cancel
+ * @param {string} [filters.actor_id] - User who performed the action
+ * @param {string} [filters.target_type] - User, Society, Event or Registration
+ * @param {string} [filters.target_id] - Record acted on
+ * @param {string} [filters.from] - Earliest time (ISO date)
+ * @param {string} [filters.to] - Latest time (ISO date)
+ * @param {number} [filters.skip] - Pagination skip
+ * @param {number} [filters.limit] - Pagination limit
+ * @returns {Promise<Object>} Audit log entries with pagination info
+ */
+export const getAuditLogs = async (filters = {}) => {
+  try {
+    const response = await api.get(`/admin/audit-logs?${toQueryString(filters)}`);
+    return response;
+  } catch (error) {
+    console.error('Get audit logs API error:', error.message);
+    throw error;
+  }
+};
+
+// =====================
+// Calendar APIs
+// =====================
+
+/**
+ * Download an event as an iCalendar (.ics) file
+ *
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Blob>} iCalendar file
+ */
+export const downloadEventCalendar = async (eventId) => {
+  try {
+    const response = await api.get(`/events/${eventId}/calendar.ics`, {
+      responseType: 'blob'
+    });
+    return response;
+  } catch (error) {
+    console.error('Download event calendar API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Get the current user's private calendar feed URL
+ * Requires authentication
+ *
+ * @returns {Promise<Object>} Feed URL for calendar app subscriptions
+ */
+export const getCalendarFeed = async () => {
+  try {
+    const response = await api.get('/calendar/feed');
+    return response;
+  } catch (error) {
+    console.error('Get calendar feed API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Replace the current user's calendar feed URL, disabling the old one
+ * Requires authentication
+ *
+ * @returns {Promise<Object>} New feed URL
+ */
+export const resetCalendarFeed = async () => {
+  try {
+    const response = await api.post('/calendar/feed/reset');
+    return response;
+  } catch (error) {
+    console.error('Reset calendar feed API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Build the public calendar feed URL of a society
+ *
+ * @param {string} societyId - Society ID
+ * @returns {string} Absolute feed URL
+ */
+export const getSocietyCalendarUrl = (societyId) => {
+  return new URL(`${API_BASE_URL}/societies/${societyId}/calendar.ics`, window.location.origin).toString();
+};
+
+// =====================
+// Notifications APIs
+// =====================
+
+/**
+ * Get the current user's notifications, newest first
+ * Requires authentication
+ *
+ * @param {Object} [filters={}] - Filter parameters
+ * @param {boolean} [filters.unread] - Only unread notifications
+ * @param {number} [filters.skip] - Pagination skip
+ * @param {number} [filters.limit] - Pagination limit
+ * @returns {Promise<Object>} Notifications with pagination info and unread_count
+ */
+export const getNotifications = async (filters = {}) => {
+  try {
+    const response = await api.get(`/notifications?${toQueryString(filters)}`);
+    return response;
+  } catch (error) {
+    console.error('Get notifications API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Mark one notification as read
+ * Requires authentication
+ *
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<Object>} Updated notification
+ */
+export const markNotificationRead = async (notificationId) => {
+  try {
+    const response = await api.put(`/notifications/${notificationId}/read`);
+    return response;
+  } catch (error) {
+    console.error('Mark notification read API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Mark all of the current user's notifications as read
+ * Requires authentication
+ *
+ * @returns {Promise<Object>} Number of notifications updated
+ */
+export const markAllNotificationsRead = async () => {
+  try {
+    const response = await api.put('/notifications/read-all');
+    return response;
+  } catch (error) {
+    console.error('Mark all notifications read API error:', error.message);
+    throw error;
+  }
+};
+
+// =====================
+// Real-time Stream APIs
+// =====================
+
+/**
+ * Get a single-use ticket for opening the real-time stream
+ * Requires authentication
+ *
+ * @returns {Promise<Object>} { ticket, expires_at }
+ */
+export const getStreamTicket = async () => {
+  try {
+    const response = await api.post('/stream/ticket');
+    return response;
+  } catch (error) {
+    console.error('Get stream ticket API error:', error.message);
+    throw error;
+  }
+};
+
 export default api;
@@ -0,0 +1,121 @@
+import { API_BASE_URL, getStreamTicket } from './api';
+
+/**
+ * Real-time Update Service
+ * Shares one Server-Sent Events connection between every subscribed component,
+ * reopening it whenever the set of watched events changes
+ */
+
+// Wait before reopening a stream that dropped or was refused
+const RECONNECT_DELAY_MS = 5000;
+
+const subscribers = new Set();
+let source = null;
+let sourceEvents = null;
+let reconnectTimer = null;
+// Incremented on every (re)connect so a slow ticket request for an
+// outdated set of events never opens a stream
+let connectAttempt = 0;
+
+/**
+ * Close the open stream, if any
+ */
+const closeStream = () => {
+  clearTimeout(reconnectTimer);
+  connectAttempt += 1;
+  if (source) {
+    source.close();
+    source = null;
+  }
+  sourceEvents = null;
+};
+
+/**
+ * Open a stream watching every event any subscriber is interested in
+ * Keeps the current stream if it already watches, or is opening for, the same events
+ */
+const connect = async () => {
+  const token = localStorage.getItem('campusEventToken');
+
+  if (subscribers.size === 0 || !token) {
+    closeStream();
+    return;
+  }
+
+  const eventIds = [...new Set([...subscribers].flatMap(subscriber => subscriber.eventIds))].sort().join(',');
+
+  if (sourceEvents === eventIds && (!source || source.readyState !== EventSource.CLOSED)) {
+    return;
+  }
+
+  closeStream();
+  sourceEvents = eventIds;
+  const attempt = connectAttempt;
+
+  // Tickets are single-use and short-lived, so each connection asks for one;
+  // the API client refreshes an expired access token on the way
+  let ticket;
+  try {
+    ({ ticket } = await getStreamTicket());
+  } catch (err) {
+    console.error('Stream ticket request failed:', err.message);
+    if (attempt === connectAttempt) {
+      sourceEvents = null;
+      reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+    }
+    return;
+  }
+
+  if (attempt !== connectAttempt) return;
+
+  const params = new URLSearchParams({ ticket });
+  if (eventIds) {
+    params.set('events', eventIds);
+  }
+
+  source = new EventSource(new URL(`${API_BASE_URL}/stream?${params.toString()}`, window.location.origin));
+
+  source.onmessage = (e) => {
+    let message;
+    try {
+      message = JSON.parse(e.data);
+    } catch (err) {
+      console.error('Invalid stream message:', err);
+      return;
+    }
+
+    subscribers.forEach(subscriber => subscriber.onMessage(message));
+  };
+
+  source.onerror = () => {
+    // The server ends a stream when its session or access token runs out, and a
+    // used ticket cannot reopen it, so reconnect with a fresh ticket instead of
+    // letting the browser retry the old URL
+    closeStream();
+    reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+  };
+};
+
+/**
+ * Receive real-time updates
+ * Every subscriber gets the user's own updates (notification, registration);
+ * seats and event_update messages arrive for the events listed in eventIds
+ *
+ * @param {Array<string>} eventIds - Events to watch
+ * @param {Function} onMessage - Called with each { type, data } message
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToUpdates = (eventIds, onMessage) => {
+  const subscriber = {
+    eventIds: eventIds.filter(Boolean).map(String),
+    onMessage
+  };
+
+  subscribers.add(subscriber);
+  connect();
+
+  return () => {
+    subscribers.delete(subscriber);
+    connect();
+  };
+};
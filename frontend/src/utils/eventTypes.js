@@ -0,0 +1,25 @@
+/**
+ * Event Type Utilities
+ * Shared colours so each event type looks the same in lists and calendars
+ */
+
+// Badge classes per event type
+export const EVENT_TYPE_BADGE_COLORS = {
+  workshop: 'bg-blue-100 text-blue-800',
+  seminar: 'bg-green-100 text-green-800',
+  competition: 'bg-red-100 text-red-800',
+  cultural: 'bg-purple-100 text-purple-800',
+  sports: 'bg-yellow-100 text-yellow-800',
+  hackathon: 'bg-indigo-100 text-indigo-800',
+  orientation: 'bg-pink-100 text-pink-800'
+};
+
+/**
+ * Get badge classes for an event type
+ *
+ * @param {string} type - Event type
+ * @returns {string} Tailwind classes
+ */
+export const getEventTypeBadgeColor = (type) => {
+  return EVENT_TYPE_BADGE_COLORS[type] || 'bg-gray-100 text-gray-800';
+};